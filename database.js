@@ -1,49 +1,35 @@
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createStorage } from './src/storage/index.js';
+import { getDestinationUrl } from './src/services/destinations.js';
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const storage = await createStorage();
+console.log(`🗄️ Using ${storage.name} storage backend`);
 
-if (!supabaseUrl) {
-  console.error('❌ SUPABASE_URL environment variable is missing');
-  process.exit(1);
-}
-
-if (!supabaseServiceRoleKey) {
-  console.error('❌ SUPABASE_SERVICE_ROLE_KEY environment variable is missing');
-  process.exit(1);
-}
+// Kept for callers that still need the raw Supabase client (null for other backends)
+const supabase = storage.client || null;
 
-console.log('🔗 Connecting to Supabase...');
-console.log('📍 URL:', supabaseUrl);
-console.log('🔑 Service Role Key:', supabaseServiceRoleKey.substring(0, 20) + '...');
-
-const supabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+// Rereads of a counter (short link clicks, quota usage) while other writers keep changing it
+const MAX_COUNTER_ATTEMPTS = 50;
 
 // Test database connection
 async function testDatabaseConnection() {
   try {
     console.log('🔍 Testing database connection...');
 
-    // Try to make a simple query to test connection
-    const { data, error } = await supabase
-      .from('monitoring_channels')
-      .select('count')
-      .limit(1);
+    const result = await storage.testConnection();
 
-    if (error && error.code === 'PGRST116') {
-      // Table doesn't exist, but connection works
+    if (result.missingTables) {
       console.log('⚠️  Table "monitoring_channels" does not exist. Please run the SQL setup script.');
       console.log('📝 Go to Supabase SQL Editor and run the contents of supabase_setup.sql');
-      return { success: true, message: 'Connected but table needs to be created' };
-    } else if (error) {
-      console.error('❌ Database error:', error.message);
-      return { success: false, error: error.message };
+      return { success: true, message: result.message };
+    } else if (!result.success) {
+      console.error('❌ Database error:', result.error);
+      return { success: false, error: result.error };
     }
 
     console.log('✅ Database connection successful');
-    return { success: true, message: 'Database connected successfully' };
+    return { success: true, message: result.message };
   } catch (err) {
     console.error('❌ Database connection failed:', err.message);
     return { success: false, error: err.message };
@@ -65,34 +51,42 @@ async function saveMonitoringData() {
   }
 }
 
+// Convert database format to server format
+function toChannelConfig(row) {
+  return {
+    channelHandle: row.channel_handle,
+    channelUrl: `https://www.youtube.com/${row.channel_handle}`,
+    channelId: row.channel_id || null,
+    webhookUrl: row.webhook_url,
+    destinations: row.destinations || (row.webhook_url ? [{ type: 'discord', url: row.webhook_url }] : []),
+    interval: row.monitor_interval,
+    contentTypes: row.content_types || ['live'],
+    templates: row.templates || {},
+    mode: row.detection_mode || 'poll',
+    settings: row.settings || {},
+    lastKnownStates: row.last_known_states || {},
+    lastCheckedAt: row.last_checked_at ? new Date(row.last_checked_at).getTime() : null,
+    consecutiveErrors: row.consecutive_errors || 0,
+    health: row.health || 'active',
+    errorReason: row.error_reason || null,
+    degradedAt: row.degraded_at ? new Date(row.degraded_at).getTime() : null,
+    setupAt: new Date(row.created_at).getTime(),
+    savedAt: new Date(row.updated_at).getTime()
+  };
+}
+
 // Load monitoring data from database and return it
 async function loadMonitoringData() {
   try {
     console.log('📂 Loading monitoring data from database...');
 
-    const { data, error } = await supabase
-      .from('monitoring_channels')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('❌ Error loading monitoring data:', error.message);
-      return { success: false, error: error.message };
-    }
+    const data = await storage.select('monitoring_channels', {
+      order: { column: 'created_at', ascending: false }
+    });
 
     console.log(`📊 Loaded ${data?.length || 0} monitoring configurations`);
 
-    // Convert database format to server format
-    const channels = data?.map(row => ({
-      channelHandle: row.channel_handle,
-      channelUrl: `https://www.youtube.com/${row.channel_handle}`,
-      webhookUrl: row.webhook_url,
-      interval: row.monitor_interval,
-      contentTypes: row.content_types || ['live'],
-      lastKnownStates: row.last_known_states || {},
-      setupAt: new Date(row.created_at).getTime(),
-      savedAt: new Date(row.updated_at).getTime()
-    })) || [];
+    const channels = data?.map(toChannelConfig) || [];
 
     return { success: true, count: data?.length || 0, channels: channels };
   } catch (error) {
@@ -101,32 +95,51 @@ async function loadMonitoringData() {
   }
 }
 
+// Load a single channel's configuration and last known state
+async function getChannelConfiguration(channelHandle) {
+  try {
+    const [row] = await storage.select('monitoring_channels', {
+      filters: [['channel_handle', 'eq', channelHandle]],
+      limit: 1
+    });
+
+    return { success: true, channel: row ? toChannelConfig(row) : null };
+  } catch (error) {
+    console.error('❌ Error loading channel configuration:', error.message);
+    return { success: false, error: error.message, channel: null };
+  }
+}
+
 // Save or update a single channel configuration
 async function saveChannelConfiguration(channelHandle, config) {
   try {
     console.log(`💾 Saving configuration for ${channelHandle}...`);
 
+    const destinations = config.destinations || [];
+
     const channelData = {
       channel_handle: channelHandle,
-      webhook_url: config.webhookUrl,
+      // webhook_url keeps the first URL destination for older readers of the table
+      webhook_url: destinations.find(destination => destination.url)?.url || null,
+      destinations: destinations,
       content_types: config.contentTypes || ['live'],
+      templates: config.templates || {},
+      detection_mode: config.mode || 'poll',
+      settings: config.settings || {},
       monitor_interval: config.interval || 60000,
       last_known_states: config.lastKnownStates || {},
       updated_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
-      .from('monitoring_channels')
-      .upsert(channelData, { onConflict: 'channel_handle' })
-      .select();
-
-    if (error) {
-      console.error(`❌ Error saving ${channelHandle}:`, error.message);
-      return { success: false, error: error.message };
+    // Only overwrite a stored channel ID with a known one
+    if (config.channelId) {
+      channelData.channel_id = config.channelId;
     }
 
+    const data = await storage.upsert('monitoring_channels', channelData);
+
     console.log(`✅ Saved configuration for ${channelHandle}`);
-    return { success: true, data: data[0] };
+    return { success: true, data: data };
   } catch (error) {
     console.error('❌ Error saving channel configuration:', error.message);
     return { success: false, error: error.message };
@@ -138,15 +151,7 @@ async function removeChannelFromDatabase(channelHandle) {
   try {
     console.log(`🗑️ Removing ${channelHandle} from database...`);
 
-    const { error } = await supabase
-      .from('monitoring_channels')
-      .delete()
-      .eq('channel_handle', channelHandle);
-
-    if (error) {
-      console.error(`❌ Error removing ${channelHandle}:`, error.message);
-      return { success: false, error: error.message };
-    }
+    await storage.delete('monitoring_channels', [['channel_handle', 'eq', channelHandle]]);
 
     console.log(`✅ Removed ${channelHandle} from database`);
     return { success: true };
@@ -161,15 +166,9 @@ async function getAllChannelsFromDatabase() {
   try {
     console.log('📋 Getting all channels from database...');
 
-    const { data, error } = await supabase
-      .from('monitoring_channels')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('❌ Error getting channels:', error.message);
-      return { success: false, error: error.message };
-    }
+    const data = await storage.select('monitoring_channels', {
+      order: { column: 'created_at', ascending: false }
+    });
 
     console.log(`📊 Found ${data?.length || 0} channels in database`);
     return { success: true, channels: data || [] };
@@ -184,18 +183,10 @@ async function updateChannelStates(channelHandle, states) {
   try {
     console.log(`🔄 Updating states for ${channelHandle}...`);
 
-    const { error } = await supabase
-      .from('monitoring_channels')
-      .update({ 
-        last_known_states: states,
-        updated_at: new Date().toISOString()
-      })
-      .eq('channel_handle', channelHandle);
-
-    if (error) {
-      console.error(`❌ Error updating states for ${channelHandle}:`, error.message);
-      return { success: false, error: error.message };
-    }
+    await storage.update('monitoring_channels', [['channel_handle', 'eq', channelHandle]], {
+      last_known_states: states,
+      updated_at: new Date().toISOString()
+    });
 
     console.log(`✅ Updated states for ${channelHandle}`);
     return { success: true };
@@ -205,7 +196,219 @@ async function updateChannelStates(channelHandle, states) {
   }
 }
 
-// Log monitoring events (optional)
+// Channels whose interval has passed since their last check, longest overdue first.
+// `slackMs` counts checks that are almost due as due, for schedulers that only fire once a minute.
+async function getDueChannels({ now = Date.now(), slackMs = 0 } = {}) {
+  try {
+    const data = await storage.select('monitoring_channels');
+
+    // Intervals differ per channel, so the comparison happens here rather than in a filter
+    const channels = (data || [])
+      .map(toChannelConfig)
+      .filter(channel => !channel.lastCheckedAt || channel.lastCheckedAt + (channel.interval || 60000) - slackMs <= now)
+      .sort((a, b) => (a.lastCheckedAt || 0) - (b.lastCheckedAt || 0));
+
+    return { success: true, channels: channels };
+  } catch (error) {
+    console.error('❌ Error getting due channels:', error.message);
+    return { success: false, error: error.message, channels: [] };
+  }
+}
+
+// Record a finished check cycle: the states it left behind, when it ran, the error streak and
+// whether the channel is degraded (and why)
+async function saveChannelCheck(channelHandle, { lastKnownStates, checkedAt = Date.now(), consecutiveErrors = 0, health = 'active', errorReason = null, degradedAt = null }) {
+  try {
+    await storage.update('monitoring_channels', [['channel_handle', 'eq', channelHandle]], {
+      last_known_states: lastKnownStates,
+      last_checked_at: new Date(checkedAt).toISOString(),
+      consecutive_errors: consecutiveErrors,
+      health,
+      error_reason: errorReason,
+      degraded_at: degradedAt ? new Date(degradedAt).toISOString() : null,
+      updated_at: new Date().toISOString()
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Error saving check for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// States, last check time, error streak and health of a stored channel (check is null when not stored)
+async function getChannelCheck(channelHandle) {
+  try {
+    const [row] = await storage.select('monitoring_channels', {
+      filters: [['channel_handle', 'eq', channelHandle]],
+      limit: 1
+    });
+
+    if (!row) {
+      return { success: true, check: null };
+    }
+
+    const { lastKnownStates, lastCheckedAt, consecutiveErrors, health, errorReason, degradedAt } = toChannelConfig(row);
+    return { success: true, check: { lastKnownStates, lastCheckedAt, consecutiveErrors, health, errorReason, degradedAt } };
+  } catch (error) {
+    console.error(`❌ Error getting check state for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Take or extend the lease on checking a channel. Each step is a single conditional write, so
+// two processes can't both come away holding it: extend our own lease, take over one that ran
+// out, or create it. Otherwise the current holder is returned.
+async function acquireCheckLease(channelHandle, holder, ttlMs) {
+  try {
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    const byChannel = ['channel_handle', 'eq', channelHandle];
+
+    const renewed = await storage.update('check_leases', [byChannel, ['holder', 'eq', holder]], {
+      expires_at: expiresAt
+    });
+    if (renewed.length > 0) {
+      return { success: true, acquired: true, renewed: true, holder, expiresAt };
+    }
+
+    const takenOver = await storage.update('check_leases', [byChannel, ['expires_at', 'lt', now]], {
+      holder: holder,
+      acquired_at: now,
+      expires_at: expiresAt
+    });
+    if (takenOver.length > 0) {
+      return { success: true, acquired: true, renewed: false, holder, expiresAt };
+    }
+
+    const [current] = await storage.select('check_leases', { filters: [byChannel], limit: 1 });
+    if (!current) {
+      try {
+        await storage.insert('check_leases', [{ channel_handle: channelHandle, holder, acquired_at: now, expires_at: expiresAt }]);
+        return { success: true, acquired: true, renewed: false, holder, expiresAt };
+      } catch (insertError) {
+        // Another process created it first
+        const [winner] = await storage.select('check_leases', { filters: [byChannel], limit: 1 });
+        if (!winner) throw insertError;
+        return { success: true, acquired: false, holder: winner.holder, expiresAt: winner.expires_at };
+      }
+    }
+
+    return { success: true, acquired: false, holder: current.holder, expiresAt: current.expires_at };
+  } catch (error) {
+    console.error(`❌ Error acquiring check lease for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function releaseCheckLease(channelHandle, holder) {
+  try {
+    const released = await storage.delete('check_leases', [
+      ['channel_handle', 'eq', channelHandle],
+      ['holder', 'eq', holder]
+    ]);
+    return { success: true, released: released > 0 };
+  } catch (error) {
+    console.error(`❌ Error releasing check lease for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getCheckLeases() {
+  try {
+    const data = await storage.select('check_leases', {
+      order: { column: 'channel_handle', ascending: true }
+    });
+
+    return {
+      success: true,
+      leases: (data || []).map(row => ({
+        channelHandle: row.channel_handle,
+        holder: row.holder,
+        acquiredAt: row.acquired_at,
+        expiresAt: row.expires_at
+      }))
+    };
+  } catch (error) {
+    console.error('❌ Error getting check leases:', error.message);
+    return { success: false, error: error.message, leases: [] };
+  }
+}
+
+// Claim a notification's dedup key before sending it; claimed is false when it was already sent.
+// With `windowMs` a claim older than that no longer counts, and the key can be claimed again.
+async function claimNotificationKey(dedupKey, { channelHandle, eventType, windowMs } = {}) {
+  try {
+    // The claim's time doubles as its token, so releaseNotificationKey only ever removes this claim
+    const claimedAt = new Date().toISOString();
+    try {
+      await storage.insert('notification_keys', [{ dedup_key: dedupKey, channel_handle: channelHandle, event_type: eventType, created_at: claimedAt }]);
+      return { success: true, claimed: true, claimedAt };
+    } catch (insertError) {
+      const byKey = ['dedup_key', 'eq', dedupKey];
+      const [existing] = await storage.select('notification_keys', { filters: [byKey], limit: 1 });
+      if (!existing) throw insertError;
+
+      if (windowMs) {
+        const reclaimed = await storage.update('notification_keys', [byKey, ['created_at', 'lt', new Date(Date.parse(claimedAt) - windowMs).toISOString()]], {
+          created_at: claimedAt
+        });
+        if (reclaimed.length > 0) {
+          return { success: true, claimed: true, claimedAt };
+        }
+      }
+
+      return { success: true, claimed: false, claimedAt: existing.created_at };
+    }
+  } catch (error) {
+    console.error(`❌ Error claiming notification key ${dedupKey}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Give back a key claimed at `claimedAt` when nothing was sent or queued for it, so the next
+// detection can notify. A newer claim of the same key (another process, a later window) is kept.
+async function releaseNotificationKey(dedupKey, claimedAt) {
+  try {
+    const released = await storage.delete('notification_keys', [
+      ['dedup_key', 'eq', dedupKey],
+      ['created_at', 'eq', claimedAt]
+    ]);
+    return { success: true, released: released > 0 };
+  } catch (error) {
+    console.error(`❌ Error releasing notification key ${dedupKey}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Resolved YouTube channel ID stored with a monitored channel (null when unknown)
+async function getStoredChannelId(channelHandle) {
+  try {
+    const [row] = await storage.select('monitoring_channels', {
+      filters: [['channel_handle', 'eq', channelHandle]],
+      limit: 1
+    });
+    return { success: true, channelId: row?.channel_id || null };
+  } catch (error) {
+    console.error(`❌ Error getting channel ID for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message, channelId: null };
+  }
+}
+
+// Remember (or forget, with null) the channel ID of a monitored channel; unmonitored handles are ignored
+async function saveChannelId(channelHandle, channelId) {
+  try {
+    const rows = await storage.update('monitoring_channels', [['channel_handle', 'eq', channelHandle]], {
+      channel_id: channelId
+    });
+    return { success: true, saved: rows.length > 0 };
+  } catch (error) {
+    console.error(`❌ Error saving channel ID for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Log a monitoring event to the durable event history
 async function logMonitoringEvent(channelHandle, event, data = {}) {
   try {
     const eventData = {
@@ -215,17 +418,703 @@ async function logMonitoringEvent(channelHandle, event, data = {}) {
       created_at: new Date().toISOString()
     };
 
-    const { error } = await supabase
-      .from('monitoring_events')
-      .insert([eventData]);
+    const [row] = await storage.insert('monitoring_events', [eventData]);
+
+    return { success: true, id: row?.id ?? null };
+  } catch (error) {
+    console.error(`❌ Error logging ${event} event for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Query event history, newest first. `cursor` is the id of the last event from the previous page.
+async function getMonitoringEvents({ channelHandle, eventTypes, since, until, cursor, limit = 50 } = {}) {
+  try {
+    const filters = [];
+
+    if (channelHandle) filters.push(['channel_handle', 'eq', channelHandle]);
+    if (eventTypes && eventTypes.length > 0) filters.push(['event_type', 'in', eventTypes]);
+    if (since) filters.push(['created_at', 'gte', since]);
+    if (until) filters.push(['created_at', 'lte', until]);
+    if (cursor) filters.push(['id', 'lt', cursor]);
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await storage.select('monitoring_events', {
+      filters,
+      order: { column: 'id', ascending: false },
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const events = page.map(row => ({
+      id: row.id,
+      channelHandle: row.channel_handle,
+      eventType: row.event_type,
+      data: row.event_data || {},
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+
+    return {
+      success: true,
+      events,
+      nextCursor: rows.length > limit ? page[page.length - 1].id : null
+    };
+  } catch (error) {
+    console.error('❌ Error getting monitoring events:', error.message);
+    return { success: false, error: error.message, events: [] };
+  }
+}
+
+// Convert a webhook_deliveries row to the server format
+function toDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    channelHandle: row.channel_handle,
+    webhookUrl: row.webhook_url,
+    destination: row.destination,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts || 0,
+    nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+// Queue a webhook delivery
+// The delivery starts out claimed until `claimUntil` by the process making the first attempt
+async function createDelivery(channelHandle, destination, eventType, payload, eventId, claimUntil) {
+  try {
+    const [row] = await storage.insert('webhook_deliveries', [{
+      event_id: eventId,
+      channel_handle: channelHandle,
+      webhook_url: getDestinationUrl(destination),
+      destination: destination,
+      event_type: eventType,
+      payload: payload,
+      status: 'sending',
+      attempts: 0,
+      next_attempt_at: claimUntil
+    }]);
+
+    return { success: true, delivery: toDelivery(row) };
+  } catch (error) {
+    console.error(`❌ Error queueing ${eventType} delivery for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Update a webhook delivery (status, attempts, schedule). `expected` (status, nextAttemptAt) makes
+// it conditional: a delivery that no longer matches is left alone and `conflict` is set.
+async function updateDelivery(id, changes, expected = {}) {
+  try {
+    const patch = { updated_at: new Date().toISOString() };
+    const columns = {
+      status: 'status',
+      attempts: 'attempts',
+      nextAttemptAt: 'next_attempt_at',
+      lastStatus: 'last_status',
+      lastError: 'last_error',
+      deliveredAt: 'delivered_at'
+    };
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] !== undefined) patch[column] = changes[key];
+    }
+
+    const filters = [['id', 'eq', id]];
+    if (expected.status) filters.push(['status', 'eq', expected.status]);
+    if (expected.nextAttemptAt) filters.push(['next_attempt_at', 'eq', expected.nextAttemptAt]);
 
-    if (error) {
-      // Don't log errors for events table as it's optional
-      return { success: false, error: error.message };
+    const [row] = await storage.update('webhook_deliveries', filters, patch);
+    if (!row) {
+      if (filters.length > 1) {
+        return { success: false, conflict: true, error: 'Delivery changed since it was read' };
+      }
+      return { success: false, error: 'Delivery not found' };
     }
 
+    return { success: true, delivery: toDelivery(row) };
+  } catch (error) {
+    console.error(`❌ Error updating delivery ${id}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get a single webhook delivery
+async function getDelivery(id) {
+  try {
+    const [row] = await storage.select('webhook_deliveries', { filters: [['id', 'eq', id]], limit: 1 });
+    return { success: true, delivery: row ? toDelivery(row) : null };
+  } catch (error) {
+    console.error(`❌ Error getting delivery ${id}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Pending deliveries whose next attempt is due, oldest first
+async function getDueDeliveries(limit = 25) {
+  try {
+    // Claims of a process that died mid-send run out like a retry delay
+    const rows = await storage.select('webhook_deliveries', {
+      filters: [
+        ['status', 'in', ['pending', 'sending']],
+        ['next_attempt_at', 'lte', new Date().toISOString()]
+      ],
+      order: { column: 'id', ascending: true },
+      limit
+    });
+
+    return { success: true, deliveries: rows.map(toDelivery) };
+  } catch (error) {
+    console.error('❌ Error getting due deliveries:', error.message);
+    return { success: false, error: error.message, deliveries: [] };
+  }
+}
+
+// Take a due delivery for sending. This is a single conditional write, so of two processes
+// going for the same row only one gets it. While claimed, next_attempt_at holds the claim's expiry,
+// after which another process may try the delivery again.
+async function claimDelivery(id, claimUntil) {
+  try {
+    const now = new Date().toISOString();
+    const [row] = await storage.update('webhook_deliveries', [
+      ['id', 'eq', id],
+      ['status', 'in', ['pending', 'sending']],
+      ['next_attempt_at', 'lte', now]
+    ], {
+      status: 'sending',
+      next_attempt_at: claimUntil,
+      updated_at: now
+    });
+
+    return { success: true, claimed: Boolean(row), delivery: row ? toDelivery(row) : null };
+  } catch (error) {
+    console.error(`❌ Error claiming delivery ${id}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// List deliveries, newest first. `cursor` is the id of the last delivery from the previous page.
+async function getDeliveries({ status, channelHandle, cursor, limit = 50 } = {}) {
+  try {
+    const filters = [];
+
+    if (status) filters.push(['status', 'eq', status]);
+    if (channelHandle) filters.push(['channel_handle', 'eq', channelHandle]);
+    if (cursor) filters.push(['id', 'lt', cursor]);
+
+    const rows = await storage.select('webhook_deliveries', {
+      filters,
+      order: { column: 'id', ascending: false },
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    return {
+      success: true,
+      deliveries: page.map(toDelivery),
+      nextCursor: rows.length > limit ? page[page.length - 1].id : null
+    };
+  } catch (error) {
+    console.error('❌ Error getting deliveries:', error.message);
+    return { success: false, error: error.message, deliveries: [] };
+  }
+}
+
+// Convert a websub_subscriptions row to the server format
+function toSubscription(row) {
+  return {
+    channelHandle: row.channel_handle,
+    channelId: row.channel_id,
+    topic: row.topic,
+    hubUrl: row.hub_url,
+    callbackUrl: row.callback_url,
+    secret: row.secret,
+    status: row.status,
+    leaseSeconds: row.lease_seconds,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    lastError: row.last_error,
+    lastNotificationAt: row.last_notification_at ? new Date(row.last_notification_at).toISOString() : null,
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+// Create or update a channel's WebSub subscription
+async function saveWebSubSubscription(channelHandle, changes) {
+  try {
+    const row = { channel_handle: channelHandle, updated_at: new Date().toISOString() };
+    const columns = {
+      channelId: 'channel_id',
+      topic: 'topic',
+      hubUrl: 'hub_url',
+      callbackUrl: 'callback_url',
+      secret: 'secret',
+      status: 'status',
+      leaseSeconds: 'lease_seconds',
+      expiresAt: 'expires_at',
+      lastError: 'last_error',
+      lastNotificationAt: 'last_notification_at'
+    };
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] !== undefined) row[column] = changes[key];
+    }
+
+    const saved = await storage.upsert('websub_subscriptions', row);
+    return { success: true, subscription: toSubscription(saved) };
+  } catch (error) {
+    console.error(`❌ Error saving WebSub subscription for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// All WebSub subscriptions, optionally only those for one YouTube channel id
+async function getWebSubSubscriptions({ channelId } = {}) {
+  try {
+    const rows = await storage.select('websub_subscriptions', {
+      filters: channelId ? [['channel_id', 'eq', channelId]] : [],
+      order: { column: 'created_at', ascending: true }
+    });
+
+    return { success: true, subscriptions: rows.map(toSubscription) };
+  } catch (error) {
+    console.error('❌ Error getting WebSub subscriptions:', error.message);
+    return { success: false, error: error.message, subscriptions: [] };
+  }
+}
+
+async function removeWebSubSubscription(channelHandle) {
+  try {
+    await storage.delete('websub_subscriptions', [['channel_handle', 'eq', channelHandle]]);
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Error removing WebSub subscription for ${channelHandle}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Add usage to the totals for one channel/method on one quota day and return the new totals.
+// Every process spends from the same quota, so the totals only move from the values that were
+// read; when another process added in the meantime, read them again.
+async function addQuotaUsage(usageDate, channelHandle, method, units, calls = 1) {
+  try {
+    const byKey = [
+      ['usage_date', 'eq', usageDate],
+      ['channel_handle', 'eq', channelHandle || ''],
+      ['method', 'eq', method]
+    ];
+
+    for (let attempt = 0; attempt < MAX_COUNTER_ATTEMPTS; attempt++) {
+      const updatedAt = new Date().toISOString();
+      const [row] = await storage.select('api_quota_usage', { filters: byKey, limit: 1 });
+
+      if (!row) {
+        try {
+          const [created] = await storage.insert('api_quota_usage', [{
+            usage_date: usageDate,
+            channel_handle: channelHandle || '',
+            method: method,
+            units: units,
+            calls: calls,
+            updated_at: updatedAt
+          }]);
+          return { success: true, units: created.units, calls: created.calls };
+        } catch (insertError) {
+          // Another process created the row first; add to it
+          const [winner] = await storage.select('api_quota_usage', { filters: byKey, limit: 1 });
+          if (!winner) throw insertError;
+          continue;
+        }
+      }
+
+      const [updated] = await storage.update('api_quota_usage', [...byKey, ['units', 'eq', row.units], ['calls', 'eq', row.calls]], {
+        units: (row.units || 0) + units,
+        calls: (row.calls || 0) + calls,
+        updated_at: updatedAt
+      });
+      if (updated) {
+        return { success: true, units: updated.units, calls: updated.calls };
+      }
+    }
+
+    throw new Error(`Quota usage kept changing after ${MAX_COUNTER_ATTEMPTS} attempts`);
+  } catch (error) {
+    console.error(`❌ Error saving quota usage for ${method}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Quota usage rows from `sinceDate` (YYYY-MM-DD) onwards
+async function getQuotaUsage(sinceDate) {
+  try {
+    const rows = await storage.select('api_quota_usage', {
+      filters: sinceDate ? [['usage_date', 'gte', sinceDate]] : [],
+      order: { column: 'usage_date', ascending: true }
+    });
+
+    return {
+      success: true,
+      usage: rows.map(row => ({
+        date: row.usage_date,
+        channelHandle: row.channel_handle || null,
+        method: row.method,
+        units: row.units || 0,
+        calls: row.calls || 0
+      }))
+    };
+  } catch (error) {
+    console.error('❌ Error getting quota usage:', error.message);
+    return { success: false, error: error.message, usage: [] };
+  }
+}
+
+// Convert a stream_records row to the server format
+function toStreamRecord(row) {
+  const toIso = value => value ? new Date(value).toISOString() : null;
+
+  return {
+    videoId: row.video_id,
+    channelHandle: row.channel_handle,
+    title: row.title,
+    status: row.status,
+    scheduledStartTime: toIso(row.scheduled_start_time),
+    startedAt: toIso(row.started_at),
+    endedAt: toIso(row.ended_at),
+    durationSeconds: row.duration_seconds,
+    peakViewers: row.peak_viewers,
+    averageViewers: row.average_viewers,
+    sampleCount: row.sample_count || 0,
+    viewerTotal: Number(row.viewer_total) || 0,
+    titleChanges: row.title_changes || [],
+    samples: row.samples || []
+  };
+}
+
+// Create or replace the record for one live stream
+async function saveStreamRecord(record) {
+  try {
+    const saved = await storage.upsert('stream_records', {
+      video_id: record.videoId,
+      channel_handle: record.channelHandle,
+      title: record.title,
+      status: record.status,
+      scheduled_start_time: record.scheduledStartTime,
+      started_at: record.startedAt,
+      ended_at: record.endedAt,
+      duration_seconds: record.durationSeconds,
+      peak_viewers: record.peakViewers,
+      average_viewers: record.averageViewers,
+      sample_count: record.sampleCount,
+      viewer_total: record.viewerTotal,
+      title_changes: record.titleChanges,
+      samples: record.samples,
+      updated_at: new Date().toISOString()
+    });
+
+    return { success: true, record: toStreamRecord(saved) };
+  } catch (error) {
+    console.error(`❌ Error saving stream record for ${record.videoId}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getStreamRecord(videoId) {
+  try {
+    const [row] = await storage.select('stream_records', {
+      filters: [['video_id', 'eq', videoId]],
+      limit: 1
+    });
+
+    return { success: true, record: row ? toStreamRecord(row) : null };
+  } catch (error) {
+    console.error(`❌ Error getting stream record for ${videoId}:`, error.message);
+    return { success: false, error: error.message, record: null };
+  }
+}
+
+// Stream records, most recently started first
+async function getStreamRecords({ channelHandle, status, limit = 50 } = {}) {
+  try {
+    const filters = [];
+    if (channelHandle) filters.push(['channel_handle', 'eq', channelHandle]);
+    if (status) filters.push(['status', 'eq', status]);
+
+    const rows = await storage.select('stream_records', {
+      filters,
+      order: { column: 'started_at', ascending: false },
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    return { success: true, records: rows.map(toStreamRecord) };
+  } catch (error) {
+    console.error('❌ Error getting stream records:', error.message);
+    return { success: false, error: error.message, records: [] };
+  }
+}
+
+// Convert a short_links row to the server format
+function toShortLink(row) {
+  return {
+    code: row.code,
+    url: row.url,
+    channelHandle: row.channel_handle || null,
+    videoId: row.video_id || null,
+    event: row.event || null,
+    title: row.title || null,
+    custom: !!row.custom,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    maxClicks: row.max_clicks ?? null,
+    retiredAt: row.retired_at ? new Date(row.retired_at).toISOString() : null,
+    clicks: row.clicks || 0,
+    lastClickedAt: row.last_clicked_at ? new Date(row.last_clicked_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+async function createShortLink({ code, url, channelHandle, videoId, event, title, custom, expiresAt, maxClicks }) {
+  try {
+    const [row] = await storage.insert('short_links', [{
+      code,
+      url,
+      channel_handle: channelHandle || null,
+      video_id: videoId || null,
+      event: event || null,
+      title: title || null,
+      custom: !!custom,
+      expires_at: expiresAt || null,
+      max_clicks: maxClicks ?? null,
+      clicks: 0
+    }]);
+
+    return { success: true, link: toShortLink(row) };
+  } catch (error) {
+    console.error(`❌ Error creating short link ${code}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getShortLink(code) {
+  try {
+    const [row] = await storage.select('short_links', {
+      filters: [['code', 'eq', code]],
+      limit: 1
+    });
+
+    return { success: true, link: row ? toShortLink(row) : null };
+  } catch (error) {
+    console.error(`❌ Error getting short link ${code}:`, error.message);
+    return { success: false, error: error.message, link: null };
+  }
+}
+
+// Change a link's destination, limits or announcement details; fields left undefined are kept
+async function updateShortLink(code, { url, channelHandle, videoId, event, title, expiresAt, maxClicks, retiredAt }) {
+  try {
+    const patch = { updated_at: new Date().toISOString() };
+    if (url !== undefined) patch.url = url;
+    if (channelHandle !== undefined) patch.channel_handle = channelHandle;
+    if (videoId !== undefined) patch.video_id = videoId;
+    if (event !== undefined) patch.event = event;
+    if (title !== undefined) patch.title = title;
+    if (expiresAt !== undefined) patch.expires_at = expiresAt;
+    if (maxClicks !== undefined) patch.max_clicks = maxClicks;
+    if (retiredAt !== undefined) patch.retired_at = retiredAt;
+
+    const [row] = await storage.update('short_links', [['code', 'eq', code]], patch);
+
+    return { success: true, link: row ? toShortLink(row) : null };
+  } catch (error) {
+    console.error(`❌ Error updating short link ${code}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Short links, newest first (optionally for one channel or event)
+async function getShortLinks({ channelHandle, event, limit = 50 } = {}) {
+  try {
+    const rows = await storage.select('short_links', {
+      filters: shortLinkFilters({ channelHandle, event }),
+      order: { column: 'created_at', ascending: false },
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    return { success: true, links: rows.map(toShortLink) };
+  } catch (error) {
+    console.error('❌ Error getting short links:', error.message);
+    return { success: false, error: error.message, links: [] };
+  }
+}
+
+// Every short link matching the same filters, without getShortLinks' page limit, for totals
+async function getAllShortLinks({ channelHandle, event } = {}) {
+  try {
+    const rows = await storage.select('short_links', { filters: shortLinkFilters({ channelHandle, event }) });
+    return { success: true, links: rows.map(toShortLink) };
+  } catch (error) {
+    console.error('❌ Error getting all short links:', error.message);
+    return { success: false, error: error.message, links: [] };
+  }
+}
+
+function shortLinkFilters({ channelHandle, event }) {
+  const filters = [];
+  if (channelHandle) filters.push(['channel_handle', 'eq', channelHandle]);
+  if (event) filters.push(['event', 'eq', event]);
+  return filters;
+}
+
+// The oldest generated link pointing at `url`, so a URL keeps one code. Aliases, retired links and
+// links with limits are left out: they can be retargeted or stop working, which announcements mustn't
+async function findShortLinkByUrl(url) {
+  try {
+    const rows = await storage.select('short_links', {
+      filters: [['url', 'eq', url]],
+      order: { column: 'created_at', ascending: true }
+    });
+
+    const row = rows.find(link => !link.custom && !link.retired_at && !link.expires_at && link.max_clicks == null);
+
+    return { success: true, link: row ? toShortLink(row) : null };
+  } catch (error) {
+    console.error('❌ Error looking up short link by URL:', error.message);
+    return { success: false, error: error.message, link: null };
+  }
+}
+
+// Count a click on a short link and keep its referrer and time. `counted` is false when the link
+// has reached its click limit; the limit is checked in the same conditional update as the count.
+// `visitorHash` is a salted hash of the visitor's IP (see linkShortener.js), never the IP itself
+async function recordLinkClick(code, { visitorHash, referrer, userAgent } = {}) {
+  try {
+    const byCode = ['code', 'eq', code];
+
+    // The count only moves from the value that was read, so concurrent clicks can't overwrite each
+    // other; when another click got in first, read the new count and try again
+    for (let attempt = 0; attempt < MAX_COUNTER_ATTEMPTS; attempt++) {
+      const [row] = await storage.select('short_links', { filters: [byCode], limit: 1 });
+
+      if (!row) {
+        return { success: false, error: 'Short link not found' };
+      }
+
+      if (row.max_clicks != null && (row.clicks || 0) >= row.max_clicks) {
+        return { success: true, counted: false, link: toShortLink(row) };
+      }
+
+      const clickedAt = new Date().toISOString();
+
+      const [updated] = await storage.update('short_links', [byCode, ['clicks', 'eq', row.clicks]], {
+        clicks: (row.clicks || 0) + 1,
+        last_clicked_at: clickedAt,
+        updated_at: clickedAt
+      });
+      if (!updated) continue;
+
+      await storage.insert('link_clicks', [{
+        code,
+        visitor_hash: visitorHash || null,
+        referrer: referrer || null,
+        user_agent: userAgent || null,
+        created_at: clickedAt
+      }]);
+
+      return { success: true, counted: true, link: toShortLink(updated) };
+    }
+
+    throw new Error(`Click count kept changing after ${MAX_COUNTER_ATTEMPTS} attempts`);
+  } catch (error) {
+    console.error(`❌ Error recording click on ${code}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Clicks on a short link, oldest first (optionally only those since an ISO time)
+async function getLinkClicks(code, { since } = {}) {
+  try {
+    const filters = [['code', 'eq', code]];
+    if (since) filters.push(['created_at', 'gte', since]);
+
+    const rows = await storage.select('link_clicks', {
+      filters,
+      order: { column: 'created_at', ascending: true }
+    });
+
+    return {
+      success: true,
+      clicks: rows.map(row => ({
+        visitorHash: row.visitor_hash || null,
+        referrer: row.referrer || null,
+        userAgent: row.user_agent || null,
+        createdAt: new Date(row.created_at).toISOString()
+      }))
+    };
+  } catch (error) {
+    console.error(`❌ Error getting clicks for ${code}:`, error.message);
+    return { success: false, error: error.message, clicks: [] };
+  }
+}
+
+// A secret the app makes for itself (such as the visitor hash salt), stored on first use.
+// Processes that create it at the same time all end up with the first one stored.
+async function getOrCreateAppSecret(name, generate) {
+  try {
+    const byName = [['name', 'eq', name]];
+
+    const [existing] = await storage.select('app_secrets', { filters: byName, limit: 1 });
+    if (existing) {
+      return { success: true, value: existing.value };
+    }
+
+    try {
+      const [created] = await storage.insert('app_secrets', [{ name, value: generate() }]);
+      console.log(`🔑 Generated ${name}`);
+      return { success: true, value: created.value };
+    } catch (insertError) {
+      const [winner] = await storage.select('app_secrets', { filters: byName, limit: 1 });
+      if (!winner) throw insertError;
+      return { success: true, value: winner.value };
+    }
+  } catch (error) {
+    console.error(`❌ Error loading ${name}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// A URL an external shortener already shortened, or null
+async function getShortenedUrl(longUrl) {
+  try {
+    const [row] = await storage.select('shortened_urls', {
+      filters: [['long_url', 'eq', longUrl]],
+      limit: 1
+    });
+
+    return {
+      success: true,
+      entry: row ? { longUrl: row.long_url, shortUrl: row.short_url, service: row.service } : null
+    };
+  } catch (error) {
+    console.error('❌ Error looking up shortened URL:', error.message);
+    return { success: false, error: error.message, entry: null };
+  }
+}
+
+async function saveShortenedUrl({ longUrl, shortUrl, service }) {
+  try {
+    await storage.upsert('shortened_urls', {
+      long_url: longUrl,
+      short_url: shortUrl,
+      service,
+      updated_at: new Date().toISOString()
+    });
+
     return { success: true };
   } catch (error) {
+    console.error('❌ Error saving shortened URL:', error.message);
     return { success: false, error: error.message };
   }
 }
@@ -236,12 +1125,9 @@ async function initializeDatabase() {
     console.log('🏗️ Checking database tables...');
 
     // Test if tables exist by trying to select from them
-    const { data, error } = await supabase
-      .from('monitoring_channels')
-      .select('count')
-      .limit(1);
+    const result = await storage.testConnection();
 
-    if (error && error.code === 'PGRST116') {
+    if (result.missingTables) {
       console.log('⚠️ Database tables not found. Please run the SQL setup script.');
       console.log('📝 Go to Supabase Dashboard → SQL Editor');
       console.log('📋 Run the contents of supabase_setup.sql file');
@@ -263,9 +1149,47 @@ export {
   removeChannelFromDatabase,
   getAllChannelsFromDatabase,
   logMonitoringEvent,
+  getMonitoringEvents,
+  createDelivery,
+  updateDelivery,
+  getDelivery,
+  getDueDeliveries,
+  claimDelivery,
+  getDeliveries,
+  saveWebSubSubscription,
+  getWebSubSubscriptions,
+  removeWebSubSubscription,
+  addQuotaUsage,
+  getQuotaUsage,
+  saveStreamRecord,
+  getStreamRecord,
+  getStreamRecords,
+  createShortLink,
+  getShortLink,
+  updateShortLink,
+  getShortLinks,
+  getAllShortLinks,
+  findShortLinkByUrl,
+  recordLinkClick,
+  getLinkClicks,
+  getOrCreateAppSecret,
+  getShortenedUrl,
+  saveShortenedUrl,
+  getChannelConfiguration,
   saveChannelConfiguration,
   updateChannelStates,
+  getDueChannels,
+  saveChannelCheck,
+  getChannelCheck,
+  acquireCheckLease,
+  releaseCheckLease,
+  getCheckLeases,
+  claimNotificationKey,
+  releaseNotificationKey,
+  getStoredChannelId,
+  saveChannelId,
   initializeDatabase,
+  storage,
   supabase
 };
 
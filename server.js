@@ -3,6 +3,7 @@ import axios from 'axios';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 dotenv.config();
@@ -11,19 +12,73 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 import {
+    getChannelConfiguration,
     saveChannelConfiguration,
     updateChannelStates,
+    getDueChannels,
+    saveChannelCheck,
+    getChannelCheck,
+    claimNotificationKey,
+    releaseNotificationKey,
     removeChannelFromDatabase,
     saveMonitoringData,
     loadMonitoringData,
     logMonitoringEvent,
+    getMonitoringEvents,
     getAllChannelsFromDatabase,
-    testDatabaseConnection
+    testDatabaseConnection,
+    getDeliveries,
+    getQuotaUsage,
+    getStoredChannelId,
+    saveChannelId,
+    saveStreamRecord,
+    getStreamRecord,
+    getShortLinks,
+    getAllShortLinks,
+    getShortLink,
+    getLinkClicks
 } from './database.js';
+import DeliveryQueue from './src/services/deliveryQueue.js';
+import {
+    DESTINATION_TYPES,
+    formatNotification,
+    normalizeDestinations,
+    validateDestination,
+    maskDestination,
+    maskWebhookUrl
+} from './src/services/destinations.js';
+import { TEMPLATE_EVENTS, SAMPLE_DATA, validateTemplates } from './src/services/templates.js';
+import WebSubManager from './src/services/websub.js';
+import CheckLeases from './src/services/checkLeases.js';
+import CheckScheduler from './src/services/checkScheduler.js';
+import QuotaTracker, { API_COSTS } from './src/services/quotaTracker.js';
+import { ChannelIdCache, lookupChannelId, normalizeHandle } from './src/services/channelResolver.js';
+import YouTubeProvider, { UPLOADS_PAGE_SIZE, toListedVideo, formatStartTime } from './src/services/youtubeProvider.js';
+import { validateSettings, getSetting, resolveSettings } from './src/services/channelSettings.js';
+import { ACTIVITY_EVENT_TYPES, ACTIVITY_HISTORY_DAYS, buildActivityProfile, chooseAdaptiveInterval, describeProfile } from './src/services/activityProfile.js';
+import { createStreamRecord, addStreamSample, finishStreamRecord, summarizeStream } from './src/services/streamAnalytics.js';
+import { formatDuration } from './src/services/videoDetails.js';
+import createApiRouter from './src/routes/api.js';
+import LinkShortener, { linkStatus } from './src/services/linkShortener.js';
+import ShortenerService from './src/services/shortenerService.js';
+import { summarizeClicks, summarizeChannels, BUCKET_NAMES } from './src/services/linkAnalytics.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Express's "trust proxy": X-Forwarded-For is only believed from the proxies it names, since any
+// client can send the header. TRUST_PROXY is true, a hop count, or addresses/subnets; on Vercel
+// the edge in front of the function is one hop.
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+    if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+}
+
+app.set('trust proxy', trustProxySetting());
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -40,11 +95,78 @@ let activeMonitors = new Map(); // channelHandle -> intervalId for active monito
 const CACHE_DURATION = parseInt(process.env.CACHE_DURATION) || 2 * 60 * 1000; // 2 minutes
 const DEFAULT_MONITOR_INTERVAL = parseInt(process.env.DEFAULT_MONITOR_INTERVAL) || 60 * 1000; // 1 minute
 
+// How uploads are detected: 'poll' checks on every interval, 'push' gets them from a WebSub hub
+const DETECTION_MODES = ['poll', 'push'];
+
+// Event types persisted to the monitoring event history
+const MONITORING_EVENT_TYPES = [
+    'stream_started', 'stream_ended', 'new_video', 'new_short',
+    'stream_scheduled', 'stream_reminder', 'stream_rescheduled', 'stream_cancelled',
+    'monitoring_error', 'monitoring_degraded', 'monitoring_recovered', 'webhook_delivery'
+];
+
+// What a channel can be monitored for
+const CONTENT_TYPES = ['live', 'videos', 'shorts', 'upcoming'];
+
+// /api/cron/tick: checks that are almost due count as due (schedulers fire once a minute at best),
+// and a tick stops starting checks after its time budget so it ends inside the function timeout
+const CRON_DUE_SLACK = 15 * 1000;
+const CRON_TICK_BUDGET = parseInt(process.env.CRON_TICK_BUDGET_MS) || 25 * 1000;
+
+// How long a sent notification blocks a duplicate (default: for good). A live stream can drop and
+// come back under the same video ID, so its start and end only count as duplicates for a while.
+const DEDUP_WINDOWS = {
+    stream_started: 10 * 60 * 1000,
+    stream_ended: 10 * 60 * 1000
+};
+
+// Adaptive polling relearns a channel's activity profile this often, and right after new activity
+const ACTIVITY_REFRESH = 60 * 60 * 1000;
+
+// A channel whose checks keep failing is degraded, not dropped: it is retried with a backoff that
+// doubles with every further failure, up to this long between checks
+const MAX_ERROR_BACKOFF = parseInt(process.env.ERROR_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+
 // Dynamic monitoring state - supports multiple channels
 let monitoringInstances = new Map(); // channelHandle -> monitoring instance
 let globalCache = new Map(); // channelHandle -> cached data
 let persistentChannels = new Map(); // channelHandle -> config data
 
+// Outgoing webhook notifications are persisted and retried by this queue
+const deliveryQueue = new DeliveryQueue();
+deliveryQueue.start();
+
+// YouTube Data API usage against the daily quota budget
+const quotaTracker = new QuotaTracker();
+
+// Resolved handle → channel ID mappings (also persisted with each monitored channel)
+const channelIdCache = new ChannelIdCache();
+
+// Push-mode channels get uploads from a WebSub hub; live status is still polled
+const webSub = new WebSubManager();
+webSub.start();
+
+// Only the process holding a channel's lease checks it (see checkLeases.js)
+const checkLeases = new CheckLeases();
+
+// Runs every monitored channel's checks: one queue, jittered, with a cap on concurrent checks
+const scheduler = new CheckScheduler();
+
+// Built-in short links served by /s/:code, with click counts
+const linkShortener = new LinkShortener();
+
+// Every short URL (announcements, /api/live-link and /api/v1): built-in links, memoized external
+// results, provider concurrency limit and circuit breakers
+const shortenerService = new ShortenerService({ linkShortener });
+
+// Every YouTube lookup: Data API calls are charged to the quota tracker and channel IDs come from storage
+const youtube = new YouTubeProvider({
+    apiGet: youtubeApiGet,
+    canSpend: method => quotaTracker.canSpend(method),
+    resolveChannelId: getChannelIdFromHandle,
+    forgetChannelId: forgetChannelId
+});
+
 // ✅ Updated root route to serve index.html
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -54,6 +176,61 @@ app.get('/health', (req, res) => {
     res.json({ success: true, status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// GET /s/:code - Built-in short link redirect
+app.get('/s/:code', async (req, res) => {
+    try {
+        const link = await linkShortener.resolve(req.params.code);
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                error: 'Short link not found'
+            });
+        }
+
+        const status = linkStatus(link);
+        if (status !== 'active') {
+            return res.status(410).json({
+                success: false,
+                status,
+                error: `Short link is ${status}`
+            });
+        }
+
+        const click = await linkShortener.recordClick(link.code, {
+            // Resolved from X-Forwarded-For only behind a trusted proxy (see trustProxySetting)
+            ip: req.ip,
+            referrer: req.get('Referer') || null,
+            userAgent: req.get('User-Agent') || null
+        });
+
+        if (!click.success) {
+            return res.status(500).json({
+                success: false,
+                error: click.error
+            });
+        }
+
+        // The last allowed clicks may have been used up since the link was looked up
+        if (!click.counted) {
+            return res.status(410).json({
+                success: false,
+                status: 'exhausted',
+                error: 'Short link is exhausted'
+            });
+        }
+
+        // 302 rather than 301, so browsers come back through here and every click is counted
+        res.redirect(302, link.url);
+    } catch (error) {
+        console.error('❌ Short link redirect error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // ✅ New API info route
 app.get('/api/info', (req, res) => {
     res.json({
@@ -64,42 +241,89 @@ app.get('/api/info', (req, res) => {
         endpoints: [
             'GET /health - Health check',
             'GET /api/info - API information',
-            'GET /api/live-link - Check channel status',
+            'GET /s/:code - Built-in short link redirect (counts clicks)',
+            'GET /api/links - Short links with click counts per channel',
+            'GET /api/links/:code/stats - Clicks over time, unique visitors and referrers',
+            'GET /api/live-link - Check channel status (?type=live|videos|shorts|upcoming|all)',
             'POST /api/monitoring/setup - Setup monitoring',
             'GET /api/monitoring/channels - List channels',
-            'GET /api/monitoring/status - System status'
+            'GET /api/monitoring/status - System status',
+            'GET /api/monitoring/events - Monitoring event history',
+            'GET /api/monitoring/deliveries - Webhook delivery queue (?status=dead for dead letters)',
+            'POST /api/monitoring/deliveries/replay - Replay all dead-lettered deliveries',
+            'POST /api/monitoring/deliveries/:id/replay - Replay a dead-lettered delivery',
+            'PUT /api/monitoring/templates - Update a channel\'s message templates',
+            'POST /api/monitoring/templates/preview - Render a message template without sending it',
+            'GET /api/monitoring/quota - YouTube API quota usage and budget (?days=7 for history)',
+            'GET /api/monitoring/leases - Which process holds each channel\'s check lease',
+            'GET /api/monitoring/scheduler - Check queue: next due channels, running and waiting checks',
+            'GET /api/v1/live-streams - Streams live now on monitored channels (?channel= for any channel)',
+            'GET /api/v1/streams/all - Recorded live streams (?channel=, ?status=live|ended)',
+            'GET /api/v1/streams/:videoId - Live stream record with duration and viewer stats',
+            'POST /api/v1/check-now - Check monitored channels now (optional "channel")',
+            'GET /api/v1/channel - Channel details and monitoring status (?channel=)',
+            'POST /api/v1/monitoring/:action - Start or stop monitoring a channel ("channel" in the body)',
+            'GET /api/v1/shortener - Shortener providers and circuit breaker states',
+            'POST /api/v1/shorten - Shorten a URL (optional "alias", "expiresAt", "maxClicks")',
+            'PATCH /api/v1/links/:code - Retarget a short link or change its limits',
+            'DELETE /api/v1/links/:code - Retire a short link',
+            'GET /api/websub/subscriptions - WebSub push subscriptions and their leases',
+            'GET|POST /api/cron/tick - Check every due channel once (serverless; needs CRON_SECRET)',
+            'GET|POST /api/websub/callback/:channelId - WebSub hub callback'
         ],
         features: [
             'Live stream detection',
+            'Stream analytics: duration, peak and average viewers',
             'New video notifications',
             'YouTube Shorts monitoring',
-            'Discord webhook notifications',
-            'Persistent Supabase storage'
+            'Scheduled stream and premiere alerts with reminders',
+            'Discord, Slack, Telegram and JSON webhook notifications',
+            'Built-in short links with click tracking and analytics',
+            'YouTube API quota budgeting',
+            'Failing channels retried with backoff and resumed automatically',
+            'WebSub push notifications for new uploads',
+            'Persistent storage (Supabase, SQLite or in-memory)'
         ]
     });
 });
 
 // Monitoring instance structure (enhanced)
 class MonitoringInstance {
-    constructor(channelHandle, webhookUrl, interval = DEFAULT_MONITOR_INTERVAL, contentTypes = ['live']) {
+    constructor(channelHandle, destinations, interval = DEFAULT_MONITOR_INTERVAL, contentTypes = ['live'], templates = {}, mode = 'poll', settings = {}) {
         this.channelHandle = channelHandle;
         this.channelUrl = `https://www.youtube.com/${channelHandle}`;
-        this.webhookUrl = webhookUrl;
+        this.destinations = normalizeDestinations(destinations);
         this.interval = interval;
         this.contentTypes = contentTypes;
+        this.templates = templates || {};
+        this.mode = mode || 'poll';
+        this.settings = settings || {};
         this.isMonitoring = false;
-        this.intervalId = null;
         this.lastKnownStates = {
             live: false,
+            liveStreams: {}, // videoId -> live stream currently running
             latestVideoId: null,
-            latestShortId: null
+            latestShortId: null,
+            upcoming: {} // videoId -> scheduled stream being tracked
         };
         this.consecutiveErrors = 0;
         this.maxConsecutiveErrors = 5;
+        this.health = 'active'; // 'degraded' after maxConsecutiveErrors failed checks, until one succeeds
+        this.errorReason = null;
+        this.degradedAt = null;
+        this.activeInterval = null;
+        this.activityProfile = null; // learned from event history when adaptive polling is on
+        this.activityLoadedAt = 0;
+        this.streamRecords = new Map(); // videoId -> record of a stream that is live now
         this.lastChecked = null;
         this.startedAt = null;
     }
 
+    // Legacy single-webhook view: the first destination with a URL
+    get webhookUrl() {
+        return this.destinations.find(destination => destination.url)?.url || null;
+    }
+
     async start() {
         if (this.isMonitoring) {
             return { success: false, message: 'Already monitoring this channel' };
@@ -108,15 +332,22 @@ class MonitoringInstance {
         console.log(`🚀 Starting monitoring for ${this.channelHandle} (${this.contentTypes.join(', ')})`);
         this.isMonitoring = true;
         this.consecutiveErrors = 0;
+        this.resetHealth();
         this.startedAt = Date.now();
 
-        // Start monitoring immediately
-        await this.checkContent();
+        if (this.mode === 'push') {
+            await this.subscribeToPush();
+        }
+
+        // Checks run from the shared scheduler; the first one right away
+        scheduler.add(this.channelHandle, {
+            run: () => this.checkContent(),
+            interval: () => this.getEffectiveInterval()
+        });
+        await scheduler.runNow(this.channelHandle);
 
-        // Set up interval with arrow function to preserve 'this' context
-        this.intervalId = setInterval(async () => {
-            await this.checkContent();
-        }, this.interval);
+        refreshQuotaPlan();
+        this.trackInterval();
 
         // Save to database
         await this.saveToDatabase();
@@ -124,12 +355,143 @@ class MonitoringInstance {
         return { success: true, message: 'Monitoring started successfully' };
     }
 
+    // The scheduler reads the effective interval for every next check; it follows the channel's
+    // activity with adaptive polling, and stretches when the API quota budget runs short
+    trackInterval() {
+        const { interval, reason } = this.chooseInterval();
+        if (interval === this.activeInterval) return;
+
+        if (this.activeInterval) {
+            console.log(`⏱️ Check interval for ${this.channelHandle} is now ${Math.round(interval / 1000)}s (${reason})`);
+        }
+
+        this.activeInterval = interval;
+    }
+
+    // Check outside the schedule, without overlapping a scheduled check of this channel
+    async checkNow() {
+        if (scheduler.has(this.channelHandle)) {
+            return await scheduler.runNow(this.channelHandle);
+        }
+
+        return await this.checkContent();
+    }
+
+    getEffectiveInterval() {
+        return this.chooseInterval().interval;
+    }
+
+    // { interval, reason }: the configured interval, or the adaptive one, stretched by the quota plan.
+    // Degraded channels wait out their error backoff instead.
+    chooseInterval() {
+        if (this.health === 'degraded') {
+            return { interval: this.getBackoffInterval(), reason: `degraded after ${this.consecutiveErrors} failed checks` };
+        }
+
+        let { interval, reason } = this.isAdaptive()
+            ? chooseAdaptiveInterval(this.activityProfile, {
+                interval: this.interval,
+                minInterval: getSetting(this.settings, 'minIntervalSeconds') * 1000,
+                maxInterval: getSetting(this.settings, 'maxIntervalSeconds') * 1000,
+                contentTypes: this.contentTypes,
+                live: this.lastKnownStates.live,
+                upcoming: this.lastKnownStates.upcoming
+            })
+            : { interval: this.interval, reason: 'fixed' };
+
+        if (quotaTracker.mode === 'stretched' && this.estimatedUnitsPerCheck() > 0) {
+            interval = Math.round(interval * quotaTracker.stretchFactor);
+            reason = `${reason}, quota stretched`;
+        }
+
+        return { interval, reason };
+    }
+
+    getBackoffInterval() {
+        const doublings = Math.min(20, Math.max(1, this.consecutiveErrors - this.maxConsecutiveErrors + 1));
+        return Math.min(Math.max(this.interval, MAX_ERROR_BACKOFF), this.interval * 2 ** doublings);
+    }
+
+    isAdaptive() {
+        return getSetting(this.settings, 'adaptivePolling');
+    }
+
+    // Relearn when the channel usually goes live and uploads, at most once per ACTIVITY_REFRESH
+    async refreshActivityProfile() {
+        if (Date.now() - this.activityLoadedAt < ACTIVITY_REFRESH) return;
+        this.activityLoadedAt = Date.now();
+
+        const result = await getMonitoringEvents({
+            channelHandle: this.channelHandle,
+            eventTypes: ACTIVITY_EVENT_TYPES,
+            since: new Date(Date.now() - ACTIVITY_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            limit: 1000
+        });
+
+        if (!result.success) {
+            console.error(`⚠️ Could not load the activity history of ${this.channelHandle}:`, result.error);
+            return;
+        }
+
+        this.activityProfile = buildActivityProfile(result.events);
+    }
+
+    // API units one check cycle costs (0 when everything is scraped or pushed)
+    estimatedUnitsPerCheck() {
+        if (!process.env.YOUTUBE_API_KEY) return 0;
+
+        let units = this.contentTypes.includes('live') ? API_COSTS['search.list'] : 0;
+
+        // Viewer samples for running streams
+        if (this.lastKnownStates.live) {
+            units += API_COSTS['videos.list'];
+        }
+
+        // Videos, shorts and upcoming streams share one uploads playlist fetch
+        const checksUploads = this.contentTypes.includes('upcoming') ||
+            (!this.usesPush() && this.contentTypes.some(type => type === 'videos' || type === 'shorts'));
+        if (checksUploads) {
+            units += API_COSTS['playlistItems.list'] + API_COSTS['videos.list'];
+        }
+
+        return units;
+    }
+
     async checkContent() {
+        const lease = await checkLeases.acquire(this.channelHandle, checkLeases.ttlFor(this.getEffectiveInterval()));
+        if (!lease.acquired) {
+            console.log(`🔒 Skipping check for ${this.channelHandle}: ${lease.holder} holds the lease until ${lease.expiresAt}`);
+            return { skipped: true, holder: lease.holder, expiresAt: lease.expiresAt };
+        }
+
+        // Carry on from wherever the previous holder left off
+        if (lease.fresh) {
+            await this.loadStoredStates();
+        }
+
         try {
             console.log(`🔍 Checking content for ${this.channelHandle}...`);
 
+            const failed = [];
+            let attempted = 0;
             for (const contentType of this.contentTypes) {
-                await this.checkContentType(contentType);
+                const result = await this.checkContentType(contentType);
+                if (!result) continue;
+
+                attempted++;
+                if (result.failed || result.success === false) {
+                    failed.push(contentType);
+                }
+            }
+
+            // Lookups fall back to scraping rather than throw; when every one of them failed
+            // (YouTube unreachable, the channel gone) the check as a whole failed
+            if (attempted > 0 && failed.length === attempted) {
+                throw new Error(`Could not look up ${failed.join(', ')}`);
+            }
+
+            if (this.health === 'degraded') {
+                await this.recover();
             }
 
             this.consecutiveErrors = 0;
@@ -138,19 +500,26 @@ class MonitoringInstance {
             console.error(`❌ Monitoring error for ${this.channelHandle}:`, error.message);
             this.consecutiveErrors++;
 
-            if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
-                console.error(`❌ Too many consecutive errors for ${this.channelHandle}, stopping monitoring`);
-                await this.stop();
+            await this.recordEvent('monitoring_error', {
+                error: error.message,
+                consecutiveErrors: this.consecutiveErrors
+            });
 
-                await this.sendWebhookNotification({
-                    event: 'monitoring_error',
-                    error: 'Monitoring stopped due to consecutive errors',
-                    consecutiveErrors: this.consecutiveErrors
-                });
+            if (this.health === 'degraded') {
+                this.errorReason = error.message;
+            } else if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
+                await this.degrade(error.message);
+            }
+        }
 
-                monitoringInstances.delete(this.channelHandle);
-                persistentChannels.delete(this.channelHandle);
+        await this.saveCheck();
+
+        if (scheduler.has(this.channelHandle)) {
+            if (this.isAdaptive()) {
+                await this.refreshActivityProfile();
             }
+            refreshQuotaPlan();
+            this.trackInterval();
         }
     }
 
@@ -159,18 +528,73 @@ class MonitoringInstance {
 
         switch (contentType) {
             case 'live':
-                result = await checkIfChannelIsLive(this.channelHandle);
+                result = await youtube.checkLive(this.channelHandle);
                 await this.handleLiveStatusChange(result);
+                await this.sampleLiveStreams();
                 break;
             case 'videos':
-                result = await getLatestVideos(this.channelHandle, 1);
+                // Uploads arrive through WebSub while the push subscription is active
+                if (this.usesPush()) break;
+                result = await youtube.getLatestVideos(this.channelHandle, UPLOADS_PAGE_SIZE);
                 await this.handleNewVideo(result);
                 break;
             case 'shorts':
-                result = await getLatestShorts(this.channelHandle, 1);
+                if (this.usesPush()) break;
+                result = await youtube.getLatestShorts(this.channelHandle, UPLOADS_PAGE_SIZE);
                 await this.handleNewShort(result);
                 break;
+            case 'upcoming':
+                result = await youtube.getUpcomingStreams(this.channelHandle);
+                await this.handleUpcomingChanges(result);
+                break;
         }
+
+        return result;
+    }
+
+    // Too many failed checks in a row. The channel and its stored configuration stay; it is
+    // retried with backoff and resumes by itself once a check succeeds. The owner hears once.
+    async degrade(reason) {
+        this.health = 'degraded';
+        this.errorReason = reason;
+        this.degradedAt = Date.now();
+
+        const retryIn = this.getBackoffInterval();
+        console.error(`❌ Too many consecutive errors for ${this.channelHandle}, degraded; next try in ${Math.round(retryIn / 1000)}s`);
+
+        await this.recordEvent('monitoring_degraded', {
+            error: reason,
+            consecutiveErrors: this.consecutiveErrors
+        });
+
+        await this.sendWebhookNotification({
+            event: 'monitoring_degraded',
+            error: reason,
+            consecutiveErrors: this.consecutiveErrors,
+            retryIn
+        });
+    }
+
+    async recover() {
+        const failedChecks = this.consecutiveErrors;
+        const degradedSeconds = this.degradedAt ? Math.round((Date.now() - this.degradedAt) / 1000) : null;
+
+        console.log(`✅ Checks for ${this.channelHandle} work again after ${failedChecks} failed, monitoring resumed`);
+        this.resetHealth();
+
+        await this.recordEvent('monitoring_recovered', { failedChecks, degradedSeconds });
+
+        await this.sendWebhookNotification({
+            event: 'monitoring_recovered',
+            failedChecks,
+            degradedFor: formatDuration(degradedSeconds)
+        });
+    }
+
+    resetHealth() {
+        this.health = 'active';
+        this.errorReason = null;
+        this.degradedAt = null;
     }
 
     // ✅ MISSING METHOD 1: saveToDatabase
@@ -179,9 +603,13 @@ class MonitoringInstance {
             console.log(`💾 Saving ${this.channelHandle} to database...`);
             
             const result = await saveChannelConfiguration(this.channelHandle, {
-                webhookUrl: this.webhookUrl,
+                destinations: this.destinations,
                 interval: this.interval,
                 contentTypes: this.contentTypes,
+                templates: this.templates,
+                mode: this.mode,
+                settings: this.settings,
+                channelId: channelIdCache.get(this.channelHandle),
                 lastKnownStates: this.lastKnownStates
             });
             
@@ -214,836 +642,829 @@ class MonitoringInstance {
         }
     }
 
-    async handleLiveStatusChange(liveStatus) {
-        if (liveStatus.isLive !== this.lastKnownStates.live) {
-            console.log(`🔄 Live status changed for ${this.channelHandle}: ${this.lastKnownStates.live} → ${liveStatus.isLive}`);
-
-            if (liveStatus.isLive && liveStatus.liveUrl) {
-                // Channel went LIVE
-                console.log(`🎉 ${this.channelHandle} just went LIVE!`);
+    // Stored states that are newer than this instance's, written by another process's checks
+    async loadStoredStates() {
+        const stored = await getChannelCheck(this.channelHandle);
+        if (!stored.success || !stored.check?.lastCheckedAt) return false;
+        if (this.lastChecked && stored.check.lastCheckedAt <= this.lastChecked) return false;
+
+        this.lastKnownStates = { ...this.lastKnownStates, ...stored.check.lastKnownStates };
+        // Another process may have degraded the channel (and told its owner) already
+        this.consecutiveErrors = stored.check.consecutiveErrors;
+        this.health = stored.check.health;
+        this.errorReason = stored.check.errorReason;
+        this.degradedAt = stored.check.degradedAt;
+        console.log(`📥 Loaded states for ${this.channelHandle} from the check at ${new Date(stored.check.lastCheckedAt).toISOString()}`);
+        return true;
+    }
 
-                const shortenerResult = await shortenUrl(liveStatus.liveUrl);
+    // Persist where a check cycle left off, so the next one can pick up from there in any process
+    async saveCheck() {
+        if (!this.isMonitoring) return { success: true, skipped: true };
 
-                // Update cache
-                globalCache.set(this.channelHandle, {
-                    ...globalCache.get(this.channelHandle) || {},
-                    shorturl: shortenerResult.shorturl,
-                    lastChecked: Date.now(),
-                    isLive: true,
-                    liveUrl: liveStatus.liveUrl,
-                    title: liveStatus.title,
-                    thumbnail: liveStatus.thumbnail
-                });
+        const result = await saveChannelCheck(this.channelHandle, {
+            lastKnownStates: this.lastKnownStates,
+            consecutiveErrors: this.consecutiveErrors,
+            health: this.health,
+            errorReason: this.errorReason,
+            degradedAt: this.degradedAt
+        });
+        if (!result.success) {
+            console.error(`⚠️ Failed to save check for ${this.channelHandle}:`, result.error);
+        }
+        return result;
+    }
 
-                // Send webhook notification
-                await this.sendWebhookNotification({
-                    event: 'stream_started',
-                    isLive: true,
-                    shorturl: shortenerResult.shorturl,
-                    originalUrl: liveStatus.liveUrl,
-                    title: liveStatus.title,
-                    shortenerService: shortenerResult.service,
-                    method: liveStatus.method,
-                    thumbnail: liveStatus.thumbnail
-                });
+    // Persist a detection or delivery to the event history
+    async recordEvent(eventType, data = {}) {
+        const result = await logMonitoringEvent(this.channelHandle, eventType, data);
+        if (!result.success) {
+            console.error(`⚠️ Failed to record ${eventType} event for ${this.channelHandle}:`, result.error);
+        }
 
-            } else if (!liveStatus.isLive && this.lastKnownStates.live) {
-                // Channel went OFFLINE
-                console.log(`📺 ${this.channelHandle} went offline`);
+        // New activity: adaptive polling relearns the profile after this check
+        if (ACTIVITY_EVENT_TYPES.includes(eventType)) {
+            this.activityLoadedAt = 0;
+        }
 
-                // Update cache
-                globalCache.set(this.channelHandle, {
-                    ...globalCache.get(this.channelHandle) || {},
-                    isLive: false,
-                    lastChecked: Date.now()
-                });
+        return result;
+    }
 
-                // Send webhook notification
-                await this.sendWebhookNotification({
-                    event: 'stream_ended',
-                    isLive: false,
-                    message: 'Stream has ended'
-                });
+    // Live state is the set of streams the channel is running; each one gets its own start and end
+    async handleLiveStatusChange(liveStatus) {
+        // A failed check says nothing about which streams are still running
+        if (liveStatus.failed) return;
+
+        const known = this.lastKnownStates.liveStreams || {};
+        const current = new Map((liveStatus.streams || []).map(stream => [stream.videoId, stream]));
+        const wasLive = this.lastKnownStates.live;
+        let changed = false;
+
+        // State saved before streams were tracked individually only knows that the channel was
+        // live; adopt whatever is running now rather than announcing it a second time
+        if (wasLive && Object.keys(known).length === 0) {
+            for (const stream of current.values()) {
+                known[stream.videoId] = {
+                    title: stream.title,
+                    url: stream.liveUrl,
+                    thumbnail: stream.thumbnail,
+                    startedAt: new Date().toISOString()
+                };
             }
-
-            this.lastKnownStates.live = liveStatus.isLive;
-            
-            // ✅ Save state changes to database
-            await this.updateStatesInDatabase();
+            changed = current.size > 0;
         }
-    }
 
-    async handleNewVideo(videoResult) {
-        if (videoResult.success && videoResult.videos.length > 0) {
-            const latestVideo = videoResult.videos[0];
+        // Ended streams first, so a stream that replaced another within one interval is announced after it
+        const endedIds = Object.keys(known).filter(videoId => !current.has(videoId));
+        const finalDetails = await this.lookupStreamDetails(endedIds);
+
+        for (const videoId of endedIds) {
+            const entry = known[videoId];
+            console.log(`📺 Stream ended for ${this.channelHandle}: ${entry.title}`);
+
+            const record = finishStreamRecord(await this.loadStreamRecord(videoId, entry), finalDetails.get(videoId));
+            await saveStreamRecord(record);
+            this.streamRecords.delete(videoId);
+            delete known[videoId];
+
+            const summary = summarizeStream(record);
+
+            await this.sendWebhookNotification({
+                event: 'stream_ended',
+                isLive: false,
+                videoId: videoId,
+                title: record.title || entry.title,
+                originalUrl: entry.url,
+                shorturl: entry.shorturl,
+                thumbnail: entry.thumbnail,
+                ...summary,
+                message: 'Stream has ended'
+            });
 
-            if (this.lastKnownStates.latestVideoId !== latestVideo.videoId) {
-                console.log(`📹 New video detected for ${this.channelHandle}: ${latestVideo.title}`);
+            await this.recordEvent('stream_ended', {
+                videoId: videoId,
+                title: record.title || entry.title,
+                originalUrl: entry.url,
+                ...summary
+            });
 
-                const shortenerResult = await shortenUrl(latestVideo.url);
+            changed = true;
+        }
 
-                await this.sendWebhookNotification({
-                    event: 'new_video',
-                    title: latestVideo.title,
-                    shorturl: shortenerResult.shorturl,
-                    originalUrl: latestVideo.url,
-                    thumbnail: latestVideo.thumbnail,
-                    publishedAt: latestVideo.publishedAt,
-                    viewCount: latestVideo.viewCount
-                });
+        for (const stream of current.values()) {
+            if (known[stream.videoId]) continue;
 
-                this.lastKnownStates.latestVideoId = latestVideo.videoId;
-                
-                // ✅ Save state changes to database
-                await this.updateStatesInDatabase();
-            }
-        }
-    }
+            console.log(`🎉 ${this.channelHandle} just went LIVE: ${stream.title}`);
 
-    async handleNewShort(shortResult) {
-        if (shortResult.success && shortResult.shorts.length > 0) {
-            const latestShort = shortResult.shorts[0];
+            const shortenerResult = await shortenerService.shortenUrl(stream.liveUrl, {
+                channelHandle: this.channelHandle,
+                videoId: stream.videoId,
+                event: 'stream_started',
+                title: stream.title
+            });
 
-            if (this.lastKnownStates.latestShortId !== latestShort.videoId) {
-                console.log(`🎬 New short detected for ${this.channelHandle}: ${latestShort.title}`);
+            known[stream.videoId] = {
+                title: stream.title,
+                url: stream.liveUrl,
+                shorturl: shortenerResult.shorturl,
+                thumbnail: stream.thumbnail,
+                startedAt: new Date().toISOString()
+            };
 
-                const shortenerResult = await shortenUrl(latestShort.url);
+            const record = createStreamRecord({
+                videoId: stream.videoId,
+                channelHandle: this.channelHandle,
+                title: stream.title,
+                startedAt: known[stream.videoId].startedAt
+            });
+            this.streamRecords.set(stream.videoId, record);
+            await saveStreamRecord(record);
 
-                await this.sendWebhookNotification({
-                    event: 'new_short',
-                    title: latestShort.title,
-                    shorturl: shortenerResult.shorturl,
-                    originalUrl: latestShort.url,
-                    thumbnail: latestShort.thumbnail,
-                    publishedAt: latestShort.publishedAt,
-                    viewCount: latestShort.viewCount
-                });
+            await this.sendWebhookNotification({
+                event: 'stream_started',
+                isLive: true,
+                videoId: stream.videoId,
+                shorturl: shortenerResult.shorturl,
+                originalUrl: stream.liveUrl,
+                title: stream.title,
+                shortenerService: shortenerResult.service,
+                method: liveStatus.method,
+                thumbnail: stream.thumbnail
+            });
 
-                this.lastKnownStates.latestShortId = latestShort.videoId;
-                
-                // ✅ Save state changes to database
-                await this.updateStatesInDatabase();
-            }
-        }
-    }
+            await this.recordEvent('stream_started', {
+                videoId: stream.videoId,
+                title: stream.title,
+                originalUrl: stream.liveUrl,
+                shorturl: shortenerResult.shorturl,
+                method: liveStatus.method
+            });
 
-    async sendWebhookNotification(data) {
-        if (!this.webhookUrl) {
-            console.log(`⚠️  No webhook URL configured for ${this.channelHandle}, skipping notification`);
-            return false;
+            changed = true;
         }
 
-        try {
-            console.log(`📤 Sending webhook notification for ${this.channelHandle}...`);
+        const isLive = Object.keys(known).length > 0;
 
-            let payload = formatDiscordMessage({
-                ...data,
-                channelHandle: this.channelHandle,
-                channelUrl: this.channelUrl
-            });
+        if (changed || isLive !== wasLive) {
+            if (isLive !== wasLive) {
+                console.log(`🔄 Live status changed for ${this.channelHandle}: ${wasLive} → ${isLive}`);
+            }
 
-            const response = await axios.post(this.webhookUrl, payload, {
-                timeout: 10000,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'YouTube-Live-Monitor-Pro/2.0'
-                }
+            this.lastKnownStates.liveStreams = known;
+            this.lastKnownStates.live = isLive;
+
+            // Update cache
+            const [firstVideoId, first] = Object.entries(known)[0] || [];
+            globalCache.set(this.channelHandle, {
+                ...globalCache.get(this.channelHandle) || {},
+                lastChecked: Date.now(),
+                isLive: isLive,
+                liveCount: Object.keys(known).length,
+                shorturl: first?.shorturl,
+                liveUrl: first?.url || null,
+                title: first?.title,
+                thumbnail: first?.thumbnail,
+                videoId: firstVideoId || null
             });
 
-            if (response.status >= 200 && response.status < 300) {
-                console.log(`✅ Webhook notification sent successfully for ${this.channelHandle}`);
-                return true;
-            } else {
-                console.error(`❌ Webhook failed for ${this.channelHandle} with status:`, response.status);
-                return false;
-            }
-        } catch (error) {
-            console.error(`❌ Webhook notification failed for ${this.channelHandle}:`, error.response?.data || error.message);
-            return false;
+            // ✅ Save state changes to database
+            await this.updateStatesInDatabase();
         }
     }
 
-    async stop() {
-        if (!this.isMonitoring) {
-            return { success: false, message: 'Not currently monitoring' };
+    // Viewer and title samples for the streams running now, one videos.list call for all of them
+    async sampleLiveStreams() {
+        const liveStreams = this.lastKnownStates.liveStreams || {};
+        const details = await this.lookupStreamDetails(Object.keys(liveStreams));
+
+        for (const [videoId, video] of details) {
+            const record = addStreamSample(await this.loadStreamRecord(videoId, liveStreams[videoId]), video);
+            await saveStreamRecord(record);
         }
+    }
 
-        console.log(`🛑 Stopping monitoring for ${this.channelHandle}`);
+    // videoId -> videoDetails; empty without the API or its quota
+    async lookupStreamDetails(videoIds) {
+        if (videoIds.length === 0 || !youtube.canUseApi('videos.list')) {
+            return new Map();
+        }
 
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        try {
+            const details = await youtube.getVideoDetails(videoIds, this.channelHandle);
+            return new Map(details.map(video => [video.videoId, video]));
+        } catch (error) {
+            console.error(`⚠️ Could not sample live streams for ${this.channelHandle}:`, error.message);
+            return new Map();
         }
+    }
 
-        this.isMonitoring = false;
-        this.consecutiveErrors = 0;
-        this.startedAt = null;
+    // The record of a running stream, from memory, the database, or started fresh
+    async loadStreamRecord(videoId, entry = {}) {
+        if (!this.streamRecords.has(videoId)) {
+            const stored = await getStreamRecord(videoId);
 
-        // Remove from persistent channels and database
-        persistentChannels.delete(this.channelHandle);
-        await removeChannelFromDatabase(this.channelHandle);
+            this.streamRecords.set(videoId, stored.record || createStreamRecord({
+                videoId,
+                channelHandle: this.channelHandle,
+                title: entry.title,
+                startedAt: entry.startedAt
+            }));
+        }
 
-        return { success: true, message: 'Monitoring stopped successfully' };
+        return this.streamRecords.get(videoId);
     }
 
-    getStatus() {
-        return {
-            channelHandle: this.channelHandle,
-            channelUrl: this.channelUrl,
-            webhookUrl: this.webhookUrl ? this.webhookUrl.replace(/\/[^\/]*$/, '/***') : null,
-            isMonitoring: this.isMonitoring,
-            contentTypes: this.contentTypes,
-            lastKnownStates: this.lastKnownStates,
-            consecutiveErrors: this.consecutiveErrors,
-            interval: this.interval,
-            lastChecked: this.lastChecked ? new Date(this.lastChecked).toISOString() : null,
-            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
-            uptime: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
-            lastKnownLiveStatus: this.lastKnownStates.live
-        };
+    async handleNewVideo(videoResult) {
+        if (videoResult.success && videoResult.videos.length > 0) {
+            await this.handleNewUploads('video', videoResult.videos);
+        }
     }
-}
 
-// Function to get channel ID from handle
-async function getChannelIdFromHandle(handle) {
-    try {
-        const cleanHandle = handle.startsWith('@') ? handle : `@${handle}`;
-        const response = await axios.get(`https://www.youtube.com/${cleanHandle}`, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
+    async handleNewShort(shortResult) {
+        if (shortResult.success && shortResult.shorts.length > 0) {
+            await this.handleNewUploads('short', shortResult.shorts);
+        }
+    }
+
+    // Announces every upload of `kind` not seen before, oldest first. Seen IDs and the newest
+    // publish time per kind are persisted, so a deleted or unlisted video can't make an older
+    // one look new again. `items` is newest first, as the listings return it.
+    async handleNewUploads(kind, items) {
+        const states = this.lastKnownStates;
+        const latestKey = kind === 'short' ? 'latestShortId' : 'latestVideoId';
+        const highWaterMarks = states.uploadHighWater || {};
+        const seen = new Set(states.seenUploadIds || []);
+        const highWater = Date.parse(highWaterMarks[kind]) || null;
+
+        let fresh = items.filter(item => {
+            if (seen.has(item.videoId)) return false;
+            const published = Date.parse(item.publishedTime);
+            return !published || !highWater || published > highWater;
         });
 
-        const html = response.data;
-
-        // Try to find channel ID in various formats
-        const patterns = [
-            /"channelId":"([^"]+)"/,
-            /"externalId":"([^"]+)"/,
-            /channel\/([a-zA-Z0-9_-]{24})/,
-            /"browseId":"([^"]+)"/
-        ];
-
-        for (const pattern of patterns) {
-            const match = html.match(pattern);
-            if (match) {
-                console.log(`✅ Found channel ID for ${handle}: ${match[1]}`);
-                return match[1];
+        if (!(kind in highWaterMarks)) {
+            if (states[latestKey]) {
+                // State from before seen IDs were kept: only what is newer than the last announced upload
+                const lastIndex = items.findIndex(item => item.videoId === states[latestKey]);
+                fresh = lastIndex >= 0
+                    ? fresh.filter(item => items.indexOf(item) < lastIndex)
+                    : fresh.slice(0, 1);
+            } else {
+                // First check: cap the announcements so setting up a channel doesn't flood the destinations
+                fresh = fresh.slice(0, getSetting(this.settings, 'initialUploadLimit'));
             }
         }
 
-        throw new Error('Channel ID not found in page');
-    } catch (error) {
-        console.error(`❌ Error getting channel ID for ${handle}:`, error.message);
-        throw error;
-    }
-}
+        // Oldest first; listings without publish times are already newest first
+        const announcements = fresh.slice().reverse()
+            .sort((a, b) => (Date.parse(a.publishedTime) || 0) - (Date.parse(b.publishedTime) || 0));
 
-// Function to check if channel is live using YouTube API
-async function checkIfChannelIsLive(channelHandle) {
-    try {
-        if (!process.env.YOUTUBE_API_KEY) {
-            console.log(`⚠️  No YouTube API key found for ${channelHandle}, using fallback method`);
-            return await checkLiveStatusFallback(channelHandle);
-        }
-
-        console.log(`🔍 Using YouTube API to check live status for ${channelHandle}...`);
-        const channelId = await getChannelIdFromHandle(channelHandle);
-
-        // Search for live streams from this channel
-        const searchResponse = await axios.get('https://www.googleapis.com/youtube/v3/search', {
-            params: {
-                part: 'snippet',
-                channelId: channelId,
-                eventType: 'live',
-                type: 'video',
-                key: process.env.YOUTUBE_API_KEY,
-                maxResults: 1
-            },
-            timeout: 15000
-        });
+        for (const item of announcements) {
+            await this.announceUpload(kind, item);
+        }
 
-        if (searchResponse.data.items && searchResponse.data.items.length > 0) {
-            const liveVideo = searchResponse.data.items[0];
-            const liveUrl = `https://www.youtube.com/watch?v=${liveVideo.id.videoId}`;
+        const newest = Math.max(highWater || 0, ...items.map(item => Date.parse(item.publishedTime) || 0));
+        const seenIds = [...items.map(item => item.videoId), ...(states.seenUploadIds || [])];
 
-            console.log(`🎥 Found live stream for ${channelHandle}: ${liveVideo.snippet.title}`);
-            return {
-                isLive: true,
-                liveUrl: liveUrl,
-                title: liveVideo.snippet.title,
-                thumbnail: liveVideo.snippet.thumbnails?.default?.url,
-                videoId: liveVideo.id.videoId,
-                method: 'api'
-            };
-        }
+        const changed = announcements.length > 0 ||
+            !(kind in highWaterMarks) ||
+            items.some(item => !seen.has(item.videoId));
 
-        console.log(`📺 No live streams found via API for ${channelHandle}`);
-        return { isLive: false, liveUrl: null };
+        states.seenUploadIds = [...new Set(seenIds)].slice(0, SEEN_UPLOADS_LIMIT);
+        states.uploadHighWater = { ...highWaterMarks, [kind]: newest ? new Date(newest).toISOString() : null };
+        states[latestKey] = items[0].videoId;
 
-    } catch (error) {
-        console.error(`❌ YouTube API failed for ${channelHandle}:`, error.message);
-        console.log(`🔄 Trying fallback method for ${channelHandle}...`);
-        return await checkLiveStatusFallback(channelHandle);
-    }
-}
-
-// Function to get latest videos
-async function getLatestVideos(channelHandle, maxResults = 10) {
-    try {
-        if (!process.env.YOUTUBE_API_KEY) {
-            return await getLatestVideosFallback(channelHandle, maxResults);
+        if (changed) {
+            // ✅ Save state changes to database
+            await this.updateStatesInDatabase();
         }
+    }
 
-        console.log(`🔍 Getting latest videos for ${channelHandle}...`);
-        const channelId = await getChannelIdFromHandle(channelHandle);
+    hasSeenUpload(videoId) {
+        return (this.lastKnownStates.seenUploadIds || []).includes(videoId);
+    }
 
-        const searchResponse = await axios.get('https://www.googleapis.com/youtube/v3/search', {
-            params: {
-                part: 'snippet',
-                channelId: channelId,
-                type: 'video',
-                order: 'date',
-                key: process.env.YOUTUBE_API_KEY,
-                maxResults: maxResults
-            },
-            timeout: 15000
-        });
+    async announceUpload(kind, item) {
+        const event = kind === 'short' ? 'new_short' : 'new_video';
 
-        const videos = searchResponse.data.items.map(item => ({
-            videoId: item.id.videoId,
-            title: item.snippet.title,
-            thumbnail: item.snippet.thumbnails?.default?.url,
-            publishedAt: new Date(item.snippet.publishedAt).toLocaleDateString(),
-            url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
-            viewCount: 'N/A' // View count requires additional API call
-        }));
+        if (kind === 'short') {
+            console.log(`🎬 New short detected for ${this.channelHandle}: ${item.title}`);
+        } else {
+            console.log(`📹 New video detected for ${this.channelHandle}: ${item.title}`);
+        }
 
-        return {
-            success: true,
-            videos: videos,
-            channel: channelHandle,
-            method: 'api'
-        };
+        const shortenerResult = await shortenerService.shortenUrl(item.url, {
+            channelHandle: this.channelHandle,
+            videoId: item.videoId,
+            event,
+            title: item.title
+        });
 
-    } catch (error) {
-        console.error(`❌ Error getting videos for ${channelHandle}:`, error.message);
-        return await getLatestVideosFallback(channelHandle, maxResults);
-    }
-}
+        await this.sendWebhookNotification({
+            event,
+            videoId: item.videoId,
+            title: item.title,
+            shorturl: shortenerResult.shorturl,
+            originalUrl: item.url,
+            thumbnail: item.thumbnail,
+            publishedAt: item.publishedAt,
+            viewCount: item.viewCount,
+            duration: item.duration
+        });
 
-// Function to get latest shorts
-async function getLatestShorts(channelHandle, maxResults = 10) {
-    try {
-        if (!process.env.YOUTUBE_API_KEY) {
-            return await getLatestShortsFallback(channelHandle, maxResults);
-        }
-
-        console.log(`🔍 Getting latest shorts for ${channelHandle}...`);
-        const channelId = await getChannelIdFromHandle(channelHandle);
-
-        const searchResponse = await axios.get('https://www.googleapis.com/youtube/v3/search', {
-            params: {
-                part: 'snippet',
-                channelId: channelId,
-                type: 'video',
-                order: 'date',
-                key: process.env.YOUTUBE_API_KEY,
-                maxResults: maxResults * 2, // Get more to filter for shorts
-                videoDuration: 'short' // Less than 4 minutes
-            },
-            timeout: 15000
+        await this.recordEvent(event, {
+            videoId: item.videoId,
+            title: item.title,
+            originalUrl: item.url,
+            shorturl: shortenerResult.shorturl,
+            publishedAt: item.publishedAt
         });
+    }
 
-        // Filter for actual shorts (YouTube Shorts are typically under 60 seconds)
-        const shorts = searchResponse.data.items
-            .filter(item => {
-                const title = item.snippet.title.toLowerCase();
-                const description = item.snippet.description?.toLowerCase() || '';
-                return title.includes('#shorts') || description.includes('#shorts') || 
-                       title.includes('short') || description.includes('short');
-            })
-            .slice(0, maxResults)
-            .map(item => ({
-                videoId: item.id.videoId,
-                title: item.snippet.title,
-                thumbnail: item.snippet.thumbnails?.default?.url,
-                publishedAt: new Date(item.snippet.publishedAt).toLocaleDateString(),
-                url: `https://www.youtube.com/shorts/${item.id.videoId}`,
-                viewCount: 'N/A' // View count requires additional API call
-            }));
+    // Scheduled streams: announce new ones, remind before the start, report reschedules and cancellations
+    async handleUpcomingChanges(upcomingResult) {
+        if (!upcomingResult.success) return;
+
+        const known = this.lastKnownStates.upcoming || {};
+        const current = new Map(upcomingResult.upcoming.map(stream => [stream.videoId, stream]));
+        let changed = false;
+
+        // Streams that left the upcoming list either started, were cancelled, or just scrolled out of it
+        const missing = Object.keys(known)
+            .filter(videoId => !current.has(videoId))
+            .map(videoId => ({ videoId, ...known[videoId] }));
+
+        if (missing.length > 0) {
+            const outcomes = await youtube.resolveMissingUpcoming(this.channelHandle, missing, this.lastKnownStates.live);
+
+            for (const [videoId, { outcome, stream }] of outcomes) {
+                if (outcome === 'upcoming') {
+                    current.set(videoId, stream);
+                } else if (outcome === 'started') {
+                    console.log(`🎬 Scheduled stream ${videoId} for ${this.channelHandle} has started`);
+                    delete known[videoId];
+                    changed = true;
+                } else if (outcome === 'cancelled') {
+                    console.log(`🚫 Scheduled stream ${videoId} for ${this.channelHandle} was cancelled`);
+                    await this.notifyUpcoming('stream_cancelled', videoId, known[videoId]);
+
+                    const cancelled = this.lastKnownStates.cancelledUpcoming || [];
+                    this.lastKnownStates.cancelledUpcoming = [{
+                        videoId,
+                        title: known[videoId].title,
+                        scheduledStartTime: known[videoId].scheduledStartTime,
+                        cancelledAt: new Date().toISOString()
+                    }, ...cancelled].slice(0, 10);
+
+                    delete known[videoId];
+                    changed = true;
+                }
+            }
+        }
 
-        return {
-            success: true,
-            shorts: shorts,
-            channel: channelHandle,
-            method: 'api'
-        };
+        const leadTime = getSetting(this.settings, 'upcomingLeadMinutes') * 60 * 1000;
 
-    } catch (error) {
-        console.error(`❌ Error getting shorts for ${channelHandle}:`, error.message);
-        return await getLatestShortsFallback(channelHandle, maxResults);
-    }
-}
+        for (const stream of current.values()) {
+            let entry = known[stream.videoId];
 
-// Fallback methods
-async function checkLiveStatusFallback(channelHandle) {
-    try {
-        console.log(`🔍 Using fallback method to check live status for ${channelHandle}...`);
+            if (!entry) {
+                console.log(`📅 Upcoming stream detected for ${this.channelHandle}: ${stream.title}`);
+                const shortenerResult = await shortenerService.shortenUrl(stream.url, {
+                    channelHandle: this.channelHandle,
+                    videoId: stream.videoId,
+                    event: 'stream_scheduled',
+                    title: stream.title
+                });
 
-        const cleanHandle = channelHandle.startsWith('@') ? channelHandle : `@${channelHandle}`;
-        const channelUrl = `https://www.youtube.com/${cleanHandle}`;
+                entry = known[stream.videoId] = {
+                    title: stream.title,
+                    url: stream.url,
+                    shorturl: shortenerResult.shorturl,
+                    thumbnail: stream.thumbnail,
+                    isPremiere: stream.isPremiere,
+                    scheduledStartTime: stream.scheduledStartTime,
+                    reminderSent: false,
+                    detectedAt: new Date().toISOString()
+                };
 
-        const response = await axios.get(channelUrl, {
-            timeout: 15000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                await this.notifyUpcoming('stream_scheduled', stream.videoId, entry);
+                changed = true;
+            } else if (stream.scheduledStartTime && Date.parse(stream.scheduledStartTime) !== Date.parse(entry.scheduledStartTime)) {
+                console.log(`🔁 Upcoming stream rescheduled for ${this.channelHandle}: ${entry.scheduledStartTime} → ${stream.scheduledStartTime}`);
+
+                entry.previousStartTime = entry.scheduledStartTime;
+                entry.scheduledStartTime = stream.scheduledStartTime;
+                entry.rescheduledAt = new Date().toISOString();
+                entry.title = stream.title || entry.title;
+                // The new start time gets its own reminder
+                entry.reminderSent = false;
+
+                await this.notifyUpcoming('stream_rescheduled', stream.videoId, entry, {
+                    previousStartTime: entry.previousStartTime,
+                    previousStart: formatStartTime(entry.previousStartTime)
+                });
+                changed = true;
             }
-        });
 
-        const html = response.data;
-
-        // Look for live stream indicators
-        const livePatterns = [
-            /"isLiveContent":true.*?"videoId":"([^"]+)"/,
-            /"isLive":true.*?"videoId":"([^"]+)"/,
-            /watching now.*?"videoId":"([^"]+)"/i,
-            /"LIVE".*?"videoId":"([^"]+)"/,
-            /"badges":\[{"metadataBadgeRenderer":{"style":"BADGE_STYLE_TYPE_LIVE_NOW".*?"videoId":"([^"]+)"/
-        ];
-
-        for (const pattern of livePatterns) {
-            const match = html.match(pattern);
-            if (match) {
-                const videoId = match[1];
-                const liveUrl = `https://www.youtube.com/watch?v=${videoId}`;
-
-                // Try to get title
-                const titleMatch = html.match(new RegExp(`"videoId":"${videoId}".*?"title":"([^"]+)"`));
-                const title = titleMatch ? titleMatch[1] : 'Live Stream';
-
-                console.log(`🎥 Found live stream via fallback for ${channelHandle}: ${title}`);
-                return {
-                    isLive: true,
-                    liveUrl: liveUrl,
-                    title: title,
-                    videoId: videoId,
-                    method: 'fallback'
-                };
+            const startsIn = Date.parse(entry.scheduledStartTime) - Date.now();
+            if (!entry.reminderSent && startsIn > 0 && startsIn <= leadTime) {
+                entry.reminderSent = true;
+                await this.notifyUpcoming('stream_reminder', stream.videoId, entry, {
+                    minutesUntilStart: Math.max(1, Math.round(startsIn / 60000))
+                });
+                changed = true;
             }
         }
 
-        console.log(`📺 No live streams found via fallback for ${channelHandle}`);
-        return { isLive: false, liveUrl: null };
+        this.lastKnownStates.upcoming = known;
 
-    } catch (error) {
-        console.error(`❌ Fallback method failed for ${channelHandle}:`, error.message);
-        return { isLive: false, liveUrl: null };
+        if (changed) {
+            await this.updateStatesInDatabase();
+        }
     }
-}
 
-async function getLatestVideosFallback(channelHandle, maxResults = 10) {
-    try {
-        console.log(`🔍 Using fallback method to get videos for ${channelHandle}...`);
+    async notifyUpcoming(event, videoId, entry, extra = {}) {
+        const details = {
+            videoId,
+            title: entry.title,
+            scheduledStartTime: entry.scheduledStartTime,
+            isPremiere: !!entry.isPremiere,
+            ...extra
+        };
 
-        const cleanHandle = channelHandle.startsWith('@') ? channelHandle : `@${channelHandle}`;
-        const channelUrl = `https://www.youtube.com/${cleanHandle}/videos`;
+        await this.sendWebhookNotification({
+            event,
+            ...details,
+            originalUrl: entry.url,
+            shorturl: entry.shorturl || entry.url,
+            thumbnail: entry.thumbnail,
+            scheduledStart: formatStartTime(entry.scheduledStartTime)
+        });
 
-        const response = await axios.get(channelUrl, {
-            timeout: 15000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
+        await this.recordEvent(event, {
+            ...details,
+            originalUrl: entry.url,
+            shorturl: entry.shorturl
         });
+    }
+
+    usesPush() {
+        return this.mode === 'push' && webSub.isActive(this.channelHandle);
+    }
+
+    // Polling for uploads carries on until the hub verifies the subscription
+    async subscribeToPush() {
+        if (!webSub.enabled) {
+            console.warn(`⚠️ Push mode requested for ${this.channelHandle} but WEBSUB_CALLBACK_URL is not set, polling instead`);
+            return { success: false };
+        }
+
+        try {
+            const channelId = await getChannelIdFromHandle(this.channelHandle);
+            return await webSub.subscribe(this.channelHandle, channelId);
+        } catch (error) {
+            console.error(`❌ Could not subscribe ${this.channelHandle} to WebSub, polling instead:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A new upload delivered by the WebSub hub
+    async handlePushedUpload(upload) {
+        // Edits to a recent upload are pushed again; only announce each video once
+        const pushedIds = this.lastKnownStates.pushedVideoIds || [];
+        if (pushedIds.includes(upload.videoId)) {
+            return false;
+        }
 
-        const html = response.data;
-        const videoIds = [];
-        const videoPattern = /"videoId":"([^"]+)"/g;
-        let match;
+        // videos.list gives the real kind (1 unit); without the API fall back to the /shorts redirect check
+        let item;
+        let isShort;
 
-        while ((match = videoPattern.exec(html)) !== null && videoIds.length < maxResults) {
-            if (!videoIds.includes(match[1])) {
-                videoIds.push(match[1]);
+        const [details] = youtube.canUseUploadsApi()
+            ? await youtube.getVideoDetails([upload.videoId], this.channelHandle).catch(() => [])
+            : [];
+
+        if (details) {
+            // Scheduled and live broadcasts are picked up by the live checks
+            if (details.kind !== 'video' && details.kind !== 'short') {
+                return false;
             }
+            isShort = details.kind === 'short';
+            item = toListedVideo(details);
+        } else {
+            isShort = await youtube.isShort(upload.videoId);
+            item = {
+                videoId: upload.videoId,
+                title: upload.title,
+                thumbnail: `https://img.youtube.com/vi/${upload.videoId}/default.jpg`,
+                publishedAt: new Date(upload.publishedAt).toLocaleDateString(),
+                publishedTime: upload.publishedAt,
+                url: isShort ? `https://www.youtube.com/shorts/${upload.videoId}` : `https://www.youtube.com/watch?v=${upload.videoId}`,
+                viewCount: 'N/A'
+            };
         }
 
-        const videos = videoIds.map(videoId => ({
-            videoId: videoId,
-            title: 'Recent Video',
-            thumbnail: `https://img.youtube.com/vi/${videoId}/default.jpg`,
-            publishedAt: 'Recent',
-            url: `https://www.youtube.com/watch?v=${videoId}`,
-            viewCount: 'N/A'
-        }));
+        const contentType = isShort ? 'shorts' : 'videos';
+        this.lastKnownStates.pushedVideoIds = [upload.videoId, ...pushedIds].slice(0, 50);
 
-        return {
-            success: true,
-            videos: videos,
-            channel: channelHandle,
-            method: 'fallback'
-        };
+        if (!this.contentTypes.includes(contentType) || this.hasSeenUpload(upload.videoId)) {
+            await this.updateStatesInDatabase();
+            return false;
+        }
 
-    } catch (error) {
-        console.error(`❌ Fallback videos method failed for ${channelHandle}:`, error.message);
-        return { success: false, videos: [], channel: channelHandle };
+        // Both handlers save the updated states, pushed ids included
+        if (isShort) {
+            await this.handleNewShort({ success: true, shorts: [item] });
+        } else {
+            await this.handleNewVideo({ success: true, videos: [item] });
+        }
+
+        return true;
     }
-}
 
-async function getLatestShortsFallback(channelHandle, maxResults = 10) {
-    try {
-        console.log(`🔍 Using fallback method to get shorts for ${channelHandle}...`);
+    async sendWebhookNotification(data) {
+        if (this.destinations.length === 0) {
+            console.log(`⚠️  No notification destinations configured for ${this.channelHandle}, skipping notification`);
+            return false;
+        }
+
+        const eventData = {
+            ...data,
+            channelHandle: this.channelHandle,
+            channelUrl: this.channelUrl
+        };
 
-        const cleanHandle = channelHandle.startsWith('@') ? channelHandle : `@${channelHandle}`;
-        const channelUrl = `https://www.youtube.com/${cleanHandle}/shorts`;
+        // Claimed before sending: a second process that detected the same change finds it taken
+        const dedupKey = notificationKey(this.channelHandle, data);
+        let claimedAt = null;
+        if (dedupKey) {
+            const claim = await claimNotificationKey(dedupKey, {
+                channelHandle: this.channelHandle,
+                eventType: data.event,
+                windowMs: DEDUP_WINDOWS[data.event]
+            });
 
-        const response = await axios.get(channelUrl, {
-            timeout: 15000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            if (claim.success && !claim.claimed) {
+                console.log(`🔁 Skipping duplicate ${data.event} notification for ${this.channelHandle} (${dedupKey}, sent ${claim.claimedAt})`);
+                return true;
             }
-        });
+            if (!claim.success) {
+                console.warn(`⚠️ Could not record ${dedupKey}, sending without duplicate protection`);
+            }
+            claimedAt = claim.claimedAt || null;
+        }
+
+        let allDelivered = true;
+        let handedOff = 0;
 
-        const html = response.data;
-        const shortIds = [];
-        const shortPattern = /"videoId":"([^"]+)"/g;
-        let match;
+        for (const destination of this.destinations) {
+            try {
+                console.log(`📤 Sending ${destination.type} notification for ${this.channelHandle}...`);
+
+                // Delivery goes through the persistent queue so failures are retried instead of lost
+                const result = await deliveryQueue.enqueue({
+                    channelHandle: this.channelHandle,
+                    destination,
+                    eventType: data.event,
+                    payload: formatNotification(destination, eventData, this.templates[data.event])
+                });
 
-        while ((match = shortPattern.exec(html)) !== null && shortIds.length < maxResults) {
-            if (!shortIds.includes(match[1])) {
-                shortIds.push(match[1]);
+                if (result.delivered || result.queued) handedOff++;
+
+                if (result.delivered) {
+                    console.log(`✅ ${destination.type} notification sent successfully for ${this.channelHandle}`);
+                } else if (result.queued) {
+                    console.error(`❌ ${destination.type} notification for ${this.channelHandle} not delivered yet, queued for retry`);
+                    allDelivered = false;
+                } else {
+                    console.error(`❌ ${destination.type} notification for ${this.channelHandle} could not be sent or queued`);
+                    allDelivered = false;
+                }
+            } catch (error) {
+                console.error(`❌ ${destination.type} notification failed for ${this.channelHandle}:`, error.message);
+                allDelivered = false;
             }
         }
 
-        const shorts = shortIds.map(videoId => ({
-            videoId: videoId,
-            title: 'Recent Short',
-            thumbnail: `https://img.youtube.com/vi/${videoId}/default.jpg`,
-            publishedAt: 'Recent',
-            url: `https://www.youtube.com/shorts/${videoId}`,
-            viewCount: 'N/A'
-        }));
-
-        return {
-            success: true,
-            shorts: shorts,
-            channel: channelHandle,
-            method: 'fallback'
-        };
+        // Nothing sent and nothing left to retry: give the key back rather than keep it claimed
+        // for a notification no process will ever send
+        if (claimedAt && handedOff === 0) {
+            await releaseNotificationKey(dedupKey, claimedAt);
+        }
 
-    } catch (error) {
-        console.error(`❌ Fallback shorts method failed for ${channelHandle}:`, error.message);
-        return { success: false, shorts: [], channel: channelHandle };
+        return allDelivered;
     }
-}
 
-// Function to shorten URL using multiple services
-async function shortenUrl(longUrl) {
-    console.log(`🔗 Attempting to shorten URL: ${longUrl}`);
-
-    const shorteners = [
-        {
-            name: 'linktw.in',
-            methods: [
-                {
-                    url: 'https://linktw.in/api/url/add',
-                    method: 'POST',
-                    data: { url: longUrl },
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': process.env.LINKTW_API_KEY 
-                    }
-                }
-            ]
-        },
-        {
-            name: 'TinyURL',
-            methods: [
-                {
-                    url: `https://tinyurl.com/api-create.php?url=${encodeURIComponent(longUrl)}`,
-                    method: 'GET'
-                }
-            ]
-        },
-        {
-            name: 'is.gd',
-            methods: [
-                {
-                    url: 'https://is.gd/create.php',
-                    method: 'POST',
-                    data: `format=simple&url=${encodeURIComponent(longUrl)}`,
-                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-                }
-            ]
+    // Stop checking but keep the stored config and state, for a restart or reconfigure
+    async halt() {
+        if (!this.isMonitoring) {
+            return { success: false, message: 'Not currently monitoring' };
         }
-    ];
 
-    for (const shortener of shorteners) {
-        for (const config of shortener.methods) {
-            try {
-                console.log(`🔄 Trying ${shortener.name}...`);
-
-                const axiosConfig = {
-                    method: config.method,
-                    url: config.url,
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                        ...config.headers
-                    }
-                };
+        console.log(`🛑 Stopping monitoring for ${this.channelHandle}`);
 
-                if (config.data) axiosConfig.data = config.data;
+        scheduler.remove(this.channelHandle);
 
-                const response = await axios(axiosConfig);
+        this.isMonitoring = false;
+        this.activeInterval = null;
+        this.consecutiveErrors = 0;
+        this.resetHealth();
+        this.startedAt = null;
 
-                let shorturl = null;
+        await checkLeases.release(this.channelHandle);
 
-                if (typeof response.data === 'string') {
-                    shorturl = response.data.trim();
-                } else if (response.data) {
-                    const fields = ['short_url', 'shorturl', 'shortened_url', 'url', 'link', 'short'];
-                    for (const field of fields) {
-                        if (response.data[field]) {
-                            shorturl = response.data[field];
-                            break;
-                        }
-                    }
-                }
+        if (this.mode === 'push') {
+            await webSub.unsubscribe(this.channelHandle);
+        }
 
-                if (shorturl && shorturl.startsWith('http') && shorturl !== longUrl) {
-                    console.log(`✅ Successfully shortened with ${shortener.name}: ${shorturl}`);
-                    return {
-                        success: true,
-                        shorturl,
-                        originalUrl: longUrl,
-                        service: shortener.name
-                    };
-                }
+        return { success: true, message: 'Monitoring stopped successfully' };
+    }
 
-            } catch (error) {
-                console.log(`❌ ${shortener.name} failed:`, error.response?.status || error.message);
-                continue;
-            }
+    async stop() {
+        const result = await this.halt();
+        if (!result.success) {
+            return result;
         }
+
+        // Remove from persistent channels and database
+        persistentChannels.delete(this.channelHandle);
+        await removeChannelFromDatabase(this.channelHandle);
+
+        return result;
     }
 
-    // All shorteners failed, return original URL
-    console.warn('⚠️  All URL shortening services failed, returning original URL');
-    return {
-        success: false,
-        shorturl: longUrl,
-        originalUrl: longUrl,
-        service: 'none',
-        error: 'All shortening services failed'
-    };
+    getStatus() {
+        const { interval, reason } = this.chooseInterval();
+
+        return {
+            channelHandle: this.channelHandle,
+            channelUrl: this.channelUrl,
+            webhookUrl: maskWebhookUrl(this.webhookUrl),
+            destinations: this.destinations.map(maskDestination),
+            isMonitoring: this.isMonitoring,
+            contentTypes: this.contentTypes,
+            templates: this.templates,
+            mode: this.mode,
+            settings: resolveSettings(this.settings),
+            liveStreams: Object.entries(this.lastKnownStates.liveStreams || {}).map(([videoId, entry]) => ({
+                videoId,
+                title: entry.title,
+                url: entry.url,
+                startedAt: entry.startedAt
+            })),
+            upcoming: Object.entries(this.lastKnownStates.upcoming || {}).map(([videoId, entry]) => ({
+                videoId,
+                title: entry.title,
+                scheduledStartTime: entry.scheduledStartTime,
+                reminderSent: entry.reminderSent
+            })),
+            push: this.mode === 'push' ? {
+                active: webSub.isActive(this.channelHandle),
+                status: webSub.getSubscription(this.channelHandle)?.status || 'not_subscribed',
+                expiresAt: webSub.getSubscription(this.channelHandle)?.expiresAt || null
+            } : null,
+            lastKnownStates: this.lastKnownStates,
+            consecutiveErrors: this.consecutiveErrors,
+            health: this.health,
+            errorReason: this.errorReason,
+            degradedAt: this.degradedAt ? new Date(this.degradedAt).toISOString() : null,
+            interval: this.interval,
+            effectiveInterval: interval,
+            intervalReason: reason,
+            adaptive: this.isAdaptive() ? {
+                minInterval: getSetting(this.settings, 'minIntervalSeconds') * 1000,
+                maxInterval: getSetting(this.settings, 'maxIntervalSeconds') * 1000,
+                profile: describeProfile(this.activityProfile)
+            } : null,
+            lastChecked: this.lastChecked ? new Date(this.lastChecked).toISOString() : null,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            uptime: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+            lastKnownLiveStatus: this.lastKnownStates.live
+        };
+    }
 }
 
-// Format discord message
-function formatDiscordMessage(data) {
-    const baseEmbed = {
-        color: 0x5865F2,
-        footer: { text: "YouTube Monitor Pro - Auto" },
-        timestamp: new Date().toISOString()
-    };
+// Dedup key of a notification about a video: one per event and video, and per start time for
+// reschedules and reminders. Notifications that aren't about a video (monitoring_started) have none.
+function notificationKey(channelHandle, data) {
+    if (!data.videoId) return null;
 
-    switch (data.event) {
-        case 'stream_started':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: `🔴 ${data.title || 'Live Now!'}`,
-                    description: `${data.channelHandle} is now live on YouTube!\n\n[Watch Here](${data.shorturl})\n\n[Copy Link](${data.shorturl})`,
-                    url: data.shorturl,
-                    color: 0xFF0000,
-                    thumbnail: {
-                        url: data.thumbnail || `https://img.youtube.com/vi/${data.videoId}/default.jpg`
-                    },
-                    fields: [
-                        {
-                            name: "Channel",
-                            value: `[${data.channelHandle}](${data.channelUrl})`,
-                            inline: true
-                        },
-                        {
-                            name: "Status",
-                            value: "🔴 Live Now",
-                            inline: true
-                        },
-                        {
-                            name: "Short Link",
-                            value: `[${data.shorturl.replace(/^https?:\/\//, '')}](${data.shorturl})`,
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+    const parts = [channelHandle, data.event, data.videoId];
+    if (data.event === 'stream_rescheduled' || data.event === 'stream_reminder') {
+        parts.push(data.scheduledStartTime);
+    }
+    return parts.join(':');
+}
 
-        case 'stream_ended':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: '📴 Stream Ended',
-                    description: `${data.channelHandle}'s stream has ended.`,
-                    color: 0x808080,
-                    fields: [
-                        {
-                            name: "Channel",
-                            value: `[${data.channelHandle}](${data.channelUrl})`,
-                            inline: true
-                        },
-                        {
-                            name: "Status",
-                            value: "📴 Offline",
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+// Channel ID for a handle: in-process cache, then the ID stored with the channel, then a lookup.
+// A stored ID is trusted until an API call using it fails (see forgetChannelId).
+async function getChannelIdFromHandle(handle) {
+    const cleanHandle = normalizeHandle(handle);
 
-        case 'new_video':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: `📹 New Video: ${data.title}`,
-                    description: `${data.channelHandle} just uploaded a new video!\n\n[Watch Now](${data.shorturl})`,
-                    url: data.shorturl,
-                    color: 0x5865F2,
-                    thumbnail: {
-                        url: data.thumbnail || 'https://i.imgur.com/4M34hi2.png'
-                    },
-                    fields: [
-                        {
-                            name: "Channel",
-                            value: `[${data.channelHandle}](${data.channelUrl})`,
-                            inline: true
-                        },
-                        {
-                            name: "Published",
-                            value: data.publishedAt || 'Recently',
-                            inline: true
-                        },
-                        {
-                            name: "Views",
-                            value: data.viewCount || 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: "Short Link",
-                            value: `[${data.shorturl.replace(/^https?:\/\//, '')}](${data.shorturl})`,
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+    const cached = channelIdCache.get(cleanHandle);
+    if (cached) return cached;
 
-        case 'new_short':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: `🎬 New Short: ${data.title}`,
-                    description: `${data.channelHandle} just posted a new YouTube Short!\n\n[Watch Now](${data.shorturl})`,
-                    url: data.shorturl,
-                    color: 0xFF6B6B,
-                    thumbnail: {
-                        url: data.thumbnail || 'https://i.imgur.com/4M34hi2.png'
-                    },
-                    fields: [
-                        {
-                            name: "Channel",
-                            value: `[${data.channelHandle}](${data.channelUrl})`,
-                            inline: true
-                        },
-                        {
-                            name: "Published",
-                            value: data.publishedAt || 'Recently',
-                            inline: true
-                        },
-                        {
-                            name: "Views",
-                            value: data.viewCount || 'N/A',
-                            inline: true
-                        },
-                        {
-                            name: "Short Link",
-                            value: `[${data.shorturl.replace(/^https?:\/\//, '')}](${data.shorturl})`,
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+    const stored = await getStoredChannelId(cleanHandle);
+    if (stored.channelId) {
+        channelIdCache.set(cleanHandle, stored.channelId);
+        return stored.channelId;
+    }
 
-        case 'monitoring_started':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: '🚀 Monitoring Started',
-                    description: `Auto-monitoring has been started for ${data.channelHandle}.\n\nYou'll receive notifications for: ${data.contentTypes.join(', ')}`,
-                    color: 0x00FF00,
-                    fields: [
-                        {
-                            name: "Channel",
-                            value: `[${data.channelHandle}](${data.channelUrl})`,
-                            inline: true
-                        },
-                        {
-                            name: "Check Interval",
-                            value: `${data.interval / 1000}s`,
-                            inline: true
-                        },
-                        {
-                            name: "Content Types",
-                            value: data.contentTypes.join(', '),
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+    try {
+        const useApi = youtube.canUseApi('channels.list');
+        const channelId = await lookupChannelId(cleanHandle, {
+            apiGet: useApi ? (method, params) => youtubeApiGet(method, params, cleanHandle) : undefined
+        });
 
-        case 'monitoring_error':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: '⚠️ Monitoring Error',
-                    description: `Monitoring for ${data.channelHandle} has been stopped due to consecutive errors.`,
-                    color: 0xFFA500,
-                    fields: [
-                        {
-                            name: 'Consecutive Errors',
-                            value: `${data.consecutiveErrors || 0}`,
-                            inline: true
-                        },
-                        {
-                            name: 'Action Required',
-                            value: 'Please restart monitoring manually',
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+        console.log(`✅ Resolved channel ID for ${cleanHandle}: ${channelId}`);
+        channelIdCache.set(cleanHandle, channelId);
+        await saveChannelId(cleanHandle, channelId);
+        return channelId;
+    } catch (error) {
+        console.error(`❌ Error getting channel ID for ${handle}:`, error.message);
+        throw error;
+    }
+}
 
-        case 'test':
-            return {
-                embeds: [{
-                    ...baseEmbed,
-                    title: '🧪 Test Webhook',
-                    description: 'This is a test notification from the YouTube monitor system.',
-                    color: 0x00FF00,
-                    fields: [
-                        {
-                            name: "Status",
-                            value: "✅ Webhook working correctly",
-                            inline: true
-                        }
-                    ]
-                }]
-            };
+// Drop a channel ID the API rejected so the next check resolves it again
+async function forgetChannelId(channelHandle, error) {
+    const status = error.response?.status;
+    if (status !== 400 && status !== 404) return;
 
-        default:
-            return {
-                content: `📡 Event from ${data.channelHandle}: \`${data.event}\`\n${data.message || ''}`
-            };
+    const cleanHandle = normalizeHandle(channelHandle);
+    console.warn(`⚠️ Channel ID for ${cleanHandle} was rejected (HTTP ${status}), re-resolving on next check`);
+    channelIdCache.invalidate(cleanHandle);
+    await saveChannelId(cleanHandle, null);
+}
+
+// Share the remaining API budget between the running monitors
+function refreshQuotaPlan() {
+    const msUntilReset = quotaTracker.msUntilReset();
+    let plannedUnits = 0;
+
+    for (const instance of monitoringInstances.values()) {
+        if (!instance.isMonitoring) continue;
+        plannedUnits += instance.estimatedUnitsPerCheck() * (msUntilReset / instance.interval);
+    }
+
+    return quotaTracker.plan(plannedUnits);
+}
+
+// Every YouTube Data API request goes through here so its quota cost is recorded
+async function youtubeApiGet(method, params, channelHandle) {
+    const resource = method.split('.')[0];
+
+    try {
+        return await axios.get(`https://www.googleapis.com/youtube/v3/${resource}`, {
+            params: { ...params, key: process.env.YOUTUBE_API_KEY },
+            timeout: 15000
+        });
+    } catch (error) {
+        const reason = error.response?.data?.error?.errors?.[0]?.reason;
+        if (error.response?.status === 403 && (reason === 'quotaExceeded' || reason === 'dailyLimitExceeded')) {
+            quotaTracker.markExhausted();
+        }
+        throw error;
+    } finally {
+        // Failed requests are charged too
+        await quotaTracker.record(method, channelHandle);
+    }
+}
+
+// Upload IDs remembered per channel for new-upload detection
+const SEEN_UPLOADS_LIMIT = 200;
+
+// Shortened links for every stream in a live check, reusing the ones a monitor already made
+async function shortenLiveStreams(channelHandle, liveStatus) {
+    const tracked = monitoringInstances.get(channelHandle)?.lastKnownStates.liveStreams || {};
+    const streams = [];
+
+    for (const stream of liveStatus.streams || []) {
+        const shortenerResult = tracked[stream.videoId]?.shorturl
+            ? { shorturl: tracked[stream.videoId].shorturl, service: 'cached' }
+            : await shortenerService.shortenUrl(stream.liveUrl, { channelHandle, videoId: stream.videoId });
+
+        streams.push({
+            videoId: stream.videoId,
+            title: stream.title,
+            url: stream.liveUrl,
+            shorturl: shortenerResult.shorturl,
+            thumbnail: stream.thumbnail,
+            shortenerService: shortenerResult.service
+        });
     }
+
+    return streams;
+}
+
+// Adds shorturl and shortenerService to each listed video or short. They are shortened side by side;
+// the shortener service's concurrency limit keeps the external calls bounded.
+async function shortenItems(items, channelHandle) {
+    await Promise.all(items.map(async item => {
+        const shortenerResult = await shortenerService.shortenUrl(item.url, { channelHandle, videoId: item.videoId });
+        item.shorturl = shortenerResult.shorturl;
+        item.shortenerService = shortenerResult.service;
+    }));
 }
 
 // API Routes
@@ -1103,18 +1524,21 @@ app.get('/api/live-link', async (req, res) => {
 
         switch (contentType) {
             case 'live':
-                const liveStatus = await checkIfChannelIsLive(channelHandle);
+                const liveStatus = await youtube.checkLive(channelHandle);
                 if (liveStatus.isLive && liveStatus.liveUrl) {
-                    const shortenerResult = await shortenUrl(liveStatus.liveUrl);
+                    const streams = await shortenLiveStreams(channelHandle, liveStatus);
                     result = {
                         success: true,
                         isLive: true,
                         hasContent: true,
-                        shorturl: shortenerResult.shorturl,
-                        originalUrl: liveStatus.liveUrl,
-                        title: liveStatus.title,
-                        thumbnail: liveStatus.thumbnail,
-                        shortenerService: shortenerResult.service,
+                        // The first stream stays at the top level for existing clients
+                        shorturl: streams[0].shorturl,
+                        originalUrl: streams[0].url,
+                        title: streams[0].title,
+                        thumbnail: streams[0].thumbnail,
+                        shortenerService: streams[0].shortenerService,
+                        streams: streams,
+                        liveCount: streams.length,
                         method: liveStatus.method
                     };
                 } else {
@@ -1128,14 +1552,10 @@ app.get('/api/live-link', async (req, res) => {
                 break;
 
             case 'videos':
-                const videoResult = await getLatestVideos(channelHandle, 8);
+                const videoResult = await youtube.getLatestVideos(channelHandle, 8);
                 if (videoResult.success && videoResult.videos.length > 0) {
                     // Shorten URLs for videos
-                    for (let video of videoResult.videos) {
-                        const shortenerResult = await shortenUrl(video.url);
-                        video.shorturl = shortenerResult.shorturl;
-                        video.shortenerService = shortenerResult.service;
-                    }
+                    await shortenItems(videoResult.videos, channelHandle);
                     result = {
                         success: true,
                         hasContent: true,
@@ -1153,14 +1573,10 @@ app.get('/api/live-link', async (req, res) => {
                 break;
 
             case 'shorts':
-                const shortResult = await getLatestShorts(channelHandle, 10);
+                const shortResult = await youtube.getLatestShorts(channelHandle, 10);
                 if (shortResult.success && shortResult.shorts.length > 0) {
                     // Shorten URLs for shorts
-                    for (let short of shortResult.shorts) {
-                        const shortenerResult = await shortenUrl(short.url);
-                        short.shorturl = shortenerResult.shorturl;
-                        short.shortenerService = shortenerResult.service;
-                    }
+                    await shortenItems(shortResult.shorts, channelHandle);
                     result = {
                         success: true,
                         hasContent: true,
@@ -1177,12 +1593,47 @@ app.get('/api/live-link', async (req, res) => {
                 }
                 break;
 
+            case 'upcoming':
+                const upcomingResult = await youtube.getUpcomingStreams(channelHandle);
+                // A monitored channel also knows about reschedules and recent cancellations
+                const trackedStates = monitoringInstances.get(channelHandle)?.lastKnownStates || {};
+                const upcomingStreams = [];
+
+                for (const stream of upcomingResult.upcoming) {
+                    const tracked = trackedStates.upcoming?.[stream.videoId];
+                    const shortenerResult = tracked?.shorturl
+                        ? { shorturl: tracked.shorturl, service: 'cached' }
+                        : await shortenerService.shortenUrl(stream.url, { channelHandle, videoId: stream.videoId });
+
+                    upcomingStreams.push({
+                        ...stream,
+                        shorturl: shortenerResult.shorturl,
+                        shortenerService: shortenerResult.service,
+                        ...(tracked?.previousStartTime && {
+                            rescheduled: true,
+                            previousStartTime: tracked.previousStartTime,
+                            rescheduledAt: tracked.rescheduledAt
+                        })
+                    });
+                }
+
+                result = {
+                    success: upcomingResult.success,
+                    hasContent: upcomingStreams.length > 0,
+                    upcoming: upcomingStreams,
+                    cancelled: trackedStates.cancelledUpcoming || [],
+                    contentType: 'upcoming',
+                    method: upcomingResult.method,
+                    ...(upcomingStreams.length === 0 && { message: `No scheduled streams found for ${channelHandle}` })
+                };
+                break;
+
             case 'all':
                 // Get all content types
                 const [liveResult, videosResult, shortsResult] = await Promise.all([
-                    checkIfChannelIsLive(channelHandle),
-                    getLatestVideos(channelHandle, 10),
-                    getLatestShorts(channelHandle, 10)
+                    youtube.checkLive(channelHandle),
+                    youtube.getLatestVideos(channelHandle, 10),
+                    youtube.getLatestShorts(channelHandle, 10)
                 ]);
 
                 result = {
@@ -1192,25 +1643,23 @@ app.get('/api/live-link', async (req, res) => {
 
                 // Process live stream
                 if (liveResult.isLive && liveResult.liveUrl) {
-                    const shortenerResult = await shortenUrl(liveResult.liveUrl);
+                    const streams = await shortenLiveStreams(channelHandle, liveResult);
                     result.isLive = true;
                     result.liveStream = {
-                        title: liveResult.title,
-                        url: liveResult.liveUrl,
-                        shortUrl: shortenerResult.shorturl,
-                        thumbnail: liveResult.thumbnail
+                        title: streams[0].title,
+                        url: streams[0].url,
+                        shortUrl: streams[0].shorturl,
+                        thumbnail: streams[0].thumbnail
                     };
+                    result.liveStreams = streams;
                 } else {
                     result.isLive = false;
+                    result.liveStreams = [];
                 }
 
                 // Process videos
                 if (videosResult.success && videosResult.videos.length > 0) {
-                    for (let video of videosResult.videos) {
-                        const shortenerResult = await shortenUrl(video.url);
-                        video.shorturl = shortenerResult.shorturl;
-                        video.shortenerService = shortenerResult.service;
-                    }
+                    await shortenItems(videosResult.videos, channelHandle);
                     result.videos = videosResult.videos;
                 } else {
                     result.videos = [];
@@ -1218,11 +1667,7 @@ app.get('/api/live-link', async (req, res) => {
 
                 // Process shorts
                 if (shortsResult.success && shortsResult.shorts.length > 0) {
-                    for (let short of shortsResult.shorts) {
-                        const shortenerResult = await shortenUrl(short.url);
-                        short.shorturl = shortenerResult.shorturl;
-                        short.shortenerService = shortenerResult.service;
-                    }
+                    await shortenItems(shortsResult.shorts, channelHandle);
                     result.shorts = shortsResult.shorts;
                 } else {
                     result.shorts = [];
@@ -1283,7 +1728,7 @@ app.get('/api/monitoring/health-check', async (req, res) => {
             const status = monitoringStatus[channelHandle];
             
             // Check if channel should be running but isn't
-            const shouldBeRunning = config && config.webhookUrl && config.contentTypes && config.contentTypes.length > 0;
+            const shouldBeRunning = config && config.destinations?.length > 0 && config.contentTypes && config.contentTypes.length > 0;
             const isCurrentlyRunning = activeMonitors.has(channelHandle);
             const hasConsecutiveErrors = status && status.consecutiveErrors > 5;
             const lastCheckTooOld = status && status.lastChecked && (Date.now() - new Date(status.lastChecked).getTime()) > (config.interval * 3 * 1000); // 3x interval threshold
@@ -1431,7 +1876,7 @@ app.get('/api/monitoring/health-detailed', async (req, res) => {
                 isActive: isActive,
                 interval: config.interval,
                 contentTypes: config.contentTypes,
-                webhookConfigured: !!config.webhookUrl,
+                webhookConfigured: config.destinations?.length > 0,
                 status: status ? {
                     lastChecked: status.lastChecked,
                     consecutiveErrors: status.consecutiveErrors,
@@ -1526,7 +1971,7 @@ app.post('/api/monitoring/recover', async (req, res) => {
 
 app.post('/api/monitoring/setup', async (req, res) => {
     try {
-        const { channel, webhook, interval, contentTypes } = req.body;
+        const { channel, webhook, destinations, interval, contentTypes, templates, mode, settings } = req.body;
 
         if (!channel) {
             return res.status(400).json({
@@ -1535,13 +1980,26 @@ app.post('/api/monitoring/setup', async (req, res) => {
             });
         }
 
-        if (!webhook) {
+        // `webhook` is the legacy single Discord URL; `destinations` lists any number of targets
+        const selectedDestinations = normalizeDestinations(destinations || webhook);
+
+        if (selectedDestinations.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Webhook URL is required'
+                error: 'Webhook URL or at least one destination is required'
             });
         }
 
+        for (const [index, destination] of selectedDestinations.entries()) {
+            const validationError = validateDestination(destination);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Destination ${index + 1}: ${validationError}`
+                });
+            }
+        }
+
         // Extract and normalize channel handle
         let channelHandle = channel.trim();
         try {
@@ -1561,32 +2019,65 @@ app.post('/api/monitoring/setup', async (req, res) => {
             channelHandle = `@${channelHandle}`;
         }
 
-        // Validate content types
-        const validContentTypes = ['live', 'videos', 'shorts'];
-        const selectedTypes = contentTypes && Array.isArray(contentTypes) 
-            ? contentTypes.filter(type => validContentTypes.includes(type))
-            : ['live', 'videos', 'shorts']; // Default to all types
+        const templatesError = validateTemplates(templates);
+        if (templatesError) {
+            return res.status(400).json({
+                success: false,
+                error: templatesError
+            });
+        }
 
-        if (selectedTypes.length === 0) {
+        const settingsError = validateSettings(settings);
+        if (settingsError) {
             return res.status(400).json({
                 success: false,
-                error: 'At least one valid content type must be specified'
+                error: settingsError
             });
         }
 
-        // Check if already monitoring this channel
+        const detectionMode = mode || 'poll';
+        if (!DETECTION_MODES.includes(detectionMode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid mode "${mode}". Valid modes: ${DETECTION_MODES.join(', ')}`
+            });
+        }
+
+        if (detectionMode === 'push' && !webSub.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Push mode needs WEBSUB_CALLBACK_URL set to this server\'s public /api/websub/callback URL'
+            });
+        }
+
+        // Validate content types
+        const selectedTypes = contentTypes && Array.isArray(contentTypes) 
+            ? contentTypes.filter(type => CONTENT_TYPES.includes(type))
+            : ['live', 'videos', 'shorts']; // Default to all types
+
+        if (selectedTypes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one valid content type must be specified'
+            });
+        }
+
+        // Check if already monitoring this channel
         const existingInstance = monitoringInstances.get(channelHandle);
         if (existingInstance && existingInstance.isMonitoring) {
-            // Update webhook URL and content types if different
-            if (existingInstance.webhookUrl !== webhook || 
-                JSON.stringify(existingInstance.contentTypes.sort()) !== JSON.stringify(selectedTypes.sort())) {
+            // Update destinations and content types if different
+            if (JSON.stringify(existingInstance.destinations) !== JSON.stringify(selectedDestinations) || 
+                JSON.stringify(existingInstance.contentTypes.sort()) !== JSON.stringify(selectedTypes.sort()) ||
+                existingInstance.mode !== detectionMode) {
 
-                // Stop existing monitoring
-                await existingInstance.stop();
-
-                // Create new instance with updated config
+                // Create new instance with updated config; it keeps everything already seen and
+                // announced, and the streams it is tracking
                 const monitoringInterval = interval ? parseInt(interval) * 1000 : DEFAULT_MONITOR_INTERVAL;
-                const newInstance = new MonitoringInstance(channelHandle, webhook, monitoringInterval, selectedTypes);
+                const newInstance = new MonitoringInstance(channelHandle, selectedDestinations, monitoringInterval, selectedTypes, templates || existingInstance.templates, detectionMode, settings || existingInstance.settings);
+                carryOverState(existingInstance, newInstance);
+
+                // Stop existing monitoring; the stored channel stays and is updated in place
+                await existingInstance.halt();
 
                 // Start new monitoring (this will save to database)
                 const result = await newInstance.start();
@@ -1595,9 +2086,12 @@ app.post('/api/monitoring/setup', async (req, res) => {
                     monitoringInstances.set(channelHandle, newInstance);
                     persistentChannels.set(channelHandle, {
                         channelHandle,
-                        webhookUrl: webhook,
+                        destinations: selectedDestinations,
                         interval: monitoringInterval,
                         contentTypes: selectedTypes,
+                        templates: newInstance.templates,
+                        mode: detectionMode,
+                        settings: newInstance.settings,
                         setupAt: Date.now()
                     });
 
@@ -1617,7 +2111,10 @@ app.post('/api/monitoring/setup', async (req, res) => {
                             channel: channelHandle,
                             interval: monitoringInterval / 1000,
                             contentTypes: selectedTypes,
+                            mode: detectionMode,
+                            settings: resolveSettings(newInstance.settings),
                             webhookConfigured: true,
+                            destinations: selectedDestinations.map(maskDestination),
                             action: 'updated'
                         },
                         status: newInstance.getStatus()
@@ -1629,6 +2126,39 @@ app.post('/api/monitoring/setup', async (req, res) => {
                     });
                 }
             } else {
+                // Template and settings changes don't need a restart
+                const templatesChanged = templates && JSON.stringify(templates) !== JSON.stringify(existingInstance.templates);
+                const settingsChanged = settings && JSON.stringify(settings) !== JSON.stringify(existingInstance.settings);
+
+                if (templatesChanged || settingsChanged) {
+                    const stored = persistentChannels.get(channelHandle);
+
+                    if (templatesChanged) {
+                        existingInstance.templates = templates;
+                        if (stored) stored.templates = templates;
+                    }
+                    if (settingsChanged) {
+                        existingInstance.settings = settings;
+                        if (stored) stored.settings = settings;
+                    }
+                    await existingInstance.saveToDatabase();
+
+                    return res.json({
+                        success: true,
+                        message: `Updated ${templatesChanged ? 'message templates' : 'settings'} for ${channelHandle}`,
+                        config: {
+                            channel: channelHandle,
+                            interval: existingInstance.interval / 1000,
+                            contentTypes: existingInstance.contentTypes,
+                            settings: resolveSettings(existingInstance.settings),
+                            webhookConfigured: true,
+                            destinations: existingInstance.destinations.map(maskDestination),
+                            action: templatesChanged ? 'templates_updated' : 'settings_updated'
+                        },
+                        status: existingInstance.getStatus()
+                    });
+                }
+
                 return res.json({
                     success: true,
                     message: `Already monitoring ${channelHandle} with same configuration`,
@@ -1637,6 +2167,7 @@ app.post('/api/monitoring/setup', async (req, res) => {
                         interval: existingInstance.interval / 1000,
                         contentTypes: existingInstance.contentTypes,
                         webhookConfigured: true,
+                        destinations: existingInstance.destinations.map(maskDestination),
                         action: 'existing'
                     },
                     status: existingInstance.getStatus()
@@ -1646,7 +2177,7 @@ app.post('/api/monitoring/setup', async (req, res) => {
 
         // Create new monitoring instance
         const monitoringInterval = interval ? parseInt(interval) * 1000 : DEFAULT_MONITOR_INTERVAL;
-        const instance = new MonitoringInstance(channelHandle, webhook, monitoringInterval, selectedTypes);
+        const instance = new MonitoringInstance(channelHandle, selectedDestinations, monitoringInterval, selectedTypes, templates, detectionMode, settings);
 
         // Start monitoring (this will automatically save to database)
         const result = await instance.start();
@@ -1655,9 +2186,12 @@ app.post('/api/monitoring/setup', async (req, res) => {
             monitoringInstances.set(channelHandle, instance);
             persistentChannels.set(channelHandle, {
                 channelHandle,
-                webhookUrl: webhook,
+                destinations: selectedDestinations,
                 interval: monitoringInterval,
                 contentTypes: selectedTypes,
+                templates: instance.templates,
+                mode: detectionMode,
+                settings: instance.settings,
                 setupAt: Date.now()
             });
 
@@ -1677,7 +2211,10 @@ app.post('/api/monitoring/setup', async (req, res) => {
                     channel: channelHandle,
                     interval: monitoringInterval / 1000,
                     contentTypes: selectedTypes,
+                    mode: detectionMode,
+                    settings: resolveSettings(instance.settings),
                     webhookConfigured: true,
+                    destinations: selectedDestinations.map(maskDestination),
                     action: 'created'
                 },
                 status: instance.getStatus()
@@ -1735,14 +2272,19 @@ app.get('/api/monitoring/channels', async (req, res) => {
                 activeChannels++;
             }
 
+            const destinations = normalizeDestinations(dbChannel.destinations || dbChannel.webhook_url);
+
             const channel = {
                 channelHandle: dbChannel.channel_handle,
                 channelUrl: `https://www.youtube.com/${dbChannel.channel_handle}`,
                 webhookUrl: dbChannel.webhook_url,
+                destinations: destinations.map(maskDestination),
                 contentTypes: dbChannel.content_types || [],
+                templates: dbChannel.templates || {},
+                settings: dbChannel.settings || {},
                 interval: Math.floor(dbChannel.monitor_interval / 1000), // Convert to seconds
                 setupAt: dbChannel.created_at,
-                webhookConfigured: !!dbChannel.webhook_url,
+                webhookConfigured: destinations.length > 0,
                 isCurrentlyMonitoring: isCurrentlyMonitoring,
                 status: instance ? instance.getStatus() : null
             };
@@ -1789,10 +2331,13 @@ app.get('/api/monitoring/status', (req, res) => {
                 isMonitoring: status.isMonitoring,
                 contentTypes: status.contentTypes,
                 interval: status.interval,
+                effectiveInterval: status.effectiveInterval,
                 webhookUrl: status.webhookUrl ? 'configured' : null,
                 lastChecked: status.lastChecked,
                 uptime: status.uptime,
                 consecutiveErrors: status.consecutiveErrors,
+                health: status.health,
+                errorReason: status.errorReason,
                 lastKnownLiveStatus: status.lastKnownLiveStatus,
                 cache: globalCache.get(status.channelHandle)
             };
@@ -1802,7 +2347,7 @@ app.get('/api/monitoring/status', (req, res) => {
             success: true,
             totalChannels: totalChannels,
             activeChannels: activeInstances.length,
-            configuredChannels: Array.from(persistentChannels.values()).filter(c => c.webhookUrl).length,
+            configuredChannels: Array.from(persistentChannels.values()).filter(c => c.destinations?.length > 0).length,
             serverUptime: serverUptimeSeconds,
             monitoring: monitoring
         });
@@ -1816,50 +2361,196 @@ app.get('/api/monitoring/status', (req, res) => {
     }
 });
 
-// POST /api/monitoring/stop - Stop monitoring a channel
-app.post('/api/monitoring/stop', async (req, res) => {
+// GET /api/monitoring/quota - YouTube Data API usage against the daily budget
+app.get('/api/monitoring/quota', async (req, res) => {
     try {
-        const { channel } = req.body;
-        
+        const days = Math.min(Math.max(parseInt(req.query.days) || 0, 0), 90);
+
+        refreshQuotaPlan();
+        const quota = quotaTracker.getStatus();
+
+        const channels = Array.from(monitoringInstances.values())
+            .filter(instance => instance.isMonitoring)
+            .map(instance => ({
+                channelHandle: instance.channelHandle,
+                unitsPerCheck: instance.estimatedUnitsPerCheck(),
+                interval: instance.interval,
+                effectiveInterval: instance.activeInterval || instance.getEffectiveInterval(),
+                usedToday: quota.byChannel[instance.channelHandle] || 0
+            }));
+
+        let history;
+        if (days > 0) {
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const result = await getQuotaUsage(since);
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            const totals = {};
+            for (const row of result.usage) {
+                totals[row.date] = (totals[row.date] || 0) + row.units;
+            }
+            history = Object.entries(totals).map(([date, units]) => ({ date, units }));
+        }
+
+        res.json({
+            success: true,
+            apiKeyConfigured: !!process.env.YOUTUBE_API_KEY,
+            quota,
+            channels,
+            ...(history && { history })
+        });
+    } catch (error) {
+        console.error('❌ Error getting quota usage:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/monitoring/leases - Check leases: which process checks which channel
+app.get('/api/monitoring/leases', async (req, res) => {
+    try {
+        const status = await checkLeases.getStatus();
+
+        res.json({
+            success: true,
+            ...status
+        });
+    } catch (error) {
+        console.error('❌ Error getting check leases:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/monitoring/scheduler - The shared check queue
+app.get('/api/monitoring/scheduler', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...scheduler.getState()
+        });
+    } catch (error) {
+        console.error('❌ Error getting scheduler state:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/monitoring/templates - Replace a monitored channel's message templates
+app.put('/api/monitoring/templates', async (req, res) => {
+    try {
+        const { channel, templates } = req.body;
+
         if (!channel) {
             return res.status(400).json({
                 success: false,
-                message: 'Channel parameter is required'
+                error: 'Channel parameter is required'
             });
         }
 
-        console.log(`🛑 Stopping monitoring for ${channel}...`);
+        const templatesError = validateTemplates(templates || {});
+        if (templatesError) {
+            return res.status(400).json({
+                success: false,
+                error: templatesError
+            });
+        }
+
+        const channelHandle = channel.startsWith('@') ? channel : `@${channel}`;
+        const instance = monitoringInstances.get(channelHandle);
 
-        const instance = monitoringInstances.get(channel);
-        
         if (!instance) {
-            return res.json({
-                success: true,
-                message: `Channel ${channel} was not being monitored`
+            return res.status(404).json({
+                success: false,
+                error: `${channelHandle} is not being monitored`
             });
         }
 
-        const result = await instance.stop();
-        
-        if (result.success) {
-            monitoringInstances.delete(channel);
-            persistentChannels.delete(channel);
-            
-            console.log(`✅ Stopped monitoring for ${channel}`);
-            
-            res.json({
-                success: true,
-                message: `Stopped monitoring for ${channel}`
+        instance.templates = templates || {};
+        const result = await instance.saveToDatabase();
+
+        const stored = persistentChannels.get(channelHandle);
+        if (stored) stored.templates = instance.templates;
+
+        console.log(`📝 Updated message templates for ${channelHandle}`);
+
+        res.json({
+            success: result.success,
+            message: `Updated message templates for ${channelHandle}`,
+            templates: instance.templates,
+            ...(result.error && { error: result.error })
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating templates:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST /api/monitoring/templates/preview - Render a template against sample data without sending it
+app.post('/api/monitoring/templates/preview', (req, res) => {
+    try {
+        const { event = 'stream_started', template, destinationType = 'discord', channel, sample } = req.body;
+
+        if (!TEMPLATE_EVENTS.includes(event)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid event. Valid events: ${TEMPLATE_EVENTS.join(', ')}`
             });
-        } else {
-            res.json({
+        }
+
+        const templatesError = validateTemplates(template ? { [event]: template } : {});
+        if (templatesError) {
+            return res.status(400).json({
                 success: false,
-                message: result.message
+                error: templatesError
             });
         }
 
+        if (!DESTINATION_TYPES.includes(destinationType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid destination type. Valid types: ${DESTINATION_TYPES.join(', ')}`
+            });
+        }
+
+        // Telegram needs a chat id to build its body; a placeholder is enough for a preview
+        const destination = { type: destinationType, chatId: '@preview' };
+
+        const channelHandle = channel ? (channel.startsWith('@') ? channel : `@${channel}`) : '@SampleChannel';
+        const data = {
+            ...SAMPLE_DATA[event],
+            ...(sample && typeof sample === 'object' ? sample : {}),
+            event,
+            channelHandle,
+            channelUrl: `https://www.youtube.com/${channelHandle}`
+        };
+
+        res.json({
+            success: true,
+            event,
+            destinationType: destination.type,
+            data,
+            payload: formatNotification(destination, data, template)
+        });
+
     } catch (error) {
-        console.error('❌ Stop monitoring error:', error);
+        console.error('❌ Error rendering template preview:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -1867,79 +2558,636 @@ app.post('/api/monitoring/stop', async (req, res) => {
     }
 });
 
-// POST /api/monitoring/restart - Restart monitoring for a channel
-app.post('/api/monitoring/restart', async (req, res) => {
+// GET /api/monitoring/events - Query the monitoring event history
+app.get('/api/monitoring/events', async (req, res) => {
     try {
-        const { channel } = req.body;
-        
-        if (!channel) {
+        const { channel, type, since, until, cursor } = req.query;
+
+        const eventTypes = type ? type.split(',').map(t => t.trim()).filter(Boolean) : [];
+        const invalidTypes = eventTypes.filter(t => !MONITORING_EVENT_TYPES.includes(t));
+        if (invalidTypes.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Channel parameter is required'
+                error: `Invalid event type: ${invalidTypes.join(', ')}. Valid types: ${MONITORING_EVENT_TYPES.join(', ')}`
+            });
+        }
+
+        // Normalize the time range to ISO strings so every storage backend compares them the same way
+        const range = {};
+        for (const [key, value] of Object.entries({ since, until })) {
+            if (!value) continue;
+            const date = new Date(isNaN(value) ? value : parseInt(value));
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid ${key} timestamp`
+                });
+            }
+            range[key] = date.toISOString();
+        }
+
+        if (cursor && !/^\d+$/.test(cursor)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor'
             });
         }
 
-        console.log(`🔄 Restarting monitoring for ${channel}...`);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const channelHandle = channel ? (channel.startsWith('@') ? channel : `@${channel}`) : null;
+
+        const result = await getMonitoringEvents({
+            channelHandle,
+            eventTypes,
+            since: range.since,
+            until: range.until,
+            cursor: cursor ? parseInt(cursor) : null,
+            limit
+        });
 
-        // Stop existing instance if running
-        const existingInstance = monitoringInstances.get(channel);
-        if (existingInstance) {
-            await existingInstance.stop();
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
         }
 
-        // Get channel config from persistent storage or database
-        let channelConfig = persistentChannels.get(channel);
-        
-        if (!channelConfig) {
-            // Try to get from database
-            const dbResult = await getAllChannelsFromDatabase();
-            if (dbResult.success) {
-                const dbChannel = dbResult.channels.find(c => c.channel_handle === channel);
-                if (dbChannel) {
-                    channelConfig = {
-                        channelHandle: dbChannel.channel_handle,
-                        webhookUrl: dbChannel.webhook_url,
-                        interval: dbChannel.monitor_interval,
-                        contentTypes: dbChannel.content_types,
-                        setupAt: dbChannel.created_at
-                    };
-                }
+        res.json({
+            success: true,
+            count: result.events.length,
+            events: result.events,
+            nextCursor: result.nextCursor
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting monitoring events:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/monitoring/deliveries - List webhook deliveries (?status=dead for the dead-letter list)
+app.get('/api/monitoring/deliveries', async (req, res) => {
+    try {
+        const { status, channel, cursor } = req.query;
+        const validStatuses = ['pending', 'sending', 'delivered', 'dead'];
+
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Valid statuses: ${validStatuses.join(', ')}`
+            });
+        }
+
+        if (cursor && !/^\d+$/.test(cursor)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const channelHandle = channel ? (channel.startsWith('@') ? channel : `@${channel}`) : null;
+
+        const result = await getDeliveries({
+            status,
+            channelHandle,
+            cursor: cursor ? parseInt(cursor) : null,
+            limit
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            count: result.deliveries.length,
+            deliveries: result.deliveries.map(delivery => ({
+                ...delivery,
+                webhookUrl: maskWebhookUrl(delivery.webhookUrl),
+                destination: delivery.destination ? maskDestination(delivery.destination) : null
+            })),
+            nextCursor: result.nextCursor
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST /api/monitoring/deliveries/replay - Replay every dead-lettered delivery (optionally for one channel)
+app.post('/api/monitoring/deliveries/replay', async (req, res) => {
+    try {
+        const { channel } = req.body || {};
+        const channelHandle = channel ? (channel.startsWith('@') ? channel : `@${channel}`) : null;
+
+        const dead = await getDeliveries({ status: 'dead', channelHandle, limit: 200 });
+        if (!dead.success) {
+            return res.status(500).json({
+                success: false,
+                error: dead.error
+            });
+        }
+
+        let delivered = 0;
+        for (const delivery of dead.deliveries) {
+            const result = await deliveryQueue.replay(delivery.id);
+            if (result.delivered) delivered++;
+        }
+
+        console.log(`🔁 Replayed ${dead.deliveries.length} dead-lettered deliveries (${delivered} delivered)`);
+
+        res.json({
+            success: true,
+            replayed: dead.deliveries.length,
+            delivered: delivered,
+            requeued: dead.deliveries.length - delivered
+        });
+
+    } catch (error) {
+        console.error('❌ Error replaying deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST /api/monitoring/deliveries/:id/replay - Replay a single dead-lettered delivery
+app.post('/api/monitoring/deliveries/:id/replay', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid delivery id'
+            });
+        }
+
+        const result = await deliveryQueue.replay(id);
+
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 409).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            delivered: result.delivered,
+            message: result.delivered
+                ? 'Delivery replayed successfully'
+                : result.delivery.status === 'dead' ? 'Replay failed, delivery dead-lettered again' : 'Delivery re-queued for retry',
+            delivery: {
+                ...result.delivery,
+                webhookUrl: maskWebhookUrl(result.delivery.webhookUrl),
+                destination: result.delivery.destination ? maskDestination(result.delivery.destination) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error replaying delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Instance rebuilt from a stored config, carrying on from its persisted states
+function instanceFromConfig(config) {
+    const instance = new MonitoringInstance(
+        config.channelHandle,
+        config.destinations,
+        config.interval,
+        config.contentTypes,
+        config.templates,
+        config.mode,
+        config.settings
+    );
+    instance.lastKnownStates = { ...instance.lastKnownStates, ...config.lastKnownStates };
+    instance.consecutiveErrors = config.consecutiveErrors || 0;
+    instance.health = config.health || 'active';
+    instance.errorReason = config.errorReason || null;
+    instance.degradedAt = config.degradedAt || null;
+    instance.lastChecked = config.lastCheckedAt || null;
+    return instance;
+}
+
+// Hand a running instance's progress to the instance replacing it, so nothing is announced twice
+function carryOverState(previous, instance) {
+    instance.lastKnownStates = { ...instance.lastKnownStates, ...previous.lastKnownStates };
+    instance.streamRecords = previous.streamRecords;
+    instance.lastChecked = previous.lastChecked;
+}
+
+// Instance that handles pushed uploads; after a cold start only the stored config is available
+function getPushInstance(channelHandle) {
+    const running = monitoringInstances.get(channelHandle);
+    if (running) return running;
+
+    const config = persistentChannels.get(channelHandle);
+    if (!config) return null;
+
+    return instanceFromConfig({ channelHandle, ...config });
+}
+
+// What the /api/v1 layer (src/routes/api.js) works on
+const monitorEngine = {
+    normalizeHandle,
+    getInstance: channelHandle => monitoringInstances.get(channelHandle) || null,
+    listInstances: () => [...monitoringInstances.values()],
+    youtube,
+    restartMonitoring,
+    stopMonitoring,
+    linkShortener,
+    shortenerService
+};
+
+app.use('/api/v1', createApiRouter(monitorEngine));
+
+// GET /api/streams/:videoId - Moved to /api/v1/streams/:videoId
+app.get('/api/streams/:videoId', (req, res) => {
+    res.redirect(308, `/api/v1/streams/${encodeURIComponent(req.params.videoId)}`);
+});
+
+// GET /api/links - Built-in short links with click counts (?channel=, ?event=, ?limit=)
+app.get('/api/links', async (req, res) => {
+    try {
+        const { channel, event, limit } = req.query;
+        const filters = { channelHandle: channel ? normalizeHandle(channel) : null, event };
+        // The page is capped by `limit`; per-channel totals cover every matching link
+        const [result, all] = await Promise.all([getShortLinks({ ...filters, limit }), getAllShortLinks(filters)]);
+
+        if (!result.success || !all.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error || all.error
+            });
+        }
+
+        res.json({
+            success: true,
+            enabled: linkShortener.enabled,
+            count: result.links.length,
+            links: result.links.map(link => ({
+                ...link,
+                status: linkStatus(link),
+                shorturl: linkShortener.buildUrl(link.code)
+            })),
+            channels: summarizeChannels(all.links)
+        });
+    } catch (error) {
+        console.error('❌ Error listing short links:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/links/:code/stats - Clicks over time, unique visitors and referrers (?bucket=hour|day, ?days=)
+app.get('/api/links/:code/stats', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const bucket = req.query.bucket || 'hour';
+
+        if (!BUCKET_NAMES.includes(bucket)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid bucket. Use one of: ${BUCKET_NAMES.join(', ')}`
+            });
+        }
+
+        const days = parseInt(req.query.days);
+        const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+        const linkResult = await getShortLink(code);
+        if (!linkResult.success) {
+            return res.status(500).json({
+                success: false,
+                error: linkResult.error
+            });
+        }
+
+        if (!linkResult.link) {
+            return res.status(404).json({
+                success: false,
+                error: 'Short link not found'
+            });
+        }
+
+        const clicksResult = await getLinkClicks(code, { since });
+        if (!clicksResult.success) {
+            return res.status(500).json({
+                success: false,
+                error: clicksResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            link: {
+                ...linkResult.link,
+                status: linkStatus(linkResult.link),
+                shorturl: linkShortener.buildUrl(code)
+            },
+            since,
+            stats: summarizeClicks(clicksResult.clicks, { bucket })
+        });
+    } catch (error) {
+        console.error('❌ Error getting short link stats:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/websub/subscriptions - WebSub push subscriptions and their leases
+app.get('/api/websub/subscriptions', (req, res) => {
+    try {
+        const subscriptions = webSub.listSubscriptions();
+
+        res.json({
+            success: true,
+            enabled: webSub.enabled,
+            hubUrl: webSub.hubUrl,
+            count: subscriptions.length,
+            subscriptions
+        });
+    } catch (error) {
+        console.error('❌ Error listing WebSub subscriptions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/websub/callback/:channelId - Hub verification of intent
+app.get('/api/websub/callback/:channelId', async (req, res) => {
+    try {
+        const result = await webSub.handleVerification(req.params.channelId, req.query);
+        res.status(result.status).type('text/plain').send(result.body);
+    } catch (error) {
+        console.error('❌ WebSub verification error:', error);
+        res.status(500).type('text/plain').send(error.message);
+    }
+});
+
+// POST /api/websub/callback/:channelId - Atom feed notification from the hub
+app.post('/api/websub/callback/:channelId', express.text({ type: ['application/atom+xml', 'application/xml', 'text/xml'], limit: '1mb' }), async (req, res) => {
+    try {
+        const rawBody = typeof req.body === 'string' ? req.body : '';
+        const result = await webSub.handleNotification(req.params.channelId, rawBody, req.headers);
+
+        // Hubs only need a 2xx; a bad signature is acknowledged but ignored
+        if (!result.accepted) {
+            return res.status(result.reason === 'unknown_subscription' ? 410 : 202).end();
+        }
+
+        const instance = getPushInstance(result.channelHandle);
+        if (!instance) {
+            console.warn(`⚠️ WebSub notification for ${result.channelHandle}, which is no longer monitored`);
+            return res.status(202).end();
+        }
+
+        for (const upload of result.uploads) {
+            await instance.handlePushedUpload(upload);
+        }
+
+        // Keep the stored copy current for the next cold-start instance
+        const config = persistentChannels.get(result.channelHandle);
+        if (config) config.lastKnownStates = instance.lastKnownStates;
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('❌ WebSub notification error:', error);
+        res.status(500).end();
+    }
+});
+
+// Callers of /api/cron/tick must hold CRON_SECRET; without one configured the endpoint is off
+function cronAuthError(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return { status: 503, error: 'Cron endpoint disabled: set CRON_SECRET' };
+    }
+
+    // Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"; other schedulers may use X-Cron-Secret
+    const authorization = req.get('authorization') || '';
+    const given = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-cron-secret') || '';
+
+    // Compare digests so the check takes the same time whatever the length of the guess
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(given), digest(secret))) {
+        return { status: 401, error: 'Invalid cron secret' };
+    }
+
+    return null;
+}
+
+// One check cycle for every due channel, built from storage alone: on a serverless deployment no
+// monitor survives between requests, so each tick starts from the persisted states and saves them
+// back. Overlapping calls in the same process share one run.
+let cronTick = null;
+
+async function runCronTick() {
+    if (cronTick) return cronTick;
+
+    cronTick = (async () => {
+        const startedAt = Date.now();
+
+        // Usage recorded by other invocations since this one started
+        await quotaTracker.load();
+
+        const due = await getDueChannels({ now: startedAt, slackMs: CRON_DUE_SLACK });
+        if (!due.success) {
+            throw new Error(`Could not load due channels: ${due.error}`);
+        }
+
+        const channels = [];
+        for (const config of due.channels) {
+            const channelHandle = config.channelHandle;
+
+            // A monitor running in this process checks the channel on its own timer
+            if (monitoringInstances.get(channelHandle)?.isMonitoring) {
+                channels.push({ channelHandle, status: 'skipped', reason: 'Monitored by this process' });
+                continue;
             }
+
+            const instance = instanceFromConfig(config);
+
+            // Degraded channels are due when their backoff has passed, not their interval
+            const retryAt = instance.lastChecked + instance.getEffectiveInterval();
+            if (instance.health === 'degraded' && instance.lastChecked && retryAt - CRON_DUE_SLACK > startedAt) {
+                channels.push({ channelHandle, status: 'backoff', retryAt: new Date(retryAt).toISOString() });
+                continue;
+            }
+
+            // Left for the next tick, which picks up the longest overdue first
+            if (Date.now() - startedAt >= CRON_TICK_BUDGET) {
+                channels.push({ channelHandle, status: 'deferred' });
+                continue;
+            }
+
+            // Checked like a running monitor: too many errors in a row degrade it the same way
+            instance.isMonitoring = true;
+            const outcome = await instance.checkContent();
+
+            if (outcome?.skipped) {
+                channels.push({ channelHandle, status: 'leased', holder: outcome.holder, leaseExpiresAt: outcome.expiresAt });
+                continue;
+            }
+
+            // Next tick may run in another process; let it take the lease straight away
+            await checkLeases.release(channelHandle);
+
+            channels.push({
+                channelHandle,
+                status: instance.health === 'degraded' ? 'degraded' : instance.consecutiveErrors > 0 ? 'error' : 'checked',
+                live: instance.lastKnownStates.live,
+                consecutiveErrors: instance.consecutiveErrors
+            });
         }
 
-        if (!channelConfig) {
-            return res.json({
+        // The retry and lease renewal timers don't survive between invocations either
+        const deliveries = await deliveryQueue.processDue();
+        const webSubRenewals = await webSub.renewDue();
+
+        return {
+            startedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            due: due.channels.length,
+            checked: channels.filter(channel => ['checked', 'error', 'degraded'].includes(channel.status)).length,
+            deferred: channels.filter(channel => channel.status === 'deferred').length,
+            channels,
+            deliveries,
+            webSubRenewals: webSubRenewals.renewed
+        };
+    })().finally(() => {
+        cronTick = null;
+    });
+
+    return cronTick;
+}
+
+// GET|POST /api/cron/tick - Check every due channel once (Vercel Cron or any external scheduler)
+async function handleCronTick(req, res) {
+    try {
+        const authError = cronAuthError(req);
+        if (authError) {
+            return res.status(authError.status).json({
                 success: false,
-                message: `No configuration found for ${channel}. Please set up monitoring first.`
+                error: authError.error
             });
         }
 
-        // Create new instance
-        const instance = new MonitoringInstance(
-            channelConfig.channelHandle,
-            channelConfig.webhookUrl,
-            channelConfig.interval,
-            channelConfig.contentTypes
-        );
+        // Configs and quota usage load when the function starts; the first tick may arrive before that
+        await initialization;
 
-        const result = await instance.start();
+        const result = await runCronTick();
+        console.log(`⏰ Cron tick checked ${result.checked}/${result.due} due channel(s) in ${result.durationMs}ms`);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('❌ Cron tick error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// Vercel Cron only sends GET requests
+app.get('/api/cron/tick', handleCronTick);
+app.post('/api/cron/tick', handleCronTick);
+
+// POST /api/monitoring/stop - Stop monitoring a channel
+app.post('/api/monitoring/stop', async (req, res) => {
+    try {
+        const { channel } = req.body;
         
-        if (result.success) {
-            monitoringInstances.set(channel, instance);
-            
-            console.log(`✅ Restarted monitoring for ${channel}`);
-            
-            res.json({
-                success: true,
-                message: `Restarted monitoring for ${channel}`
+        if (!channel) {
+            return res.status(400).json({
+                success: false,
+                message: 'Channel parameter is required'
             });
-        } else {
-            res.json({
+        }
+
+        const result = await stopMonitoring(channel);
+
+        res.json({
+            success: result.success,
+            message: result.message
+        });
+
+    } catch (error) {
+        console.error('❌ Stop monitoring error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Stop a channel's monitor; its configuration is removed with it
+async function stopMonitoring(channel) {
+    console.log(`🛑 Stopping monitoring for ${channel}...`);
+
+    const instance = monitoringInstances.get(channel);
+
+    if (!instance) {
+        return { success: true, message: `Channel ${channel} was not being monitored` };
+    }
+
+    const result = await instance.stop();
+
+    if (!result.success) {
+        return { success: false, message: result.message };
+    }
+
+    monitoringInstances.delete(channel);
+    persistentChannels.delete(channel);
+
+    console.log(`✅ Stopped monitoring for ${channel}`);
+    return { success: true, message: `Stopped monitoring for ${channel}` };
+}
+
+// POST /api/monitoring/restart - Restart monitoring for a channel
+app.post('/api/monitoring/restart', async (req, res) => {
+    try {
+        const { channel } = req.body;
+        
+        if (!channel) {
+            return res.status(400).json({
                 success: false,
-                message: result.message
+                message: 'Channel parameter is required'
             });
         }
 
+        const result = await restartMonitoring(channel);
+
+        res.json({
+            success: result.success,
+            message: result.message
+        });
+
     } catch (error) {
         console.error('❌ Restart monitoring error:', error);
         res.status(500).json({
@@ -1949,66 +3197,125 @@ app.post('/api/monitoring/restart', async (req, res) => {
     }
 });
 
-// POST /api/monitoring/test-webhook - Test webhook
+// (Re)start a channel's monitor from its stored configuration
+async function restartMonitoring(channel) {
+    console.log(`🔄 Restarting monitoring for ${channel}...`);
+
+    // Read the config and state before stopping anything, from persistent storage or database
+    const existingInstance = monitoringInstances.get(channel);
+    let channelConfig = persistentChannels.get(channel);
+
+    if (!channelConfig) {
+        const stored = await getChannelConfiguration(channel);
+        channelConfig = stored.channel;
+    }
+
+    if (!channelConfig) {
+        return {
+            success: false,
+            notFound: true,
+            message: `No configuration found for ${channel}. Please set up monitoring first.`
+        };
+    }
+
+    // Same config, picking up where the previous checks left off
+    const instance = instanceFromConfig({ channelHandle: channel, ...channelConfig });
+
+    if (existingInstance) {
+        carryOverState(existingInstance, instance);
+        await existingInstance.halt();
+    }
+
+    const result = await instance.start();
+    
+    if (!result.success) {
+        return { success: false, message: result.message };
+    }
+
+    monitoringInstances.set(channel, instance);
+    
+    console.log(`✅ Restarted monitoring for ${channel}`);
+    return { success: true, message: `Restarted monitoring for ${channel}` };
+}
+
+// POST /api/monitoring/test-webhook - Test one or more notification destinations
 app.post('/api/monitoring/test-webhook', async (req, res) => {
     try {
-        const { webhook, channel } = req.body;
-        
-        if (!webhook) {
+        const { webhook, destination, destinations, channel } = req.body;
+        const testDestinations = normalizeDestinations(destinations || destination || webhook);
+
+        if (testDestinations.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Webhook URL is required'
+                error: 'Webhook URL or destination is required'
             });
         }
 
-        console.log(`🧪 Testing webhook for ${channel || 'test'}...`);
+        for (const [index, target] of testDestinations.entries()) {
+            const validationError = validateDestination(target);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Destination ${index + 1}: ${validationError}`
+                });
+            }
+        }
 
-        const testPayload = formatDiscordMessage({
+        console.log(`🧪 Testing ${testDestinations.length} destination(s) for ${channel || 'test'}...`);
+
+        const testData = {
             event: 'webhook_test',
             channelHandle: channel || '@test-channel',
             channelUrl: `https://www.youtube.com/${channel || '@test-channel'}`,
-            message: `🧪 Test webhook from LinkBite Monitor\n\nThis is a test notification to verify your Discord webhook is working correctly.\n\nTime: ${new Date().toLocaleString()}`
-        });
+            message: `🧪 Test webhook from LinkBite Monitor\n\nThis is a test notification to verify your webhook is working correctly.\n\nTime: ${new Date().toLocaleString()}`
+        };
 
-        const response = await axios.post(webhook, testPayload, {
-            timeout: 10000,
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'LinkBite-Monitor-Test/1.0'
+        // Tests are sent directly rather than queued so the result can be reported back
+        const results = [];
+        for (const target of testDestinations) {
+            const outcome = await deliveryQueue.post(target, formatNotification(target, testData));
+
+            let errorMessage = null;
+            if (!outcome.ok) {
+                if (outcome.code === 'ECONNREFUSED') {
+                    errorMessage = 'Connection refused - check webhook URL';
+                } else if (outcome.code === 'ENOTFOUND') {
+                    errorMessage = 'Invalid webhook URL';
+                } else {
+                    errorMessage = outcome.status ? `Webhook returned status ${outcome.status}` : outcome.error;
+                }
             }
-        });
 
-        if (response.status >= 200 && response.status < 300) {
+            results.push({
+                destination: maskDestination(target),
+                success: outcome.ok,
+                ...(errorMessage && { error: errorMessage })
+            });
+        }
+
+        const failed = results.filter(result => !result.success);
+
+        if (failed.length === 0) {
             console.log(`✅ Test webhook sent successfully`);
             res.json({
                 success: true,
-                message: 'Test webhook sent successfully!'
+                message: 'Test webhook sent successfully!',
+                results
             });
         } else {
-            console.error(`❌ Webhook test failed with status:`, response.status);
-            res.json({
+            console.error(`❌ Webhook test failed for ${failed.length} destination(s)`);
+            res.status(500).json({
                 success: false,
-                error: `Webhook returned status ${response.status}`
+                error: failed.length === 1 && results.length === 1 ? failed[0].error : `${failed.length} of ${results.length} destinations failed`,
+                results
             });
         }
 
     } catch (error) {
         console.error('❌ Test webhook error:', error);
-        
-        let errorMessage = 'Webhook test failed';
-        if (error.code === 'ECONNREFUSED') {
-            errorMessage = 'Connection refused - check webhook URL';
-        } else if (error.code === 'ENOTFOUND') {
-            errorMessage = 'Invalid webhook URL';
-        } else if (error.response) {
-            errorMessage = `Webhook error: ${error.response.status} ${error.response.statusText}`;
-        } else {
-            errorMessage = error.message;
-        }
-
         res.status(500).json({
             success: false,
-            error: errorMessage
+            error: error.message
         });
     }
 });
@@ -2036,7 +3343,7 @@ async function initializeForVercel() {
                 // Store configurations in global variables for health-check endpoint
                 loadResult.channels.forEach(channelConfig => {
                     monitoringConfigs[channelConfig.channelHandle] = {
-                        webhookUrl: channelConfig.webhookUrl,
+                        destinations: channelConfig.destinations,
                         interval: channelConfig.interval,
                         contentTypes: channelConfig.contentTypes,
                         channelUrl: `https://www.youtube.com/${channelConfig.channelHandle}`
@@ -2054,9 +3361,13 @@ async function initializeForVercel() {
                     // Store in persistent channels map
                     persistentChannels.set(channelConfig.channelHandle, {
                         channelHandle: channelConfig.channelHandle,
-                        webhookUrl: channelConfig.webhookUrl,
+                        destinations: channelConfig.destinations,
                         interval: channelConfig.interval,
                         contentTypes: channelConfig.contentTypes,
+                        templates: channelConfig.templates,
+                        mode: channelConfig.mode,
+                        settings: channelConfig.settings,
+                        lastKnownStates: channelConfig.lastKnownStates,
                         setupAt: channelConfig.setupAt
                     });
                 });
@@ -2065,6 +3376,12 @@ async function initializeForVercel() {
             } else {
                 console.log('📋 No existing monitoring configurations found');
             }
+
+            // Push subscriptions outlive the process; pick up their leases for renewal
+            await webSub.load();
+
+            // Count today's API usage from earlier runs against the budget
+            await quotaTracker.load();
         } else {
             console.error('❌ Database connection failed:', dbTest.error);
             console.log('⚠️ Running without database - monitoring will not persist');
@@ -2079,7 +3396,7 @@ async function initializeForVercel() {
 }
 
 // Initialize immediately when module loads
-initializeForVercel();
+const initialization = initializeForVercel();
 
 // ✅ FIXED: Export for Vercel (remove app.listen())
 export default app;
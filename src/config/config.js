@@ -8,12 +8,6 @@ export const config = {
     linktwApiKey: process.env.LINKTW_API_KEY,
     nodeEnv: process.env.NODE_ENV || 'development',
     
-    // YouTube channel configuration
-    channel: {
-        handle: '@moonvlr5',
-        url: 'https://www.youtube.com/@moonvlr5'
-    },
-    
     // API endpoints
     apis: {
         youtube: 'https://www.googleapis.com/youtube/v3',
@@ -23,13 +17,10 @@ export const config = {
     // Cache settings
     cache: {
         duration: 2 * 60 * 1000 // 2 minutes in milliseconds
-    }
-};
-
+    },
 
-module.exports = {
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
-  LOG_FILE: process.env.LOG_FILE || 'logs/app.log', // fallback to default
+    // Logging (src/utils/logger.js)
+    logLevel: process.env.LOG_LEVEL || 'info'
 };
 
 export default config;
\ No newline at end of file
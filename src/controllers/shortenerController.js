@@ -1,39 +1,165 @@
-const shortenerService = require('../services/shortenerService');
+import { linkStatus } from '../services/linkShortener.js';
 
+// HTTP status for a failed built-in shortener call (see LinkShortener)
+function failureStatus(result) {
+  if (result.invalid) return 400;
+  if (result.forbidden) return 403;
+  if (result.notFound) return 404;
+  if (result.conflict) return 409;
+  if (result.gone) return 410;
+  if (result.unavailable) return 503;
+  return 500;
+}
+
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function describeLink(shorturl, link) {
+  return {
+    code: link.code,
+    shortUrl: shorturl,
+    url: link.url,
+    title: link.title,
+    status: linkStatus(link),
+    expiresAt: link.expiresAt,
+    maxClicks: link.maxClicks,
+    clicks: link.clicks
+  };
+}
+
+// Shortener routes of /api/v1
 class ShortenerController {
+  constructor(shortenerService) {
+    this.shortenerService = shortenerService;
+  }
+
   async createShortLink(req, res, next) {
     try {
-      const { url, title } = req.body;
-      
+      const { url, title, alias, expiresAt, maxClicks } = req.body;
+
       if (!url) {
         return res.status(400).json({
           success: false,
           error: 'URL is required'
         });
       }
-      
+
       // Validate URL format
-      try {
-        new URL(url);
-      } catch {
+      if (!isValidUrl(url)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid URL format'
         });
       }
-      
-      const shortUrl = await shortenerService.createShortLink(url, title);
-      
+
+      // An alias or limits make a link of its own on the built-in shortener
+      if (alias !== undefined || expiresAt !== undefined || maxClicks !== undefined) {
+        const created = await this.shortenerService.createLink(url, { alias, expiresAt, maxClicks, title });
+
+        if (!created.success) {
+          return res.status(failureStatus(created)).json({
+            success: false,
+            error: created.error
+          });
+        }
+
+        return res.status(201).json({
+          success: true,
+          originalUrl: url,
+          shortUrl: created.shorturl,
+          shortened: true,
+          service: 'self',
+          title: title || '',
+          link: describeLink(created.shorturl, created.link)
+        });
+      }
+
+      const result = await this.shortenerService.shortenUrl(url);
+
       res.json({
         success: true,
         originalUrl: url,
-        shortUrl: shortUrl,
+        shortUrl: result.shorturl,
+        shortened: result.success,
+        service: result.service,
         title: title || ''
       });
     } catch (error) {
       next(error);
     }
   }
+
+  // Retarget a link ("url") and/or change "expiresAt", "maxClicks" or "title"; null clears a limit
+  async updateShortLink(req, res, next) {
+    try {
+      const { url, expiresAt, maxClicks, title } = req.body;
+
+      if (url === undefined && expiresAt === undefined && maxClicks === undefined && title === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to change. Send "url", "expiresAt", "maxClicks" or "title"'
+        });
+      }
+
+      if (url !== undefined && !isValidUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid URL format'
+        });
+      }
+
+      const result = await this.shortenerService.updateLink(req.params.code, { url, expiresAt, maxClicks, title });
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        link: describeLink(result.shorturl, result.link)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Providers, concurrency and circuit breaker states
+  getServiceInfo(req, res) {
+    res.json({
+      success: true,
+      service: this.shortenerService.getServiceInfo()
+    });
+  }
+
+  async retireShortLink(req, res, next) {
+    try {
+      const result = await this.shortenerService.retireLink(req.params.code);
+
+      if (!result.success) {
+        return res.status(failureStatus(result)).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Short link ${result.link.code} retired`,
+        retiredAt: result.link.retiredAt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
-module.exports = new ShortenerController();
\ No newline at end of file
+export default ShortenerController;
@@ -1,67 +1,152 @@
-const youtubeService = require('../services/youtubeService').default;
-const logger = require('../utils/logger');
+import logger from '../utils/logger.js';
+import { getStreamRecord, getStreamRecords } from '../../database.js';
+import { summarizeStream } from '../services/streamAnalytics.js';
 
+// Stream and channel routes of /api/v1. `monitor` is the monitoring engine (see monitorEngine in
+// server.js); its `youtube` provider answers lookups for channels that aren't monitored.
 class StreamController {
+  constructor(monitor) {
+    this.monitor = monitor;
+  }
+
+  // ?channel= narrows to one channel; otherwise every monitored channel
+  channelFrom(req) {
+    const channel = req.query.channel || req.body?.channel;
+    return channel ? this.monitor.normalizeHandle(channel) : null;
+  }
+
+  liveStreamsOf(instance) {
+    return Object.entries(instance.lastKnownStates.liveStreams || {}).map(([videoId, stream]) => ({
+      videoId,
+      channelHandle: instance.channelHandle,
+      title: stream.title,
+      url: stream.url,
+      shorturl: stream.shorturl,
+      thumbnail: stream.thumbnail,
+      startedAt: stream.startedAt
+    }));
+  }
+
   async getCurrentStreams(req, res, next) {
     try {
-      const currentLive = youtubeService.getCurrentLiveStreams();
-      const channelInfo = youtubeService.getChannelInfo();
-      
+      const channel = this.channelFrom(req);
+      let streams;
+
+      if (channel && !this.monitor.getInstance(channel)) {
+        // Not monitored: ask YouTube directly
+        const liveStatus = await this.monitor.youtube.checkLive(channel);
+        streams = (liveStatus.streams || []).map(stream => ({
+          videoId: stream.videoId,
+          channelHandle: channel,
+          title: stream.title,
+          url: stream.liveUrl,
+          thumbnail: stream.thumbnail
+        }));
+      } else {
+        const instances = channel ? [this.monitor.getInstance(channel)] : this.monitor.listInstances();
+        streams = instances.flatMap(instance => this.liveStreamsOf(instance));
+      }
+
       res.json({
         success: true,
-        count: currentLive.length,
-        streams: currentLive,
-        channel: channelInfo
+        count: streams.length,
+        streams: streams,
+        ...(channel && { channel })
       });
     } catch (error) {
       next(error);
     }
   }
 
+  // Recorded streams, newest first (?channel=, ?status=live|ended, ?limit=)
   async getAllStreams(req, res, next) {
     try {
-      const allStreams = youtubeService.getAllStreams();
-      
+      const { status, limit } = req.query;
+      const result = await getStreamRecords({ channelHandle: this.channelFrom(req), status, limit });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
       res.json({
         success: true,
-        count: allStreams.length,
-        streams: allStreams
+        count: result.records.length,
+        streams: result.records.map(({ samples, ...record }) => record)
       });
     } catch (error) {
       next(error);
     }
   }
 
+  // Lifecycle record of a stream seen live by a monitor: start, end, viewers and title changes
   async getStreamById(req, res, next) {
     try {
       const { videoId } = req.params;
-      const stream = youtubeService.getStreamById(videoId);
-      
+      const result = await getStreamRecord(videoId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const stream = result.record;
+
       if (!stream) {
         return res.status(404).json({
           success: false,
           error: 'Stream not found'
         });
       }
-      
+
+      // Running streams have no end yet; report how long they have been live so far
+      const liveSeconds = stream.status === 'live' && stream.startedAt
+        ? Math.round((Date.now() - Date.parse(stream.startedAt)) / 1000)
+        : null;
+
       res.json({
         success: true,
-        stream: stream
+        stream: {
+          ...stream,
+          ...(liveSeconds !== null && { liveSeconds })
+        },
+        summary: stream.status === 'ended' ? summarizeStream(stream) : null
       });
     } catch (error) {
       next(error);
     }
   }
 
+  // Run a check right away for one monitored channel, or all of them
   async checkNow(req, res, next) {
     try {
-      logger.info('Manual stream check triggered');
-      const currentStreams = await youtubeService.checkLiveStreams();
-      
+      const channel = this.channelFrom(req);
+      const instances = channel ? [this.monitor.getInstance(channel)].filter(Boolean) : this.monitor.listInstances();
+
+      if (channel && instances.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `${channel} is not being monitored`
+        });
+      }
+
+      logger.info(`Manual check triggered for ${instances.map(instance => instance.channelHandle).join(', ') || 'no channels'}`);
+
+      // Channels whose check lease another process holds are checked there instead
+      const skipped = [];
+      for (const instance of instances) {
+        const outcome = await instance.checkNow();
+        if (outcome?.skipped) {
+          skipped.push({ channelHandle: instance.channelHandle, holder: outcome.holder });
+        }
+      }
+
       res.json({
         success: true,
-        message: 'Live stream check completed',
-        currentStreams: currentStreams
+        message: 'Check completed',
+        checked: instances
+          .map(instance => instance.channelHandle)
+          .filter(channelHandle => !skipped.some(entry => entry.channelHandle === channelHandle)),
+        skipped,
+        currentStreams: instances.flatMap(instance => this.liveStreamsOf(instance))
       });
     } catch (error) {
       next(error);
@@ -70,13 +155,23 @@ class StreamController {
 
   async getChannelInfo(req, res, next) {
     try {
-      const channelInfo = youtubeService.getChannelInfo();
-      const isMonitoring = youtubeService.isMonitoringActive();
-      
+      const channel = this.channelFrom(req);
+
+      if (!channel) {
+        return res.status(400).json({
+          success: false,
+          error: 'Channel parameter is required'
+        });
+      }
+
+      const instance = this.monitor.getInstance(channel);
+      const channelInfo = await this.monitor.youtube.getChannelInfo(channel);
+
       res.json({
         success: true,
         channel: channelInfo,
-        monitoring: isMonitoring
+        monitoring: !!instance?.isMonitoring,
+        status: instance ? instance.getStatus() : null
       });
     } catch (error) {
       next(error);
@@ -86,21 +181,30 @@ class StreamController {
   async controlMonitoring(req, res, next) {
     try {
       const { action } = req.params;
-      
+      const channel = this.channelFrom(req);
+
+      if (!channel) {
+        return res.status(400).json({
+          success: false,
+          error: 'Channel parameter is required'
+        });
+      }
+
       if (action === 'start') {
-        if (!youtubeService.isMonitoringActive()) {
-          youtubeService.startMonitoring();
-          res.json({ success: true, message: 'Monitoring started' });
-        } else {
-          res.json({ success: true, message: 'Already monitoring' });
+        const instance = this.monitor.getInstance(channel);
+        if (instance?.isMonitoring) {
+          return res.json({ success: true, message: `Already monitoring ${channel}` });
         }
+
+        const result = await this.monitor.restartMonitoring(channel);
+        res.status(result.notFound ? 404 : 200).json({ success: result.success, message: result.message });
       } else if (action === 'stop') {
-        youtubeService.stopMonitoring();
-        res.json({ success: true, message: 'Monitoring stopped' });
+        const result = await this.monitor.stopMonitoring(channel);
+        res.json({ success: result.success, message: result.message });
       } else {
-        res.status(400).json({ 
-          success: false, 
-          error: 'Invalid action. Use "start" or "stop"' 
+        res.status(400).json({
+          success: false,
+          error: 'Invalid action. Use "start" or "stop"'
         });
       }
     } catch (error) {
@@ -109,4 +213,4 @@ class StreamController {
   }
 }
 
-module.exports = new StreamController();
\ No newline at end of file
+export default StreamController;
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+// Routes that change what other people's links do need ADMIN_SECRET, sent as
+// "Authorization: Bearer <ADMIN_SECRET>" or X-Admin-Secret; without one configured they are off
+function adminAuthError(req) {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) {
+    return { status: 503, error: 'Admin routes disabled: set ADMIN_SECRET' };
+  }
+
+  const authorization = req.get('authorization') || '';
+  const given = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-admin-secret') || '';
+
+  // Compare digests so the check takes the same time whatever the length of the guess
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(given), digest(secret))) {
+    return { status: 401, error: 'Invalid admin secret' };
+  }
+
+  return null;
+}
+
+function requireAdmin(req, res, next) {
+  const authError = adminAuthError(req);
+  if (authError) {
+    return res.status(authError.status).json({
+      success: false,
+      error: authError.error
+    });
+  }
+
+  next();
+}
+
+export { adminAuthError };
+export default requireAdmin;
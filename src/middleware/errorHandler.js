@@ -1,5 +1,6 @@
-const logger = require('../utils/logger');
+import logger from '../utils/logger.js';
 
+// Last middleware on the /api/v1 router: logs the error and answers with the usual { success: false, error } shape
 function errorHandler(error, req, res, next) {
   logger.error('API Error:', {
     message: error.message,
@@ -32,4 +33,4 @@ function errorHandler(error, req, res, next) {
   });
 }
 
-module.exports = errorHandler;
\ No newline at end of file
+export default errorHandler;
\ No newline at end of file
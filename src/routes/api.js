@@ -1,47 +1,47 @@
-const express = require('express');
-const streamController = require('../controllers/streamController');
-const shortenerController = require('../controllers/shortenerController');
-app.use(express.static(path.join(__dirname, 'public')));
-const router = express.Router();
-
-// Health check
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
-    uptime: process.uptime(),
-    timestamp: new Date()
+import express from 'express';
+import StreamController from '../controllers/streamController.js';
+import ShortenerController from '../controllers/shortenerController.js';
+import errorHandler from '../middleware/errorHandler.js';
+import requireAdmin from '../middleware/adminAuth.js';
+
+// Versioned API, mounted at /api/v1 by server.js. `monitor` is the monitoring engine the
+// routes work on (see monitorEngine in server.js); every route covers any channel, picked
+// with ?channel= (or "channel" in the body) instead of a configured default.
+export default function createApiRouter(monitor) {
+  const router = express.Router();
+
+  const streamController = new StreamController(monitor);
+  const shortenerController = new ShortenerController(monitor.shortenerService);
+
+  const handle = (controller, method) => (req, res, next) => controller[method](req, res, next);
+
+  // Health check
+  router.get('/health', (req, res) => {
+    res.json({
+      success: true,
+      status: 'healthy',
+      uptime: process.uptime(),
+      channels: monitor.listInstances().length,
+      timestamp: new Date()
+    });
   });
-});
-//default page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-app.get('/api/live-link', async (req, res) => {
-    try {
-        // Get channel from query parameter or use default
-        const channelHandle = req.query.channel || CHANNEL_HANDLE;
-        const channelUrl = `https://www.youtube.com/${CHANNEL_HANDLE}`;
-        
-        // Rest of your existing code...
-        // Replace all CHANNEL_HANDLE references with channelHandle
-        // Replace CHANNEL_URL with channelUrl
-    } catch (error) {
-        // error handling
-    }
-});
-// Stream routes
-router.get('/live-streams', streamController.getCurrentStreams);
-router.get('/streams/all', streamController.getAllStreams);
-router.get('/streams/:videoId', streamController.getStreamById);
-router.post('/check-now', streamController.checkNow);
-router.get('/channel', streamController.getChannelInfo);
-router.post('/monitoring/:action', streamController.controlMonitoring);
-
-// Shortener routes
-router.post('/shorten', shortenerController.createShortLink);
-
-
-module.exports = router;
 
+  // Stream routes
+  router.get('/live-streams', handle(streamController, 'getCurrentStreams'));
+  router.get('/streams/all', handle(streamController, 'getAllStreams'));
+  router.get('/streams/:videoId', handle(streamController, 'getStreamById'));
+  router.post('/check-now', handle(streamController, 'checkNow'));
+  router.get('/channel', handle(streamController, 'getChannelInfo'));
+  router.post('/monitoring/:action', handle(streamController, 'controlMonitoring'));
+
+  // Shortener routes
+  router.get('/shortener', handle(shortenerController, 'getServiceInfo'));
+  router.post('/shorten', handle(shortenerController, 'createShortLink'));
+  // Changing a link changes where everyone who already has it ends up
+  router.patch('/links/:code', requireAdmin, handle(shortenerController, 'updateShortLink'));
+  router.delete('/links/:code', requireAdmin, handle(shortenerController, 'retireShortLink'));
+
+  router.use(errorHandler);
 
+  return router;
+}
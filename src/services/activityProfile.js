@@ -0,0 +1,121 @@
+// Adaptive polling: when a channel usually goes live and uploads, learned from its event history.
+//
+// Checks run at the channel's minimum interval around its usual go-live hours and while an
+// upcoming stream is close, at its configured interval on its usual upload days, and at its
+// maximum interval the rest of the time. Hours and days are in UTC.
+
+// Event types a profile learns from
+export const ACTIVITY_EVENT_TYPES = ['stream_started', 'stream_scheduled', 'new_video', 'new_short'];
+
+export const ACTIVITY_HISTORY_DAYS = 28;
+
+// Fewer events than this say little about a channel's habits; until then the interval stays as configured
+const MIN_PROFILE_EVENTS = 3;
+
+// An hour or day is "usual" when it has at least this share of the busiest one
+const USUAL_SHARE = 0.25;
+
+// Fast polling after a new upcoming stream shows up, and around a tracked stream's scheduled start
+const UPCOMING_BOOST = 2 * 60 * 60 * 1000;
+const SCHEDULED_START_WINDOW = 30 * 60 * 1000;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Events are { eventType, createdAt } as returned by getMonitoringEvents
+export function buildActivityProfile(events) {
+    const liveHours = new Array(24).fill(0);
+    const uploadDays = new Array(7).fill(0);
+    let lastScheduledAt = null;
+
+    for (const event of events) {
+        const at = new Date(event.createdAt);
+        if (Number.isNaN(at.getTime())) continue;
+
+        switch (event.eventType) {
+            case 'stream_started':
+                liveHours[at.getUTCHours()] += 1;
+                break;
+            case 'new_video':
+            case 'new_short':
+                uploadDays[at.getUTCDay()] += 1;
+                break;
+            case 'stream_scheduled':
+                lastScheduledAt = Math.max(lastScheduledAt || 0, at.getTime());
+                break;
+        }
+    }
+
+    return {
+        liveHours,
+        uploadDays,
+        lives: liveHours.reduce((sum, count) => sum + count, 0),
+        uploads: uploadDays.reduce((sum, count) => sum + count, 0),
+        lastScheduledAt
+    };
+}
+
+function isUsual(counts, index) {
+    const peak = Math.max(...counts);
+    const count = counts[(index + counts.length) % counts.length];
+    return count > 0 && count >= peak * USUAL_SHARE;
+}
+
+// { interval, reason } for a channel right now. `upcoming` is the channel's tracked upcoming
+// streams (videoId -> { scheduledStartTime }).
+export function chooseAdaptiveInterval(profile, { interval, minInterval, maxInterval, contentTypes = [], live = false, upcoming = {}, now = Date.now() }) {
+    const normal = Math.min(maxInterval, Math.max(minInterval, interval));
+
+    const startsSoon = Object.values(upcoming || {}).some(entry => {
+        const start = Date.parse(entry.scheduledStartTime);
+        return Math.abs(start - now) <= SCHEDULED_START_WINDOW;
+    });
+    if (startsSoon) {
+        return { interval: minInterval, reason: 'scheduled stream starting' };
+    }
+
+    if (profile?.lastScheduledAt && now - profile.lastScheduledAt < UPCOMING_BOOST) {
+        return { interval: minInterval, reason: 'upcoming stream detected' };
+    }
+
+    // A running stream is checked as configured so its end is noticed on time
+    if (live) {
+        return { interval: normal, reason: 'live now' };
+    }
+
+    if (!profile || profile.lives + profile.uploads < MIN_PROFILE_EVENTS) {
+        return { interval: normal, reason: 'learning' };
+    }
+
+    const date = new Date(now);
+    const hour = date.getUTCHours();
+
+    // The hour before counts too, so checks speed up ahead of a usual start
+    if (contentTypes.includes('live') && profile.lives > 0 &&
+        [hour - 1, hour, hour + 1].some(index => isUsual(profile.liveHours, index))) {
+        return { interval: minInterval, reason: 'usual go-live hours' };
+    }
+
+    if (contentTypes.some(type => type === 'videos' || type === 'shorts') && profile.uploads > 0 &&
+        isUsual(profile.uploadDays, date.getUTCDay())) {
+        return { interval: normal, reason: 'usual upload day' };
+    }
+
+    return { interval: maxInterval, reason: 'quiet hours' };
+}
+
+// What the profile has learned, for status output
+export function describeProfile(profile) {
+    if (!profile) return null;
+
+    return {
+        liveHoursUtc: profile.liveHours
+            .map((count, hour) => (count > 0 && isUsual(profile.liveHours, hour) ? hour : null))
+            .filter(hour => hour !== null),
+        uploadDaysUtc: profile.uploadDays
+            .map((count, day) => (count > 0 && isUsual(profile.uploadDays, day) ? DAY_NAMES[day] : null))
+            .filter(Boolean),
+        lives: profile.lives,
+        uploads: profile.uploads,
+        lastScheduledAt: profile.lastScheduledAt ? new Date(profile.lastScheduledAt).toISOString() : null
+    };
+}
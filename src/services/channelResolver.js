@@ -0,0 +1,96 @@
+import axios from 'axios';
+
+// Handle → channel ID resolution.
+//
+// With an API key the lookup uses channels.list?forHandle, an exact match on the handle
+// (a search.list q= lookup is fuzzy and can return a different channel). Without one, the
+// channel page is scraped for its own ID rather than the first ID that appears on it.
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+export function normalizeHandle(handle) {
+    const trimmed = String(handle || '').trim();
+    return trimmed.startsWith('@') ? trimmed : `@${trimmed}`;
+}
+
+export function isChannelId(value) {
+    return CHANNEL_ID_PATTERN.test(value || '');
+}
+
+// `apiGet(method, params)` performs a YouTube Data API request (and accounts for its quota);
+// leave it out to resolve by scraping the channel page.
+export async function lookupChannelId(handle, { apiGet } = {}) {
+    const cleanHandle = normalizeHandle(handle);
+
+    if (apiGet) {
+        const response = await apiGet('channels.list', { part: 'id', forHandle: cleanHandle });
+        const channelId = response.data.items?.[0]?.id;
+
+        if (!channelId) {
+            throw new Error(`No channel found for ${cleanHandle}`);
+        }
+        return channelId;
+    }
+
+    const response = await axios.get(`https://www.youtube.com/${cleanHandle}`, {
+        timeout: 10000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+    });
+
+    const html = response.data;
+
+    // Most specific first: the page's own metadata, then the first ID anywhere on the page
+    const patterns = [
+        /"externalId":"(UC[\w-]{22})"/,
+        /<link rel="canonical" href="https:\/\/www\.youtube\.com\/channel\/(UC[\w-]{22})"/,
+        /<meta itemprop="(?:channelId|identifier)" content="(UC[\w-]{22})"/,
+        /"channelId":"(UC[\w-]{22})"/,
+        /channel\/(UC[\w-]{22})/
+    ];
+
+    for (const pattern of patterns) {
+        const match = html.match(pattern);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    throw new Error('Channel ID not found in page');
+}
+
+// In-process handle → channel ID cache with a TTL
+export class ChannelIdCache {
+    constructor(options = {}) {
+        this.ttl = options.ttl || parseInt(process.env.CHANNEL_ID_CACHE_TTL) || 24 * 60 * 60 * 1000;
+        this.entries = new Map(); // handle -> { channelId, expiresAt }
+    }
+
+    get(handle) {
+        const key = normalizeHandle(handle).toLowerCase();
+        const entry = this.entries.get(key);
+
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.channelId;
+    }
+
+    set(handle, channelId) {
+        this.entries.set(normalizeHandle(handle).toLowerCase(), {
+            channelId,
+            expiresAt: Date.now() + this.ttl
+        });
+    }
+
+    invalidate(handle) {
+        this.entries.delete(normalizeHandle(handle).toLowerCase());
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
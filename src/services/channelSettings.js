@@ -0,0 +1,83 @@
+// Optional per-channel tuning, stored in monitoring_channels.settings. Anything left out
+// falls back to the server-wide default.
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const SETTINGS = {
+    // Minutes before a scheduled stream starts to send the "starting soon" reminder
+    upcomingLeadMinutes: {
+        default: () => envInt('UPCOMING_LEAD_MINUTES', 15) || 15,
+        min: 1,
+        max: 24 * 60
+    },
+    // Uploads announced on a channel's first check, newest first; older ones are only marked as seen
+    initialUploadLimit: {
+        default: () => envInt('INITIAL_UPLOAD_LIMIT', 1),
+        min: 0,
+        max: 25
+    },
+    // Poll faster around the channel's usual go-live hours and slower at dead times (activityProfile.js)
+    adaptivePolling: {
+        type: 'boolean',
+        default: () => process.env.ADAPTIVE_POLLING === 'true'
+    },
+    // Bounds for adaptive polling: the fastest and the slowest check interval
+    minIntervalSeconds: {
+        default: () => envInt('ADAPTIVE_MIN_INTERVAL_SECONDS', 30) || 30,
+        min: 10,
+        max: 24 * 60 * 60
+    },
+    maxIntervalSeconds: {
+        default: () => envInt('ADAPTIVE_MAX_INTERVAL_SECONDS', 15 * 60) || 15 * 60,
+        min: 10,
+        max: 24 * 60 * 60
+    }
+};
+
+export const SETTING_NAMES = Object.keys(SETTINGS);
+
+// Returns an error message, or null when the settings are usable
+export function validateSettings(settings) {
+    if (settings === undefined || settings === null) return null;
+
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'Settings must be an object';
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+        const setting = SETTINGS[name];
+        if (!setting) {
+            return `Unknown setting "${name}". Valid settings: ${SETTING_NAMES.join(', ')}`;
+        }
+        if (value === null) continue;
+        if (setting.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                return `${name} must be true or false`;
+            }
+            continue;
+        }
+        if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+            return `${name} must be a whole number between ${setting.min} and ${setting.max}`;
+        }
+    }
+
+    if (getSetting(settings, 'minIntervalSeconds') > getSetting(settings, 'maxIntervalSeconds')) {
+        return 'minIntervalSeconds must not be more than maxIntervalSeconds';
+    }
+
+    return null;
+}
+
+// A channel's value for a setting, or the default
+export function getSetting(settings, name) {
+    const value = settings?.[name];
+    return value === undefined || value === null ? SETTINGS[name].default() : value;
+}
+
+// Every setting with defaults filled in, for status output
+export function resolveSettings(settings) {
+    return Object.fromEntries(SETTING_NAMES.map(name => [name, getSetting(settings, name)]));
+}
@@ -0,0 +1,67 @@
+import os from 'os';
+import crypto from 'crypto';
+import { acquireCheckLease, releaseCheckLease, getCheckLeases } from '../../database.js';
+
+// Per-channel check leases, so overlapping processes (a pm2 restart, a cron tick next to a running
+// server) don't check the same channel and announce the same change twice. A running monitor keeps
+// its lease by renewing it on every check; when its process goes away the lease runs out and the
+// next process to try takes over.
+class CheckLeases {
+    constructor(options = {}) {
+        this.holder = options.holder || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        // Long enough to outlast a slow check; a monitor's lease also covers two of its intervals
+        this.minTtl = options.minTtl || parseInt(process.env.CHECK_LEASE_TTL_MS) || 2 * 60 * 1000;
+    }
+
+    ttlFor(interval) {
+        return Math.max(this.minTtl, interval * 2);
+    }
+
+    // { acquired, fresh, holder, expiresAt }. `fresh` means the lease wasn't ours just before, so
+    // another process may have checked the channel in the meantime.
+    async acquire(channelHandle, ttlMs = this.minTtl) {
+        const result = await acquireCheckLease(channelHandle, this.holder, ttlMs);
+
+        if (!result.success) {
+            // Without storage there is nothing to coordinate through; keep monitoring rather than stop
+            console.warn(`⚠️ Could not take the check lease for ${channelHandle}, checking anyway: ${result.error}`);
+            return { acquired: true, fresh: false, holder: this.holder, unverified: true };
+        }
+
+        if (result.acquired && !result.renewed) {
+            console.log(`🔒 Took the check lease for ${channelHandle} (${this.holder})`);
+        }
+
+        return {
+            acquired: result.acquired,
+            fresh: result.acquired && !result.renewed,
+            holder: result.holder,
+            expiresAt: result.expiresAt
+        };
+    }
+
+    async release(channelHandle) {
+        return await releaseCheckLease(channelHandle, this.holder);
+    }
+
+    async getStatus() {
+        const result = await getCheckLeases();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const now = Date.now();
+
+        return {
+            holder: this.holder,
+            minTtl: this.minTtl,
+            leases: result.leases.map(lease => ({
+                ...lease,
+                mine: lease.holder === this.holder,
+                expired: Date.parse(lease.expiresAt) <= now
+            }))
+        };
+    }
+}
+
+export default CheckLeases;
@@ -0,0 +1,251 @@
+import { createLimiter } from '../utils/concurrency.js';
+
+// One scheduler for every monitored channel's checks. Channels wait in a queue ordered by when
+// they are next due, behind a single timer; each next run is spread by a random jitter so channels
+// on the same interval drift apart, at most `concurrency` checks run at once, and a channel is
+// never checked again while its previous check is still running.
+class CheckScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || parseInt(process.env.CHECK_CONCURRENCY) || 4;
+        // Fraction of the interval each run may move either way (0.1 = ±10%)
+        const jitter = parseFloat(process.env.CHECK_JITTER);
+        this.jitter = options.jitter ?? (jitter >= 0 ? jitter : 0.1);
+        this.limiter = createLimiter(this.concurrency);
+        this.jobs = new Map(); // channelHandle -> job
+        this.running = new Map(); // channelHandle -> promise of the check in flight
+        this.heap = []; // { dueAt, seq, job }, soonest first; entries of removed or moved jobs are skipped
+        this.seq = 0;
+        this.timer = null;
+        this.timerAt = null;
+    }
+
+    // `run` performs one check; `interval()` is read again for every next run, so a stretched
+    // or adaptive interval takes effect without re-adding the channel
+    add(channelHandle, { run, interval, delay }) {
+        const job = {
+            channelHandle,
+            run,
+            interval,
+            dueAt: null,
+            seq: 0,
+            active: false,
+            runs: 0,
+            lastStartedAt: null,
+            lastDurationMs: null
+        };
+
+        this.jobs.set(channelHandle, job);
+
+        // A check of the channel's previous job is still running; the new one queues when it ends
+        if (!this.running.has(channelHandle)) {
+            this.enqueue(job, delay ?? this.nextInterval(job));
+        }
+
+        return job;
+    }
+
+    remove(channelHandle) {
+        const job = this.jobs.get(channelHandle);
+        if (!job) return false;
+
+        job.dueAt = null;
+        this.jobs.delete(channelHandle);
+        this.arm();
+        return true;
+    }
+
+    has(channelHandle) {
+        return this.jobs.has(channelHandle);
+    }
+
+    // Check a channel now instead of at its next turn (still within the concurrency limit).
+    // While a check is already running, waits for that one instead of starting another.
+    async runNow(channelHandle) {
+        const job = this.jobs.get(channelHandle);
+        if (!job) return null;
+
+        return await this.dispatch(job);
+    }
+
+    nextInterval(job) {
+        const interval = job.interval();
+        const spread = interval * this.jitter;
+        return Math.max(0, Math.round(interval + (Math.random() * 2 - 1) * spread));
+    }
+
+    enqueue(job, delay) {
+        job.dueAt = Date.now() + delay;
+        job.seq = ++this.seq;
+        this.push({ dueAt: job.dueAt, seq: job.seq, job });
+        this.arm();
+    }
+
+    isCurrent(entry) {
+        const { job } = entry;
+        return this.jobs.get(job.channelHandle) === job && job.dueAt !== null && job.seq === entry.seq;
+    }
+
+    dispatch(job) {
+        const { channelHandle } = job;
+        if (this.running.has(channelHandle)) {
+            return this.running.get(channelHandle);
+        }
+
+        // Out of the queue until this check is done
+        job.dueAt = null;
+
+        const check = this.limiter.run(async () => {
+            job.active = true;
+            job.lastStartedAt = Date.now();
+
+            try {
+                return await job.run();
+            } catch (error) {
+                console.error(`❌ Scheduled check for ${channelHandle} failed:`, error.message);
+                return null;
+            } finally {
+                job.active = false;
+                job.runs += 1;
+                job.lastDurationMs = Date.now() - job.lastStartedAt;
+            }
+        }).finally(() => {
+            this.running.delete(channelHandle);
+
+            const current = this.jobs.get(channelHandle);
+            if (!current || current.dueAt !== null) return;
+
+            // Interval counts from the start of the check, as with a fixed timer, but the next
+            // check never starts before this one has finished
+            const startedAt = current === job ? job.lastStartedAt : Date.now();
+            this.enqueue(current, Math.max(0, startedAt + this.nextInterval(current) - Date.now()));
+        });
+
+        this.running.set(channelHandle, check);
+        return check;
+    }
+
+    // Point the timer at the soonest due channel
+    arm() {
+        while (this.heap.length > 0 && !this.isCurrent(this.heap[0])) {
+            this.pop();
+        }
+
+        const next = this.heap[0];
+        if (!next) {
+            this.clearTimer();
+            return;
+        }
+
+        if (this.timer && this.timerAt <= next.dueAt) return;
+
+        this.clearTimer();
+        this.timerAt = next.dueAt;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.timerAt = null;
+            this.runDue();
+        }, Math.max(0, next.dueAt - Date.now()));
+
+        // Monitoring keeps the server busy, not the scheduler
+        this.timer.unref?.();
+    }
+
+    runDue() {
+        const now = Date.now();
+
+        while (this.heap.length > 0 && this.heap[0].dueAt <= now) {
+            const entry = this.pop();
+            if (this.isCurrent(entry)) {
+                this.dispatch(entry.job);
+            }
+        }
+
+        this.arm();
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.timerAt = null;
+        }
+    }
+
+    stop() {
+        this.clearTimer();
+        this.jobs.clear();
+        this.heap = [];
+    }
+
+    getState() {
+        const now = Date.now();
+
+        const channels = [...this.jobs.values()].map(job => ({
+            channelHandle: job.channelHandle,
+            state: job.active ? 'running' : this.running.has(job.channelHandle) ? 'waiting' : 'scheduled',
+            nextRunAt: job.dueAt !== null ? new Date(job.dueAt).toISOString() : null,
+            dueIn: job.dueAt !== null ? Math.max(0, job.dueAt - now) : null,
+            interval: job.interval(),
+            runs: job.runs,
+            lastStartedAt: job.lastStartedAt ? new Date(job.lastStartedAt).toISOString() : null,
+            lastDurationMs: job.lastDurationMs
+        }));
+
+        // Running and waiting first, then in queue order
+        channels.sort((a, b) => (a.dueIn ?? -1) - (b.dueIn ?? -1));
+
+        return {
+            concurrency: this.concurrency,
+            jitter: this.jitter,
+            channels: this.jobs.size,
+            running: this.limiter.active,
+            waiting: this.limiter.queued,
+            scheduled: channels.filter(channel => channel.state === 'scheduled').length,
+            nextRunAt: this.timerAt ? new Date(this.timerAt).toISOString() : null,
+            queue: channels
+        };
+    }
+
+    // Binary min-heap on dueAt
+
+    push(entry) {
+        const heap = this.heap;
+        heap.push(entry);
+
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].dueAt <= heap[index].dueAt) break;
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+
+                if (left < heap.length && heap[left].dueAt < heap[smallest].dueAt) smallest = left;
+                if (right < heap.length && heap[right].dueAt < heap[smallest].dueAt) smallest = right;
+                if (smallest === index) break;
+
+                [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+export default CheckScheduler;
@@ -0,0 +1,85 @@
+// Circuit breaker for an external service. After `failureThreshold` failures in a row it opens
+// and the service is skipped for `cooldownMs`; then one trial call is let through (half-open).
+// A success closes it again, a failure reopens it for another cooldown.
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldownMs = options.cooldownMs || 5 * 60 * 1000;
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastFailure = null;
+        this.trialInFlight = false;
+        this.totals = { successes: 0, failures: 0, skipped: 0 };
+    }
+
+    // Open and still cooling down; unlike allowRequest this doesn't claim the half-open trial
+    isOpen(now = Date.now()) {
+        return this.state === 'open' && now - this.openedAt < this.cooldownMs;
+    }
+
+    // Whether a call may go out now
+    allowRequest(now = Date.now()) {
+        if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'closed') return true;
+
+        // Half-open lets exactly one trial through until it settles
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    // A call that didn't go out because the breaker was open
+    recordSkip() {
+        this.totals.skipped += 1;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.totals.successes += 1;
+    }
+
+    recordFailure(error, now = Date.now()) {
+        this.consecutiveFailures += 1;
+        this.lastFailure = { at: new Date(now).toISOString(), error: error?.message || String(error) };
+        this.totals.failures += 1;
+
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.warn(`⚡ ${this.name} failed ${this.consecutiveFailures} times in a row; skipping it for ${Math.round(this.cooldownMs / 1000)}s`);
+            }
+            this.state = 'open';
+            this.openedAt = now;
+        }
+
+        this.trialInFlight = false;
+    }
+
+    getState(now = Date.now()) {
+        return {
+            name: this.name,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            cooldownMs: this.cooldownMs,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+            remainingCooldownMs: this.state === 'open' ? Math.max(0, this.openedAt + this.cooldownMs - now) : 0,
+            lastFailure: this.lastFailure,
+            totals: { ...this.totals }
+        };
+    }
+}
+
+export default CircuitBreaker;
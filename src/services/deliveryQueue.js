@@ -0,0 +1,276 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import {
+    createDelivery,
+    updateDelivery,
+    getDelivery,
+    getDueDeliveries,
+    claimDelivery,
+    logMonitoringEvent
+} from '../../database.js';
+import { getDestinationUrl } from './destinations.js';
+import { buildSignatureHeaders } from '../utils/webhookSignature.js';
+
+// Statuses that are worth retrying; any other 4xx means the request itself is wrong
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Retry-After is either delta-seconds or an HTTP date; Discord also puts retry_after (seconds) in the body
+function parseRetryAfter(headers = {}, body) {
+    const header = headers['retry-after'];
+
+    if (header !== undefined && header !== null && header !== '') {
+        const seconds = Number(header);
+        if (!isNaN(seconds)) {
+            return Math.max(0, Math.ceil(seconds * 1000));
+        }
+
+        const date = Date.parse(header);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    if (body && typeof body === 'object' && typeof body.retry_after === 'number') {
+        return Math.max(0, Math.ceil(body.retry_after * 1000));
+    }
+
+    return null;
+}
+
+// Persistent webhook delivery queue with exponential backoff and a dead-letter status
+class DeliveryQueue {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 15 * 60 * 1000;
+        this.pollInterval = options.pollInterval || 5000;
+        this.timeout = options.timeout || 10000;
+        // A claimed delivery belongs to one process for this long: enough for the request and its bookkeeping
+        this.claimTimeout = options.claimTimeout || this.timeout * 3;
+        this.timer = null;
+        this.processing = null;
+        this.inFlight = new Set();
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDue().catch(error => {
+                console.error('❌ Delivery queue processing failed:', error.message);
+            });
+        }, this.pollInterval);
+
+        // Don't keep the process alive just for retries
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Persist a notification and make the first attempt straight away
+    async enqueue({ channelHandle, destination, eventType, payload }) {
+        // One event id per notification, reused by every retry so receivers can de-duplicate
+        const eventId = crypto.randomUUID();
+        // Created already claimed, so a retry run elsewhere doesn't send it alongside this first attempt
+        const created = await createDelivery(channelHandle, destination, eventType, payload, eventId, this.claimUntil());
+
+        if (!created.success) {
+            // Storage is down: still try once so the notification isn't dropped outright
+            console.error(`⚠️ Could not queue delivery for ${channelHandle}, sending without retries`);
+            const outcome = await this.post(destination, payload, eventId);
+            return { success: outcome.ok, delivered: outcome.ok, queued: false, error: outcome.error };
+        }
+
+        const result = await this.attempt(created.delivery);
+        return { success: true, delivered: result.delivered, queued: true, delivery: result.delivery };
+    }
+
+    // Retry everything that is due; concurrent callers share the same run
+    async processDue() {
+        if (this.processing) return this.processing;
+
+        this.processing = (async () => {
+            const due = await getDueDeliveries();
+            let delivered = 0;
+
+            let processed = 0;
+
+            for (const delivery of due.deliveries) {
+                // Another process (a cron tick, a second instance) may have taken it since
+                const claim = await claimDelivery(delivery.id, this.claimUntil());
+                if (!claim.success || !claim.claimed) continue;
+
+                processed++;
+                const result = await this.attempt(claim.delivery);
+                if (result.delivered) delivered++;
+            }
+
+            return { processed, delivered };
+        })().finally(() => {
+            this.processing = null;
+        });
+
+        return this.processing;
+    }
+
+    async attempt(delivery) {
+        if (this.inFlight.has(delivery.id)) {
+            return { delivered: false, delivery };
+        }
+
+        this.inFlight.add(delivery.id);
+
+        try {
+            const attempts = delivery.attempts + 1;
+            // Deliveries queued before destinations existed only carry a Discord webhook URL
+            const destination = delivery.destination || { type: 'discord', url: delivery.webhookUrl };
+            const outcome = await this.post(destination, delivery.payload, delivery.eventId || `delivery-${delivery.id}`);
+            let changes;
+            let result;
+
+            if (outcome.ok) {
+                console.log(`✅ Webhook delivery ${delivery.id} sent for ${delivery.channelHandle}`);
+                changes = {
+                    status: 'delivered',
+                    attempts,
+                    lastStatus: outcome.status,
+                    lastError: null,
+                    deliveredAt: new Date().toISOString()
+                };
+                result = 'delivered';
+            } else if (outcome.retryable && attempts < this.maxAttempts) {
+                const delay = outcome.retryAfter ?? this.backoff(attempts);
+                console.warn(`⚠️ Webhook delivery ${delivery.id} failed (${outcome.status || outcome.error}), retrying in ${Math.round(delay / 1000)}s`);
+                changes = {
+                    status: 'pending',
+                    attempts,
+                    lastStatus: outcome.status,
+                    lastError: outcome.error,
+                    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+                };
+                result = 'retry_scheduled';
+            } else {
+                console.error(`❌ Webhook delivery ${delivery.id} dead-lettered after ${attempts} attempt(s): ${outcome.error}`);
+                changes = {
+                    status: 'dead',
+                    attempts,
+                    lastStatus: outcome.status,
+                    lastError: outcome.error
+                };
+                result = 'dead_lettered';
+            }
+
+            // Only while still claimed: past claimTimeout another process may have taken it over,
+            // and its outcome (delivered, dead) must not be overwritten with this one
+            const updated = await updateDelivery(delivery.id, changes, {
+                status: 'sending',
+                nextAttemptAt: delivery.nextAttemptAt
+            });
+            if (updated.conflict) {
+                console.warn(`⚠️ Webhook delivery ${delivery.id} was claimed elsewhere before this attempt finished; keeping its state`);
+            }
+
+            await logMonitoringEvent(delivery.channelHandle, 'webhook_delivery', {
+                deliveryId: delivery.id,
+                notificationEvent: delivery.eventType,
+                attempt: attempts,
+                success: outcome.ok,
+                status: outcome.status,
+                error: outcome.error,
+                result
+            });
+
+            return {
+                delivered: outcome.ok,
+                delivery: updated.success ? updated.delivery : updated.conflict ? delivery : { ...delivery, ...changes }
+            };
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+    }
+
+    // Move a dead-lettered delivery back into the queue and try it now
+    async replay(id) {
+        const found = await getDelivery(id);
+
+        if (!found.success) {
+            return { success: false, error: found.error };
+        }
+        if (!found.delivery) {
+            return { success: false, notFound: true, error: 'Delivery not found' };
+        }
+        if (found.delivery.status !== 'dead') {
+            return { success: false, error: `Only dead-lettered deliveries can be replayed (status: ${found.delivery.status})` };
+        }
+
+        // Still dead-lettered: two replays at once send it once
+        const reset = await updateDelivery(id, {
+            status: 'sending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: this.claimUntil()
+        }, { status: 'dead' });
+
+        if (!reset.success) {
+            return { success: false, error: reset.error };
+        }
+
+        const result = await this.attempt(reset.delivery);
+        return { success: true, delivered: result.delivered, delivery: result.delivery };
+    }
+
+    claimUntil() {
+        return new Date(Date.now() + this.claimTimeout).toISOString();
+    }
+
+    backoff(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+        // Up to 20% jitter so failed deliveries don't retry in lockstep
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    async post(destination, payload, eventId = crypto.randomUUID()) {
+        try {
+            // Serialize once so the signature covers exactly the bytes that are sent
+            const body = JSON.stringify(payload);
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'YouTube-Live-Monitor-Pro/2.0',
+                'X-LinkBite-Event-Id': eventId
+            };
+
+            if (destination.secret) {
+                Object.assign(headers, buildSignatureHeaders(destination.secret, body, eventId));
+            }
+
+            const response = await axios.post(getDestinationUrl(destination), body, {
+                timeout: this.timeout,
+                validateStatus: () => true,
+                headers
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return { ok: true, status: response.status };
+            }
+
+            return {
+                ok: false,
+                status: response.status,
+                retryable: RETRYABLE_STATUSES.includes(response.status) || response.status >= 500,
+                retryAfter: parseRetryAfter(response.headers, response.data),
+                error: `HTTP ${response.status}`
+            };
+        } catch (error) {
+            // Network errors and timeouts are always worth another try
+            return { ok: false, status: null, retryable: true, retryAfter: null, error: error.message, code: error.code };
+        }
+    }
+}
+
+export { parseRetryAfter };
+export default DeliveryQueue;
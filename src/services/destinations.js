@@ -0,0 +1,441 @@
+// Notification destinations: validation, per-type message formatting and masking.
+// A destination looks like one of:
+//   { type: 'discord', url }                 Discord webhook (embeds)
+//   { type: 'slack', url }                   Slack incoming webhook (Block Kit)
+//   { type: 'telegram', botToken, chatId }   Telegram Bot API sendMessage
+//   { type: 'json', url, secret? }           Raw JSON POST for internal services, HMAC-signed when a secret is set
+
+import { applyTemplate, formatMention } from './templates.js';
+
+export const DESTINATION_TYPES = ['discord', 'slack', 'telegram', 'json'];
+
+const FOOTER_TEXT = 'YouTube Monitor Pro - Auto';
+const DEFAULT_COLOR = 0x5865F2;
+
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch {
+        return null;
+    }
+}
+
+// Accept the legacy single webhook URL (always Discord) as well as destination objects
+export function normalizeDestinations(input) {
+    if (!input) return [];
+
+    const list = Array.isArray(input) ? input : [input];
+    return list.map(entry => {
+        if (typeof entry === 'string') {
+            return { type: 'discord', url: entry.trim() };
+        }
+        return {
+            ...entry,
+            type: (entry.type || 'discord').toLowerCase()
+        };
+    });
+}
+
+// Returns an error message, or null when the destination is usable
+export function validateDestination(destination) {
+    if (!destination || typeof destination !== 'object') {
+        return 'Destination must be an object';
+    }
+
+    if (!DESTINATION_TYPES.includes(destination.type)) {
+        return `Invalid destination type "${destination.type}". Valid types: ${DESTINATION_TYPES.join(', ')}`;
+    }
+
+    if (destination.secret !== undefined && destination.type !== 'json') {
+        return 'Signing secrets are only supported for json destinations';
+    }
+
+    switch (destination.type) {
+        case 'discord': {
+            const url = parseHttpUrl(destination.url);
+            if (!url || !/(^|\.)discord(app)?\.com$/.test(url.hostname) || !url.pathname.startsWith('/api/webhooks/')) {
+                return 'Discord destinations need a https://discord.com/api/webhooks/... URL';
+            }
+            return null;
+        }
+
+        case 'slack': {
+            const url = parseHttpUrl(destination.url);
+            if (!url || url.protocol !== 'https:' || !/(^|\.)slack\.com$/.test(url.hostname)) {
+                return 'Slack destinations need a https://hooks.slack.com/... incoming webhook URL';
+            }
+            return null;
+        }
+
+        case 'telegram':
+            if (!/^\d+:[A-Za-z0-9_-]+$/.test(destination.botToken || '')) {
+                return 'Telegram destinations need a valid botToken (123456:ABC...)';
+            }
+            if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(String(destination.chatId ?? ''))) {
+                return 'Telegram destinations need a chatId (numeric id or @channelname)';
+            }
+            return null;
+
+        case 'json':
+            if (!parseHttpUrl(destination.url)) {
+                return 'JSON destinations need a valid http(s) URL';
+            }
+            if (destination.secret !== undefined && (typeof destination.secret !== 'string' || destination.secret.length < 16)) {
+                return 'JSON destination secrets must be strings of at least 16 characters';
+            }
+            return null;
+    }
+}
+
+// URL the notification is POSTed to
+export function getDestinationUrl(destination) {
+    if (destination.type === 'telegram') {
+        return `https://api.telegram.org/bot${destination.botToken}/sendMessage`;
+    }
+    return destination.url;
+}
+
+// Hide tokens and webhook secrets before a URL leaves the server
+export function maskWebhookUrl(url) {
+    if (!url) return null;
+    return url
+        .replace(/\/bot[^/]+\//, '/bot***/')
+        .replace(/\/[^\/]*$/, '/***');
+}
+
+export function maskDestination(destination) {
+    return {
+        type: destination.type,
+        ...(destination.url && { url: maskWebhookUrl(destination.url) }),
+        ...(destination.chatId !== undefined && { chatId: destination.chatId }),
+        ...(destination.botToken && { botToken: '***' }),
+        ...(destination.type === 'json' && { signed: !!destination.secret })
+    };
+}
+
+// Format-neutral description of an event. Text uses Discord-style [label](url) links,
+// which the Slack and Telegram formatters convert to their own link syntax.
+export function describeEvent(data, template) {
+    const description = defaultDescription(data);
+    return description ? applyTemplate({ footer: FOOTER_TEXT, ...description }, template, data) : null;
+}
+
+function defaultDescription(data) {
+    const shortLink = data.shorturl ? `[${data.shorturl.replace(/^https?:\/\//, '')}](${data.shorturl})` : 'N/A';
+    const channelField = {
+        name: 'Channel',
+        value: `[${data.channelHandle}](${data.channelUrl})`,
+        inline: true
+    };
+
+    switch (data.event) {
+        case 'stream_started':
+            return {
+                title: `🔴 ${data.title || 'Live Now!'}`,
+                description: `${data.channelHandle} is now live on YouTube!\n\n[Watch Here](${data.shorturl})\n\n[Copy Link](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0xFF0000,
+                thumbnail: data.thumbnail || `https://img.youtube.com/vi/${data.videoId}/default.jpg`,
+                fields: [
+                    channelField,
+                    { name: 'Status', value: '🔴 Live Now', inline: true },
+                    { name: 'Short Link', value: shortLink, inline: true }
+                ]
+            };
+
+        case 'stream_ended':
+            return {
+                title: data.title ? `📴 Stream Ended: ${data.title}` : '📴 Stream Ended',
+                description: `${data.channelHandle}'s stream has ended.`,
+                color: 0x808080,
+                fields: [
+                    channelField,
+                    { name: 'Status', value: '📴 Offline', inline: true },
+                    ...(data.duration ? [{ name: 'Duration', value: data.duration, inline: true }] : []),
+                    ...(data.peakViewers !== null && data.peakViewers !== undefined ? [
+                        { name: 'Peak Viewers', value: data.peakViewers.toLocaleString(), inline: true },
+                        { name: 'Average Viewers', value: data.averageViewers.toLocaleString(), inline: true }
+                    ] : [])
+                ]
+            };
+
+        case 'stream_scheduled':
+            return {
+                title: `📅 Upcoming: ${data.title}`,
+                description: `${data.channelHandle} scheduled a ${data.isPremiere ? 'premiere' : 'live stream'}.\n\n[Set a reminder](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0x3498DB,
+                thumbnail: data.thumbnail || `https://img.youtube.com/vi/${data.videoId}/default.jpg`,
+                fields: [
+                    channelField,
+                    { name: 'Starts', value: data.scheduledStart || 'TBA', inline: true },
+                    { name: 'Short Link', value: shortLink, inline: true }
+                ]
+            };
+
+        case 'stream_reminder':
+            return {
+                title: `⏰ Starting Soon: ${data.title}`,
+                description: `${data.channelHandle} goes live in ${data.minutesUntilStart} minute${data.minutesUntilStart === 1 ? '' : 's'}!\n\n[Watch Here](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0xF1C40F,
+                thumbnail: data.thumbnail || `https://img.youtube.com/vi/${data.videoId}/default.jpg`,
+                fields: [
+                    channelField,
+                    { name: 'Starts', value: data.scheduledStart || 'Soon', inline: true },
+                    { name: 'Short Link', value: shortLink, inline: true }
+                ]
+            };
+
+        case 'stream_rescheduled':
+            return {
+                title: `🔁 Rescheduled: ${data.title}`,
+                description: `${data.channelHandle} moved an upcoming stream.\n\n[Stream Page](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0x9B59B6,
+                fields: [
+                    channelField,
+                    { name: 'New Start', value: data.scheduledStart || 'TBA', inline: true },
+                    { name: 'Was', value: data.previousStart || 'Unknown', inline: true }
+                ]
+            };
+
+        case 'stream_cancelled':
+            return {
+                title: `🚫 Cancelled: ${data.title}`,
+                description: `${data.channelHandle} cancelled a scheduled stream.`,
+                color: 0x808080,
+                fields: [
+                    channelField,
+                    { name: 'Was Scheduled For', value: data.scheduledStart || 'Unknown', inline: true }
+                ]
+            };
+
+        case 'new_video':
+            return {
+                title: `📹 New Video: ${data.title}`,
+                description: `${data.channelHandle} just uploaded a new video!\n\n[Watch Now](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0x5865F2,
+                thumbnail: data.thumbnail || 'https://i.imgur.com/4M34hi2.png',
+                fields: [
+                    channelField,
+                    { name: 'Published', value: data.publishedAt || 'Recently', inline: true },
+                    { name: 'Views', value: data.viewCount || 'N/A', inline: true },
+                    { name: 'Short Link', value: shortLink, inline: true }
+                ]
+            };
+
+        case 'new_short':
+            return {
+                title: `🎬 New Short: ${data.title}`,
+                description: `${data.channelHandle} just posted a new YouTube Short!\n\n[Watch Now](${data.shorturl})`,
+                url: data.shorturl,
+                color: 0xFF6B6B,
+                thumbnail: data.thumbnail || 'https://i.imgur.com/4M34hi2.png',
+                fields: [
+                    channelField,
+                    { name: 'Published', value: data.publishedAt || 'Recently', inline: true },
+                    { name: 'Views', value: data.viewCount || 'N/A', inline: true },
+                    { name: 'Short Link', value: shortLink, inline: true }
+                ]
+            };
+
+        case 'monitoring_started':
+            return {
+                title: '🚀 Monitoring Started',
+                description: `Auto-monitoring has been started for ${data.channelHandle}.\n\nYou'll receive notifications for: ${data.contentTypes.join(', ')}`,
+                color: 0x00FF00,
+                fields: [
+                    channelField,
+                    { name: 'Check Interval', value: `${data.interval / 1000}s`, inline: true },
+                    { name: 'Content Types', value: data.contentTypes.join(', '), inline: true }
+                ]
+            };
+
+        case 'monitoring_degraded':
+            return {
+                title: '⚠️ Monitoring Degraded',
+                description: `Checks for ${data.channelHandle} keep failing. Monitoring carries on with longer retry intervals and resumes by itself once checks succeed again.`,
+                color: 0xFFA500,
+                fields: [
+                    channelField,
+                    { name: 'Consecutive Errors', value: `${data.consecutiveErrors || 0}`, inline: true },
+                    { name: 'Next Try', value: `in ${Math.round((data.retryIn || 0) / 1000)}s`, inline: true },
+                    { name: 'Last Error', value: String(data.error || 'Unknown').slice(0, 1024) }
+                ]
+            };
+
+        case 'monitoring_recovered':
+            return {
+                title: '✅ Monitoring Recovered',
+                description: `Checks for ${data.channelHandle} work again; monitoring is back on its normal schedule.`,
+                color: 0x00FF00,
+                fields: [
+                    channelField,
+                    { name: 'Failed Checks', value: `${data.failedChecks || 0}`, inline: true },
+                    { name: 'Degraded For', value: data.degradedFor || 'Unknown', inline: true }
+                ]
+            };
+
+        case 'test':
+            return {
+                title: '🧪 Test Webhook',
+                description: 'This is a test notification from the YouTube monitor system.',
+                color: 0x00FF00,
+                fields: [
+                    { name: 'Status', value: '✅ Webhook working correctly', inline: true }
+                ]
+            };
+
+        default:
+            return null;
+    }
+}
+
+function plainMessage(data) {
+    return `📡 Event from ${data.channelHandle}: \`${data.event}\`\n${data.message || ''}`;
+}
+
+// Format discord message
+export function formatDiscordMessage(data, template) {
+    const description = describeEvent(data, template);
+
+    if (!description) {
+        return { content: plainMessage(data) };
+    }
+
+    const mention = formatMention(description.mention);
+
+    return {
+        ...(mention && {
+            content: mention,
+            allowed_mentions: mention.startsWith('<@&') ? { roles: [description.mention] } : { parse: ['everyone'] }
+        }),
+        embeds: [{
+            footer: { text: description.footer },
+            timestamp: new Date().toISOString(),
+            title: description.title,
+            description: description.description,
+            ...(description.url && { url: description.url }),
+            color: description.color || DEFAULT_COLOR,
+            ...(description.thumbnail && { thumbnail: { url: description.thumbnail } }),
+            fields: description.fields
+        }]
+    };
+}
+
+function toSlackText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
+}
+
+// Slack Block Kit message. Only @here/@everyone mentions carry over; Discord role ids don't.
+export function formatSlackMessage(data, template) {
+    const description = describeEvent(data, template);
+
+    if (!description) {
+        return { text: toSlackText(plainMessage(data)) };
+    }
+
+    const section = {
+        type: 'section',
+        text: { type: 'mrkdwn', text: toSlackText(description.description) }
+    };
+    if (description.thumbnail) {
+        section.accessory = { type: 'image', image_url: description.thumbnail, alt_text: 'thumbnail' };
+    }
+
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: description.title.slice(0, 150), emoji: true } },
+        section
+    ];
+
+    if (description.fields.length > 0) {
+        blocks.push({
+            type: 'section',
+            fields: description.fields.map(field => ({
+                type: 'mrkdwn',
+                text: `*${toSlackText(field.name)}*\n${toSlackText(field.value)}`
+            }))
+        });
+    }
+
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: toSlackText(description.footer) }]
+    });
+
+    const mention = { here: '<!here>', everyone: '<!channel>' }[description.mention];
+    if (mention) {
+        blocks.unshift({ type: 'section', text: { type: 'mrkdwn', text: mention } });
+    }
+
+    return { text: description.title, blocks };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toTelegramHtml(text) {
+    return escapeHtml(text)
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, label, url) => `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>`)
+        .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+// Telegram Bot API sendMessage body (HTML parse mode)
+export function formatTelegramMessage(data, destination, template) {
+    const description = describeEvent(data, template);
+    let text;
+
+    if (!description) {
+        text = toTelegramHtml(plainMessage(data));
+    } else {
+        const lines = [
+            `<b>${escapeHtml(description.title)}</b>`,
+            '',
+            toTelegramHtml(description.description),
+            '',
+            ...description.fields.map(field => `<b>${escapeHtml(field.name)}:</b> ${toTelegramHtml(field.value)}`)
+        ];
+        text = lines.join('\n');
+    }
+
+    return {
+        chat_id: destination.chatId,
+        text: text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: false
+    };
+}
+
+// Raw JSON body for internal services: the event data as-is, without presentation (templates don't apply)
+export function formatJsonMessage(data) {
+    const { event, channelHandle, channelUrl, ...details } = data;
+
+    return {
+        event: event,
+        channelHandle: channelHandle,
+        channelUrl: channelUrl,
+        timestamp: new Date().toISOString(),
+        data: details
+    };
+}
+
+// `template` is the channel's template for data.event, if it has one
+export function formatNotification(destination, data, template) {
+    switch (destination.type) {
+        case 'slack':
+            return formatSlackMessage(data, template);
+        case 'telegram':
+            return formatTelegramMessage(data, destination, template);
+        case 'json':
+            return formatJsonMessage(data);
+        case 'discord':
+        default:
+            return formatDiscordMessage(data, template);
+    }
+}
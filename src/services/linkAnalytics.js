@@ -0,0 +1,100 @@
+// Click statistics for built-in short links. Clicks come from the link_clicks table (see
+// getLinkClicks); visitors are told apart by the salted IP hash stored with each click.
+
+const BUCKETS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+export const BUCKET_NAMES = Object.keys(BUCKETS);
+
+// Referrers are grouped by site; clicks without one (apps, copied links) count as "direct"
+export function referrerSource(referrer) {
+    if (!referrer) return 'direct';
+    try {
+        return new URL(referrer).hostname.replace(/^www\./, '') || 'direct';
+    } catch (_) {
+        return 'direct';
+    }
+}
+
+function bucketStart(time, bucket) {
+    const size = BUCKETS[bucket];
+    return new Date(Math.floor(Date.parse(time) / size) * size).toISOString();
+}
+
+// One point per bucket from the first click to the last, including buckets nobody clicked in
+function fillSeries(series, bucket) {
+    const points = [...series.values()];
+    if (points.length === 0) return [];
+
+    const filled = [];
+    const last = Date.parse(points[points.length - 1].at);
+
+    for (let time = Date.parse(points[0].at); time <= last; time += BUCKETS[bucket]) {
+        const at = new Date(time).toISOString();
+        const point = series.get(at);
+        filled.push({
+            at,
+            clicks: point ? point.clicks : 0,
+            uniqueVisitors: point ? point.visitors.size : 0
+        });
+    }
+
+    return filled;
+}
+
+// `clicks` are getLinkClicks records, oldest first
+export function summarizeClicks(clicks, { bucket = 'hour' } = {}) {
+    const series = new Map();
+    const referrers = new Map();
+    const visitors = new Set();
+
+    for (const click of clicks) {
+        const at = bucketStart(click.createdAt, bucket);
+        if (!series.has(at)) series.set(at, { at, clicks: 0, visitors: new Set() });
+
+        const point = series.get(at);
+        point.clicks += 1;
+        if (click.visitorHash) {
+            point.visitors.add(click.visitorHash);
+            visitors.add(click.visitorHash);
+        }
+
+        const source = referrerSource(click.referrer);
+        referrers.set(source, (referrers.get(source) || 0) + 1);
+    }
+
+    return {
+        totalClicks: clicks.length,
+        uniqueVisitors: visitors.size,
+        firstClickAt: clicks[0]?.createdAt || null,
+        lastClickAt: clicks[clicks.length - 1]?.createdAt || null,
+        bucket,
+        series: fillSeries(series, bucket),
+        referrers: [...referrers.entries()]
+            .map(([source, count]) => ({ source, clicks: count }))
+            .sort((a, b) => b.clicks - a.clicks)
+    };
+}
+
+// Per-channel totals for a list of short links, busiest channel first, so channels' alerts can be compared
+export function summarizeChannels(links) {
+    const channels = new Map();
+
+    for (const link of links) {
+        const handle = link.channelHandle || 'unassigned';
+        if (!channels.has(handle)) channels.set(handle, { channelHandle: handle, links: 0, clicks: 0 });
+
+        const channel = channels.get(handle);
+        channel.links += 1;
+        channel.clicks += link.clicks;
+    }
+
+    return [...channels.values()]
+        .map(channel => ({
+            ...channel,
+            averageClicks: Math.round((channel.clicks / channel.links) * 10) / 10
+        }))
+        .sort((a, b) => b.clicks - a.clicks);
+}
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import {
+    createShortLink,
+    getShortLink,
+    updateShortLink,
+    findShortLinkByUrl,
+    recordLinkClick,
+    getOrCreateAppSecret
+} from '../../database.js';
+
+// Built-in URL shortener. Codes are stored in the short_links table and served by the
+// GET /s/:code redirect route, which counts each click with its referrer and a hashed visitor
+// IP. It needs SHORT_LINK_BASE_URL, the public URL that /s/ is reachable under; without it the
+// external shorteners are used instead.
+//
+// Links made by hand can have a vanity alias, an expiry time or a click limit, and can be
+// retargeted (e.g. a standing "watch live" link moved to each new stream) or retired.
+
+const CODE_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_CODE_ATTEMPTS = 5;
+
+const ALIAS_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{2,49}$/;
+// Aliases that would read like part of the app rather than a link (compared case-insensitively)
+const RESERVED_ALIASES = [
+    'admin', 'api', 'app', 'dashboard', 'delete', 'edit', 'health', 'help', 'info', 'links',
+    'login', 'logout', 'new', 's', 'settings', 'static', 'stats', 'status', 'www'
+];
+const MAX_CLICK_LIMIT = 1000000000;
+const VISITOR_SALT_SECRET = 'link_visitor_salt';
+// Links made for announcements are already posted to Discord, Slack or Telegram and stay as they are
+const GENERATED_LINK_ERROR = 'Only links made by hand can be changed; this one was made for an announcement';
+
+export function generateCode(length) {
+    const bytes = crypto.randomBytes(length);
+    let code = '';
+    for (const byte of bytes) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+// Whether a link still redirects: active, retired, expired, or exhausted (click limit reached)
+export function linkStatus(link, now = Date.now()) {
+    if (link.retiredAt) return 'retired';
+    if (link.expiresAt && Date.parse(link.expiresAt) <= now) return 'expired';
+    if (link.maxClicks !== null && link.maxClicks !== undefined && link.clicks >= link.maxClicks) return 'exhausted';
+    return 'active';
+}
+
+// Returns an error message, or null when the alias can be used
+export function validateAlias(alias) {
+    if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+        return 'Alias must be 3-50 letters, digits, "-" or "_", starting with a letter or digit';
+    }
+    if (RESERVED_ALIASES.includes(alias.toLowerCase())) {
+        return `"${alias}" is reserved and can't be used as an alias`;
+    }
+    return null;
+}
+
+// Returns an error message, or null when the limits are usable. null clears a limit.
+export function validateLimits({ expiresAt, maxClicks } = {}) {
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const time = Date.parse(expiresAt);
+        if (typeof expiresAt !== 'string' || Number.isNaN(time)) {
+            return 'expiresAt must be an ISO 8601 date';
+        }
+        if (time <= Date.now()) {
+            return 'expiresAt must be in the future';
+        }
+    }
+
+    if (maxClicks !== undefined && maxClicks !== null) {
+        if (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > MAX_CLICK_LIMIT) {
+            return `maxClicks must be a whole number between 1 and ${MAX_CLICK_LIMIT}`;
+        }
+    }
+
+    return null;
+}
+
+class LinkShortener {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.SHORT_LINK_BASE_URL || '').replace(/\/+$/, '');
+        this.codeLength = options.codeLength || parseInt(process.env.SHORT_LINK_CODE_LENGTH) || 7;
+        // Without LINK_VISITOR_SALT a random salt is generated and stored on first use
+        this.visitorSalt = options.visitorSalt || process.env.LINK_VISITOR_SALT || null;
+    }
+
+    get enabled() {
+        return !!this.baseUrl;
+    }
+
+    buildUrl(code) {
+        return `${this.baseUrl}/${code}`;
+    }
+
+    // A short link for `url`; the same URL always gets the same code.
+    // `meta` ({ channelHandle, videoId, event, title }) says which announcement the link belongs to.
+    async shorten(url, meta = {}) {
+        if (!this.enabled) {
+            return { success: false, error: 'SHORT_LINK_BASE_URL is not set' };
+        }
+
+        const existing = await findShortLinkByUrl(url);
+        if (!existing.success) {
+            return { success: false, error: existing.error };
+        }
+        if (existing.link) {
+            let link = existing.link;
+
+            // Made by a one-off lookup before it was announced: attribute it to the announcement
+            if (meta.event && !link.event) {
+                const updated = await updateShortLink(link.code, meta);
+                if (updated.link) link = updated.link;
+            }
+
+            return { success: true, shorturl: this.buildUrl(link.code), link };
+        }
+
+        return await this.createWithFreeCode({ url, ...meta });
+    }
+
+    async createWithFreeCode(fields) {
+        for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+            const code = generateCode(this.codeLength);
+
+            const taken = await getShortLink(code);
+            if (!taken.success) {
+                return { success: false, error: taken.error };
+            }
+            if (taken.link) continue;
+
+            const created = await createShortLink({ ...fields, code });
+            if (!created.success) {
+                return { success: false, error: created.error };
+            }
+
+            return { success: true, shorturl: this.buildUrl(code), link: created.link };
+        }
+
+        return { success: false, error: 'Could not find a free short link code' };
+    }
+
+    // A new link made by hand, never shared with other URLs' or announcements' links.
+    // `options`: alias (the code to use), expiresAt, maxClicks, title.
+    // Failures carry `invalid` (bad input) or `conflict` (alias taken) so routes can pick a status.
+    async create(url, { alias, expiresAt, maxClicks, title } = {}) {
+        if (!this.enabled) {
+            return { success: false, error: 'SHORT_LINK_BASE_URL is not set' };
+        }
+
+        const limitsError = validateLimits({ expiresAt, maxClicks });
+        if (limitsError) {
+            return { success: false, invalid: true, error: limitsError };
+        }
+
+        const fields = { url, title, expiresAt, maxClicks, custom: true };
+
+        if (!alias) {
+            return await this.createWithFreeCode(fields);
+        }
+
+        const aliasError = validateAlias(alias);
+        if (aliasError) {
+            return { success: false, invalid: true, error: aliasError };
+        }
+
+        // Retired codes stay taken, so an old alias never starts pointing somewhere new
+        const taken = await getShortLink(alias);
+        if (!taken.success) {
+            return { success: false, error: taken.error };
+        }
+        if (taken.link) {
+            return { success: false, conflict: true, error: `The alias "${alias}" is already taken` };
+        }
+
+        const created = await createShortLink({ ...fields, code: alias });
+        if (!created.success) {
+            return { success: false, error: created.error };
+        }
+
+        return { success: true, shorturl: this.buildUrl(alias), link: created.link };
+    }
+
+    // Point a link somewhere else and/or change its limits. `changes`: url, expiresAt, maxClicks, title.
+    // Only links made by hand (see create) change; announcement links fail with `forbidden`.
+    async retarget(code, { url, expiresAt, maxClicks, title } = {}) {
+        const result = await getShortLink(code);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+        if (!result.link) {
+            return { success: false, notFound: true, error: 'Short link not found' };
+        }
+        if (!result.link.custom) {
+            return { success: false, forbidden: true, error: GENERATED_LINK_ERROR };
+        }
+        if (result.link.retiredAt) {
+            return { success: false, gone: true, error: 'Short link has been retired' };
+        }
+
+        const limitsError = validateLimits({ expiresAt, maxClicks });
+        if (limitsError) {
+            return { success: false, invalid: true, error: limitsError };
+        }
+
+        const updated = await updateShortLink(code, { url, expiresAt, maxClicks, title });
+        if (!updated.success) {
+            return { success: false, error: updated.error };
+        }
+
+        return { success: true, shorturl: this.buildUrl(code), link: updated.link };
+    }
+
+    // Stop a link from redirecting. Its clicks stay available, and the code is never handed out again.
+    async retire(code) {
+        const result = await getShortLink(code);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+        if (!result.link) {
+            return { success: false, notFound: true, error: 'Short link not found' };
+        }
+        if (!result.link.custom) {
+            return { success: false, forbidden: true, error: GENERATED_LINK_ERROR };
+        }
+        if (result.link.retiredAt) {
+            return { success: true, link: result.link };
+        }
+
+        const updated = await updateShortLink(code, { retiredAt: new Date().toISOString() });
+        if (!updated.success) {
+            return { success: false, error: updated.error };
+        }
+
+        return { success: true, link: updated.link };
+    }
+
+    async resolve(code) {
+        const result = await getShortLink(code);
+        return result.link;
+    }
+
+    // The configured salt, or the stored one; null when neither can be had
+    async getVisitorSalt() {
+        if (this.visitorSalt) return this.visitorSalt;
+
+        const result = await getOrCreateAppSecret(VISITOR_SALT_SECRET, () => crypto.randomBytes(32).toString('hex'));
+        if (!result.success) return null;
+
+        this.visitorSalt = result.value;
+        return this.visitorSalt;
+    }
+
+    // Visitors are counted by a salted hash of their IP so the IP itself is never stored. An
+    // unsalted hash of an IPv4 address is quick to reverse, so without a salt no hash is kept.
+    async hashVisitor(ip) {
+        if (!ip) return null;
+
+        const salt = await this.getVisitorSalt();
+        if (!salt) return null;
+
+        return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('hex').slice(0, 16);
+    }
+
+    async recordClick(code, { ip, referrer, userAgent } = {}) {
+        return await recordLinkClick(code, {
+            visitorHash: await this.hashVisitor(ip),
+            referrer,
+            userAgent
+        });
+    }
+}
+
+export default LinkShortener;
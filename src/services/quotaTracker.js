@@ -0,0 +1,196 @@
+import { addQuotaUsage, getQuotaUsage } from '../../database.js';
+
+// YouTube Data API quota accounting.
+//
+// Every API request is recorded with its unit cost. Usage is kept per Pacific-time day,
+// because that is when Google resets the quota. Given the planned usage of the running
+// monitors, the tracker decides whether checks can run as configured, need their intervals
+// stretched, or should skip the API and use the scrape fallbacks until the reset.
+
+// https://developers.google.com/youtube/v3/determine_quota_cost
+export const API_COSTS = {
+    'search.list': 100,
+    'videos.list': 1,
+    'channels.list': 1,
+    'playlistItems.list': 1
+};
+
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pacificClock(date = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: QUOTA_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        msIntoDay: ((parseInt(parts.hour) * 60 + parseInt(parts.minute)) * 60 + parseInt(parts.second)) * 1000 + date.getMilliseconds()
+    };
+}
+
+export function getQuotaDay(date = new Date()) {
+    return pacificClock(date).day;
+}
+
+class QuotaTracker {
+    constructor(options = {}) {
+        this.dailyBudget = options.dailyBudget || parseInt(process.env.YOUTUBE_QUOTA_BUDGET) || 10000;
+        // Beyond this stretch factor the API is skipped in favour of the scrape fallbacks
+        this.maxStretch = options.maxStretch || parseFloat(process.env.YOUTUBE_QUOTA_MAX_STRETCH) || 10;
+        this.day = getQuotaDay();
+        this.usage = new Map(); // `${channelHandle}|${method}` -> { channelHandle, method, units, calls }
+        this.exhausted = false;
+        this.plannedUnits = 0;
+        this.stretchFactor = 1;
+        this.mode = 'normal';
+    }
+
+    // Pick up today's usage recorded before this process started
+    async load() {
+        this.rollover();
+        const result = await getQuotaUsage(this.day);
+
+        if (result.success) {
+            for (const row of result.usage.filter(row => row.date === this.day)) {
+                this.usage.set(`${row.channelHandle || ''}|${row.method}`, {
+                    channelHandle: row.channelHandle,
+                    method: row.method,
+                    units: row.units,
+                    calls: row.calls
+                });
+            }
+            console.log(`📊 YouTube API usage today: ${this.getUsed()}/${this.dailyBudget} units`);
+        }
+
+        return result;
+    }
+
+    rollover() {
+        const today = getQuotaDay();
+        if (today !== this.day) {
+            console.log(`🔄 YouTube API quota reset for ${today}`);
+            this.day = today;
+            this.usage.clear();
+            this.exhausted = false;
+        }
+    }
+
+    // Approximate: ignores the one-hour shift on DST change days
+    msUntilReset() {
+        return DAY_MS - pacificClock().msIntoDay;
+    }
+
+    getUsed() {
+        this.rollover();
+        let used = 0;
+        for (const entry of this.usage.values()) used += entry.units;
+        return used;
+    }
+
+    getRemaining() {
+        return Math.max(0, this.dailyBudget - this.getUsed());
+    }
+
+    // Whether a call to `method` fits in what is left of today's budget
+    canSpend(method) {
+        this.rollover();
+        if (this.exhausted || this.mode === 'fallback') return false;
+        return this.getUsed() + (API_COSTS[method] || 1) <= this.dailyBudget;
+    }
+
+    async record(method, channelHandle = null) {
+        this.rollover();
+
+        const units = API_COSTS[method] || 1;
+        const key = `${channelHandle || ''}|${method}`;
+        const entry = this.usage.get(key) || { channelHandle, method, units: 0, calls: 0 };
+
+        entry.units += units;
+        entry.calls += 1;
+        this.usage.set(key, entry);
+
+        // Stored as an increment, since other processes record against the same totals
+        const saved = await addQuotaUsage(this.day, channelHandle, method, units, 1);
+        if (saved.success) {
+            // The stored totals include what other processes spent; local calls may still be on their way
+            entry.units = Math.max(entry.units, saved.units);
+            entry.calls = Math.max(entry.calls, saved.calls);
+        }
+
+        return units;
+    }
+
+    // The API answered quotaExceeded; nothing more will succeed before the reset
+    markExhausted() {
+        if (!this.exhausted) {
+            console.error(`❌ YouTube API quota exhausted, using fallbacks until the reset in ${Math.round(this.msUntilReset() / 60000)} minutes`);
+        }
+        this.exhausted = true;
+    }
+
+    // `plannedUnits` is what the running monitors would spend between now and the reset at their configured intervals
+    plan(plannedUnits) {
+        this.plannedUnits = Math.round(plannedUnits);
+        const remaining = this.getRemaining();
+        const previousMode = this.mode;
+
+        if (this.exhausted || remaining <= 0) {
+            this.mode = 'exhausted';
+            this.stretchFactor = 1;
+        } else if (this.plannedUnits <= remaining) {
+            this.mode = 'normal';
+            this.stretchFactor = 1;
+        } else if (this.plannedUnits / remaining <= this.maxStretch) {
+            this.mode = 'stretched';
+            this.stretchFactor = this.plannedUnits / remaining;
+        } else {
+            this.mode = 'fallback';
+            this.stretchFactor = 1;
+        }
+
+        if (this.mode !== previousMode) {
+            console.log(`📊 Quota mode ${previousMode} → ${this.mode} (planned ${this.plannedUnits}, remaining ${remaining} units)`);
+        }
+
+        return { mode: this.mode, stretchFactor: this.stretchFactor };
+    }
+
+    getStatus() {
+        const used = this.getUsed();
+        const byMethod = {};
+        const byChannel = {};
+
+        for (const entry of this.usage.values()) {
+            byMethod[entry.method] = byMethod[entry.method] || { units: 0, calls: 0 };
+            byMethod[entry.method].units += entry.units;
+            byMethod[entry.method].calls += entry.calls;
+
+            const channel = entry.channelHandle || 'unattributed';
+            byChannel[channel] = (byChannel[channel] || 0) + entry.units;
+        }
+
+        return {
+            date: this.day,
+            budget: this.dailyBudget,
+            used,
+            remaining: Math.max(0, this.dailyBudget - used),
+            projected: used + this.plannedUnits,
+            mode: this.mode,
+            stretchFactor: Math.round(this.stretchFactor * 100) / 100,
+            exhausted: this.exhausted,
+            resetsAt: new Date(Date.now() + this.msUntilReset()).toISOString(),
+            byMethod,
+            byChannel
+        };
+    }
+}
+
+export default QuotaTracker;
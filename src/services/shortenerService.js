@@ -1,193 +1,262 @@
 import axios from 'axios';
 import config from '../config/config.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { createLimiter } from '../utils/concurrency.js';
+import { getShortenedUrl, saveShortenedUrl } from '../../database.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Fields a JSON shortener response may carry the short URL in
+const RESPONSE_FIELDS = ['short_url', 'shorturl', 'shortUrl', 'shortened_url', 'url', 'link', 'short', 'result'];
+
+// External shorteners, tried in this order after the built-in one. `request` builds the axios config.
+const PROVIDERS = [
+    {
+        id: 'linktw',
+        name: 'linktw.in',
+        request: (longUrl, apiKey) => ({
+            method: 'post',
+            url: `${config.apis.linktw}/url/add`,
+            data: { url: longUrl },
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { 'Authorization': apiKey })
+            }
+        })
+    },
+    {
+        id: 'tinyurl',
+        name: 'TinyURL',
+        request: longUrl => ({
+            method: 'get',
+            url: `https://tinyurl.com/api-create.php?url=${encodeURIComponent(longUrl)}`
+        })
+    },
+    {
+        id: 'isgd',
+        name: 'is.gd',
+        request: longUrl => ({
+            method: 'post',
+            url: 'https://is.gd/create.php',
+            data: `format=simple&url=${encodeURIComponent(longUrl)}`,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        })
+    }
+];
+
+function isValidUrl(string) {
+    try {
+        const url = new URL(string);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (_) {
+        return false;
+    }
+}
+
+// The short URL in a provider response (plain text or JSON), or null
+export function extractShortUrl(data, longUrl) {
+    const candidates = typeof data === 'string'
+        ? [data.trim()]
+        : RESPONSE_FIELDS.map(field => data?.[field]).filter(value => typeof value === 'string');
+
+    return candidates.find(candidate => isValidUrl(candidate) && candidate !== longUrl) || null;
+}
 
 class ShortenerService {
-    constructor() {
+    // `linkShortener` is the built-in shortener (see linkShortener.js); when it is enabled it is
+    // tried before the external services listed in SHORTENER_FALLBACKS ('none' for none of them).
+    //
+    // External results are memoized by long URL in the shortened_urls table. Provider calls share
+    // one concurrency limit (SHORTENER_CONCURRENCY), and each provider has a circuit breaker that
+    // skips it for SHORTENER_BREAKER_COOLDOWN_MS after SHORTENER_BREAKER_THRESHOLD failures in a row.
+    constructor(options = {}) {
         this.apiKey = config.linktwApiKey;
         this.baseUrl = config.apis.linktw;
+        this.linkShortener = options.linkShortener || null;
+        this.http = options.http || axios;
+
+        const fallbacks = (options.fallbacks || process.env.SHORTENER_FALLBACKS || 'linktw,tinyurl,isgd')
+            .split(',')
+            .map(id => id.trim().toLowerCase());
+        this.providers = PROVIDERS.filter(provider => fallbacks.includes(provider.id));
+
+        this.limiter = createLimiter(options.concurrency || parseInt(process.env.SHORTENER_CONCURRENCY) || 4);
+        this.breakerOptions = {
+            failureThreshold: options.failureThreshold || parseInt(process.env.SHORTENER_BREAKER_THRESHOLD) || 3,
+            cooldownMs: options.cooldownMs || parseInt(process.env.SHORTENER_BREAKER_COOLDOWN_MS) || 5 * 60 * 1000
+        };
+        this.breakers = new Map(); // provider id -> CircuitBreaker
     }
 
-    async shortenUrl(longUrl) {
-        try {
-            // Method 1: Try POST with JSON payload
-            const methods = [
-                {
-                    method: 'post',
-                    url: `${this.baseUrl}/url`,
-                    data: { url: longUrl },
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                    }
-                },
-                {
-                    method: 'post',
-                    url: `${this.baseUrl}/shorten`,
-                    data: { url: longUrl },
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                    }
-                },
-                {
-                    method: 'get',
-                    url: `${this.baseUrl}/shorten?url=${encodeURIComponent(longUrl)}`,
-                    headers: {
-                        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
-                    }
-                },
-                {
-                    method: 'post',
-                    url: 'https://linktw.in/api/url',
-                    data: { url: longUrl },
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                    }
-                }
-            ];
-
-            for (const methodConfig of methods) {
-                try {
-                    console.log(`Trying shortener method: ${methodConfig.method.toUpperCase()} ${methodConfig.url}`);
-                    
-                    const response = await axios({
-                        ...methodConfig,
-                        timeout: 10000
-                    });
-
-                    // Try different response formats
-                    const possibleFields = [
-                        'short_url',
-                        'shortUrl', 
-                        'shortened_url',
-                        'url',
-                        'link',
-                        'short',
-                        'result'
-                    ];
-
-                    for (const field of possibleFields) {
-                        if (response.data && response.data[field]) {
-                            const shortUrl = response.data[field];
-                            if (this.isValidUrl(shortUrl)) {
-                                console.log(`✅ Successfully shortened URL: ${shortUrl}`);
-                                return {
-                                    success: true,
-                                    shortUrl: shortUrl,
-                                    originalUrl: longUrl,
-                                    service: 'linktw.in',
-                                    method: methodConfig.method
-                                };
-                            }
-                        }
-                    }
+    breakerFor(id, name) {
+        if (!this.breakers.has(id)) {
+            this.breakers.set(id, new CircuitBreaker(name, this.breakerOptions));
+        }
+        return this.breakers.get(id);
+    }
+
+    // Call one provider through its circuit breaker and the shared concurrency limit.
+    // `request` resolves to a short URL, or to null when the response had none (counted as a failure).
+    // Returns { shortUrl }, { skipped: true } while the breaker is open, or { error }.
+    async callProvider(id, name, request) {
+        const breaker = this.breakerFor(id, name);
+        const skipped = () => {
+            breaker.recordSkip();
+            console.log(`⏭️ Skipping ${name}: circuit open after repeated failures`);
+            return { skipped: true };
+        };
 
-                    // If we get here, response format might be different
-                    console.log('Response data:', response.data);
-                    
-                } catch (methodError) {
-                    console.log(`Method failed: ${methodError.message}`);
-                    continue;
+        // Don't queue for a slot when the provider is known to be down
+        if (breaker.isOpen()) return skipped();
+
+        return await this.limiter.run(async () => {
+            // Checked again once a slot frees up: calls queued behind failing ones may no longer go out
+            if (!breaker.allowRequest()) return skipped();
+
+            try {
+                const shortUrl = await request();
+
+                if (!shortUrl) {
+                    throw new Error('No short URL in response');
                 }
+
+                breaker.recordSuccess();
+                return { shortUrl };
+            } catch (error) {
+                breaker.recordFailure(error);
+                return { error: error.message };
             }
+        });
+    }
 
-            // If all methods fail, try alternative shorteners
-            return await this.tryAlternativeShorteners(longUrl);
+    // An earlier external result for `longUrl`, or null
+    async getCached(longUrl) {
+        const result = await getShortenedUrl(longUrl);
+        return result.entry;
+    }
 
-        } catch (error) {
-            console.error('Primary shortening service failed:', error.message);
-            return await this.tryAlternativeShorteners(longUrl);
-        }
+    async remember(longUrl, shortUrl, service) {
+        await saveShortenedUrl({ longUrl, shortUrl, service });
     }
 
-    async tryAlternativeShorteners(longUrl) {
-        const alternatives = [
-            {
-                name: 'TinyURL',
-                url: `https://tinyurl.com/api-create.php?url=${encodeURIComponent(longUrl)}`,
-                method: 'get'
-            },
-            {
-                name: 'is.gd',
-                url: 'https://is.gd/create.php',
-                method: 'post',
-                data: `format=simple&url=${encodeURIComponent(longUrl)}`,
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    // Every short URL in the app comes from here. Result:
+    //   { success, shorturl, originalUrl, service, code?, cached? }
+    // On failure `shorturl` is the original URL, so callers can always use it.
+    // `meta` ({ channelHandle, videoId, event, title }) is stored with built-in short links, so their
+    // clicks can be traced back to the announcement; one-off lookups leave out the event.
+    async shortenUrl(longUrl, meta = {}) {
+        console.log(`🔗 Attempting to shorten URL: ${longUrl}`);
+
+        // Our own short links first, so announcements carry links we can count clicks on
+        if (this.linkShortener?.enabled) {
+            const result = await this.linkShortener.shorten(longUrl, meta);
+
+            if (result.success) {
+                console.log(`✅ Successfully shortened with the built-in shortener: ${result.shorturl}`);
+                return {
+                    success: true,
+                    shorturl: result.shorturl,
+                    originalUrl: longUrl,
+                    service: 'self',
+                    code: result.link.code
+                };
             }
-        ];
 
-        for (const alt of alternatives) {
-            try {
-                console.log(`Trying alternative shortener: ${alt.name}`);
-                
-                const config = {
-                    method: alt.method,
-                    url: alt.url,
+            console.log('❌ Built-in shortener failed:', result.error);
+        }
+
+        // Each URL goes to an external shortener once; the result is kept in storage
+        const cached = await this.getCached(longUrl);
+        if (cached) {
+            return {
+                success: true,
+                shorturl: cached.shortUrl,
+                originalUrl: longUrl,
+                service: cached.service,
+                cached: true
+            };
+        }
+
+        for (const provider of this.providers) {
+            console.log(`🔄 Trying ${provider.name}...`);
+
+            // Skipped while the provider's circuit breaker is open; failures count towards opening it
+            const result = await this.callProvider(provider.id, provider.name, async () => {
+                const request = provider.request(longUrl, this.apiKey);
+                const response = await this.http({
+                    ...request,
                     timeout: 10000,
                     headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                        ...alt.headers
+                        'User-Agent': USER_AGENT,
+                        ...request.headers
                     }
-                };
+                });
 
-                if (alt.data) {
-                    config.data = alt.data;
-                }
+                return extractShortUrl(response.data, longUrl);
+            });
 
-                const response = await axios(config);
-                
-                let shortUrl = response.data;
-                if (typeof shortUrl === 'string') {
-                    shortUrl = shortUrl.trim();
-                    
-                    if (this.isValidUrl(shortUrl)) {
-                        console.log(`✅ Successfully shortened with ${alt.name}: ${shortUrl}`);
-                        return {
-                            success: true,
-                            shortUrl: shortUrl,
-                            originalUrl: longUrl,
-                            service: alt.name,
-                            fallback: true
-                        };
-                    }
-                }
-                
-            } catch (altError) {
-                console.log(`${alt.name} failed:`, altError.message);
-                continue;
+            if (result.shortUrl) {
+                console.log(`✅ Successfully shortened with ${provider.name}: ${result.shortUrl}`);
+                await this.remember(longUrl, result.shortUrl, provider.name);
+                return {
+                    success: true,
+                    shorturl: result.shortUrl,
+                    originalUrl: longUrl,
+                    service: provider.name
+                };
+            }
+
+            if (result.error) {
+                console.log(`❌ ${provider.name} failed:`, result.error);
             }
         }
 
         // All shorteners failed, return original URL
-        console.warn('All URL shortening services failed, returning original URL');
+        console.warn('⚠️  All URL shortening services failed, returning original URL');
         return {
             success: false,
-            shortUrl: longUrl,
+            shorturl: longUrl,
             originalUrl: longUrl,
             service: 'none',
             error: 'All shortening services failed'
         };
     }
 
-    isValidUrl(string) {
-        try {
-            const url = new URL(string);
-            return url.protocol === 'http:' || url.protocol === 'https:';
-        } catch (_) {
-            return false;
-        }
+    // Links with an alias or limits, and changes to them, only work with the built-in shortener
+    builtInRequired() {
+        if (this.linkShortener?.enabled) return null;
+        return { success: false, unavailable: true, error: 'Custom links need the built-in shortener (set SHORT_LINK_BASE_URL)' };
+    }
+
+    async createLink(longUrl, options) {
+        return this.builtInRequired() || await this.linkShortener.create(longUrl, options);
+    }
+
+    async updateLink(code, changes) {
+        return this.builtInRequired() || await this.linkShortener.retarget(code, changes);
+    }
+
+    async retireLink(code) {
+        return this.builtInRequired() || await this.linkShortener.retire(code);
     }
 
     // Get service status
     getServiceInfo() {
         return {
-            primaryService: 'linktw.in',
+            primaryService: this.linkShortener?.enabled ? 'self' : (this.providers[0]?.name || 'none'),
+            selfHosted: this.linkShortener?.enabled ? this.linkShortener.baseUrl : null,
             baseUrl: this.baseUrl,
             hasApiKey: !!this.apiKey,
-            alternatives: ['TinyURL', 'is.gd']
+            providers: this.providers.map(provider => provider.name),
+            concurrency: {
+                limit: this.limiter.limit,
+                active: this.limiter.active,
+                queued: this.limiter.queued
+            },
+            // Providers that haven't been called yet have no breaker and count as closed
+            breakers: Object.fromEntries([...this.breakers.entries()].map(([id, breaker]) => [id, breaker.getState()]))
         };
     }
 }
 
-export default ShortenerService;
\ No newline at end of file
+export default ShortenerService;
@@ -0,0 +1,82 @@
+import { formatDuration } from './videoDetails.js';
+
+// Per-stream records for live streams. While a stream runs, each live check adds a sample of
+// videos.list liveStreamingDetails (concurrent viewers, actual start time) and the current
+// title; when it ends the record is closed and summarized for the stream_ended notification.
+
+// Samples kept per record; past this every other one is dropped, so long streams keep an even spread
+const MAX_SAMPLES = 288;
+
+export function createStreamRecord({ videoId, channelHandle, title, startedAt = new Date().toISOString() }) {
+    return {
+        videoId,
+        channelHandle,
+        title,
+        status: 'live',
+        scheduledStartTime: null,
+        startedAt,
+        endedAt: null,
+        durationSeconds: null,
+        peakViewers: null,
+        averageViewers: null,
+        sampleCount: 0,
+        viewerTotal: 0,
+        titleChanges: [],
+        samples: []
+    };
+}
+
+// `details` is a videoDetails record (see toVideoDetails); returns the updated record
+export function addStreamSample(record, details, at = new Date().toISOString()) {
+    const live = details.liveStreamingDetails || {};
+    const viewers = parseInt(live.concurrentViewers);
+
+    if (live.actualStartTime) record.startedAt = live.actualStartTime;
+    if (live.scheduledStartTime) record.scheduledStartTime = live.scheduledStartTime;
+
+    if (details.title && details.title !== record.title) {
+        record.titleChanges.push({ at, from: record.title, to: details.title });
+        record.title = details.title;
+    }
+
+    if (!Number.isNaN(viewers)) {
+        record.sampleCount += 1;
+        record.viewerTotal += viewers;
+        record.peakViewers = Math.max(record.peakViewers || 0, viewers);
+        record.averageViewers = Math.round(record.viewerTotal / record.sampleCount);
+
+        record.samples.push({ at, viewers });
+        if (record.samples.length > MAX_SAMPLES) {
+            record.samples = record.samples.filter((sample, index) => index % 2 === 0 || index === record.samples.length - 1);
+        }
+    }
+
+    return record;
+}
+
+// `details` is the final videoDetails lookup, if one could be made
+export function finishStreamRecord(record, details = null, endedAt = new Date().toISOString()) {
+    if (details) addStreamSample(record, details, endedAt);
+
+    record.status = 'ended';
+    record.endedAt = details?.liveStreamingDetails?.actualEndTime || endedAt;
+
+    const started = Date.parse(record.startedAt);
+    const ended = Date.parse(record.endedAt);
+    record.durationSeconds = started && ended >= started ? Math.round((ended - started) / 1000) : null;
+
+    return record;
+}
+
+// The fields a stream_ended notification carries
+export function summarizeStream(record) {
+    return {
+        duration: formatDuration(record.durationSeconds),
+        durationSeconds: record.durationSeconds,
+        peakViewers: record.peakViewers,
+        averageViewers: record.averageViewers,
+        titleChanges: record.titleChanges.length,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt
+    };
+}
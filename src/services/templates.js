@@ -0,0 +1,209 @@
+// Per-channel message templates. A channel's `templates` object maps an event to overrides
+// for the default announcement, e.g.
+//   { new_video: { title: '📹 {title}', description: 'Go watch {shorturl}', color: '#FF0000', mention: '123456789' } }
+// Any text may use {placeholders}; unknown placeholders are left untouched.
+
+export const TEMPLATE_EVENTS = [
+    'stream_started', 'new_video', 'new_short', 'stream_ended',
+    'stream_scheduled', 'stream_reminder', 'stream_rescheduled', 'stream_cancelled'
+];
+
+export const TEMPLATE_PLACEHOLDERS = [
+    'title', 'shorturl', 'originalUrl', 'channelHandle', 'channelUrl',
+    'thumbnail', 'videoId', 'publishedAt', 'viewCount', 'duration',
+    'scheduledStart', 'previousStart', 'minutesUntilStart', 'peakViewers', 'averageViewers', 'mention'
+];
+
+// Discord embed limits, which are the tightest of the supported destinations
+const LIMITS = {
+    title: 256,
+    description: 4096,
+    footer: 2048,
+    thumbnail: 2048,
+    fieldName: 256,
+    fieldValue: 1024,
+    fields: 25
+};
+
+// Data used by the preview endpoint when the caller doesn't supply any
+export const SAMPLE_DATA = {
+    stream_started: {
+        title: 'Late night ranked grind 🔥',
+        shorturl: 'https://linktw.in/abc123',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg',
+        videoId: 'dQw4w9WgXcQ'
+    },
+    new_video: {
+        title: 'I tried every agent in one day',
+        shorturl: 'https://linktw.in/def456',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg',
+        videoId: 'dQw4w9WgXcQ',
+        publishedAt: new Date().toLocaleDateString(),
+        viewCount: '1,234',
+        duration: '12:03'
+    },
+    new_short: {
+        title: 'Clutch 1v4 #shorts',
+        shorturl: 'https://linktw.in/ghi789',
+        originalUrl: 'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+        thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg',
+        videoId: 'dQw4w9WgXcQ',
+        publishedAt: new Date().toLocaleDateString(),
+        viewCount: '5,678',
+        duration: '0:45'
+    },
+    stream_ended: {
+        title: 'Late night ranked grind 🔥',
+        shorturl: 'https://linktw.in/abc123',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        videoId: 'dQw4w9WgXcQ',
+        duration: '3:12:45',
+        peakViewers: 1842,
+        averageViewers: 1207
+    },
+    stream_scheduled: {
+        title: 'Season finale watch party',
+        shorturl: 'https://linktw.in/jkl012',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg',
+        videoId: 'dQw4w9WgXcQ',
+        scheduledStart: new Date(Date.now() + 24 * 60 * 60 * 1000).toUTCString()
+    },
+    stream_reminder: {
+        title: 'Season finale watch party',
+        shorturl: 'https://linktw.in/jkl012',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg',
+        videoId: 'dQw4w9WgXcQ',
+        scheduledStart: new Date(Date.now() + 15 * 60 * 1000).toUTCString(),
+        minutesUntilStart: 15
+    },
+    stream_rescheduled: {
+        title: 'Season finale watch party',
+        shorturl: 'https://linktw.in/jkl012',
+        originalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        videoId: 'dQw4w9WgXcQ',
+        scheduledStart: new Date(Date.now() + 48 * 60 * 60 * 1000).toUTCString(),
+        previousStart: new Date(Date.now() + 24 * 60 * 60 * 1000).toUTCString()
+    },
+    stream_cancelled: {
+        title: 'Season finale watch party',
+        videoId: 'dQw4w9WgXcQ',
+        scheduledStart: new Date(Date.now() + 24 * 60 * 60 * 1000).toUTCString()
+    }
+};
+
+// Discord role id, or everyone/here
+export function formatMention(mention) {
+    if (!mention) return '';
+    const value = String(mention).trim().replace(/^@/, '');
+    if (value === 'everyone' || value === 'here') return `@${value}`;
+    if (/^\d+$/.test(value)) return `<@&${value}>`;
+    return '';
+}
+
+export function fillPlaceholders(text, data) {
+    if (typeof text !== 'string') return text;
+
+    return text.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!TEMPLATE_PLACEHOLDERS.includes(key)) return match;
+        if (key === 'mention') return formatMention(data.mention);
+        const value = data[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+function parseColor(color) {
+    if (typeof color === 'number') return color;
+    if (typeof color === 'string' && /^#?[0-9a-f]{6}$/i.test(color)) {
+        return parseInt(color.replace('#', ''), 16);
+    }
+    return null;
+}
+
+// Returns an error message, or null when every template is usable
+export function validateTemplates(templates) {
+    if (templates === undefined || templates === null) return null;
+
+    if (typeof templates !== 'object' || Array.isArray(templates)) {
+        return 'Templates must be an object keyed by event type';
+    }
+
+    for (const [event, template] of Object.entries(templates)) {
+        if (!TEMPLATE_EVENTS.includes(event)) {
+            return `Invalid template event "${event}". Valid events: ${TEMPLATE_EVENTS.join(', ')}`;
+        }
+        if (template === null) continue;
+        if (typeof template !== 'object' || Array.isArray(template)) {
+            return `Template for ${event} must be an object`;
+        }
+
+        for (const key of ['title', 'description', 'footer', 'thumbnail']) {
+            if (template[key] === undefined) continue;
+            if (typeof template[key] !== 'string') {
+                return `${event}.${key} must be a string`;
+            }
+            if (template[key].length > LIMITS[key]) {
+                return `${event}.${key} must be at most ${LIMITS[key]} characters`;
+            }
+        }
+
+        if (template.color !== undefined && parseColor(template.color) === null) {
+            return `${event}.color must be a hex color like #FF0000`;
+        }
+
+        if (template.mention !== undefined && template.mention !== '' && !formatMention(template.mention)) {
+            return `${event}.mention must be a Discord role id, "everyone" or "here"`;
+        }
+
+        if (template.fields !== undefined) {
+            if (!Array.isArray(template.fields) || template.fields.length > LIMITS.fields) {
+                return `${event}.fields must be an array of at most ${LIMITS.fields} fields`;
+            }
+            for (const field of template.fields) {
+                if (typeof field?.name !== 'string' || typeof field?.value !== 'string') {
+                    return `${event}.fields entries need a string name and value`;
+                }
+                if (field.name.length > LIMITS.fieldName || field.value.length > LIMITS.fieldValue) {
+                    return `${event}.fields entries exceed Discord's length limits`;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+// Apply a template's overrides to the default event description
+export function applyTemplate(description, template, data) {
+    if (!description || !template) return description;
+
+    const context = { ...data, mention: template.mention };
+    const rendered = { ...description };
+
+    for (const key of ['title', 'description', 'footer', 'thumbnail']) {
+        if (template[key] !== undefined) {
+            rendered[key] = fillPlaceholders(template[key], context);
+        }
+    }
+
+    if (template.color !== undefined) {
+        rendered.color = parseColor(template.color);
+    }
+
+    if (template.fields !== undefined) {
+        rendered.fields = template.fields.map(field => ({
+            name: fillPlaceholders(field.name, context),
+            value: fillPlaceholders(field.value, context),
+            inline: field.inline !== false
+        }));
+    }
+
+    if (template.mention) {
+        rendered.mention = String(template.mention).trim().replace(/^@/, '');
+    }
+
+    return rendered;
+}
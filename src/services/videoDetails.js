@@ -0,0 +1,81 @@
+// Helpers for the uploads-playlist detection path: playlistItems.list on the channel's
+// uploads playlist finds the newest videos (1 unit), one videos.list batch fills in their
+// details (1 unit), instead of a 100-unit search.list per content type.
+
+// Longest video YouTube accepts as a Short
+export const MAX_SHORT_DURATION = 180;
+
+// Without player dimensions only clearly short videos are treated as Shorts
+const MAX_SHORT_DURATION_UNKNOWN_ASPECT = 60;
+
+// Every channel's uploads playlist is its channel ID with UC swapped for UU
+export function getUploadsPlaylistId(channelId) {
+    return channelId.startsWith('UC') ? `UU${channelId.slice(2)}` : channelId;
+}
+
+// ISO-8601 duration (PT1H2M3S, P1DT2H) to seconds; null when missing or unparseable
+export function parseDuration(duration) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+    if (!match) return null;
+
+    const [, days, hours, minutes, seconds] = match.map(value => parseInt(value) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+export function formatDuration(totalSeconds) {
+    if (totalSeconds === null || totalSeconds === undefined) return null;
+
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+// Shorts are vertical (or square) and at most three minutes long
+export function isShortVideo({ durationSeconds, width, height }) {
+    if (durationSeconds === null || durationSeconds === undefined || durationSeconds === 0) return false;
+
+    if (width && height) {
+        return height >= width && durationSeconds <= MAX_SHORT_DURATION;
+    }
+    return durationSeconds <= MAX_SHORT_DURATION_UNKNOWN_ASPECT;
+}
+
+// 'live' | 'upcoming' | 'stream_archive' | 'short' | 'video'
+export function classifyVideo(video) {
+    if (video.liveBroadcastContent === 'live') return 'live';
+    if (video.liveBroadcastContent === 'upcoming') return 'upcoming';
+    if (video.liveStreamingDetails) return 'stream_archive';
+    return isShortVideo(video) ? 'short' : 'video';
+}
+
+// videos.list item (snippet, contentDetails, statistics, liveStreamingDetails, player) to a flat record
+export function toVideoDetails(item) {
+    const durationSeconds = parseDuration(item.contentDetails?.duration);
+    const thumbnails = item.snippet?.thumbnails || {};
+
+    const video = {
+        videoId: item.id,
+        title: item.snippet?.title,
+        description: item.snippet?.description || '',
+        thumbnail: thumbnails.high?.url || thumbnails.medium?.url || thumbnails.default?.url || `https://img.youtube.com/vi/${item.id}/default.jpg`,
+        publishedAt: item.snippet?.publishedAt || null,
+        durationSeconds,
+        duration: formatDuration(durationSeconds),
+        liveBroadcastContent: item.snippet?.liveBroadcastContent || 'none',
+        liveStreamingDetails: item.liveStreamingDetails || null,
+        viewCount: item.statistics?.viewCount !== undefined ? parseInt(item.statistics.viewCount) : null,
+        likeCount: item.statistics?.likeCount !== undefined ? parseInt(item.statistics.likeCount) : null,
+        width: item.player?.embedWidth ? parseInt(item.player.embedWidth) : null,
+        height: item.player?.embedHeight ? parseInt(item.player.embedHeight) : null
+    };
+
+    video.kind = classifyVideo(video);
+    video.url = video.kind === 'short'
+        ? `https://www.youtube.com/shorts/${video.videoId}`
+        : `https://www.youtube.com/watch?v=${video.videoId}`;
+
+    return video;
+}
@@ -0,0 +1,382 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import {
+    saveWebSubSubscription,
+    getWebSubSubscriptions,
+    removeWebSubSubscription
+} from '../../database.js';
+
+// WebSub (PubSubHubbub) push subscriptions to YouTube channel feeds.
+//
+// Instead of polling for uploads, each push-mode channel subscribes its Atom feed to the hub.
+// The hub verifies the subscription with a GET to our callback (echo hub.challenge), then
+// POSTs the feed entry whenever the channel publishes or edits a video. Leases expire, so
+// subscriptions are renewed ahead of time. WEBSUB_HUB_URL can point at a local stand-in hub.
+
+export const DEFAULT_HUB_URL = 'https://pubsubhubbub.appspot.com/subscribe';
+
+const FEED_URL = 'https://www.youtube.com/xml/feeds/videos.xml';
+const HUB_SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+export function getTopicUrl(channelId) {
+    return `${FEED_URL}?channel_id=${channelId}`;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function readTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+// Entries (uploads and edits) and deleted-entry tombstones from a hub notification
+export function parseAtomNotification(xml) {
+    const entries = [];
+    const deleted = [];
+
+    for (const [, body] of String(xml).matchAll(/<entry(?:\s[^>]*)?>([\s\S]*?)<\/entry>/g)) {
+        const videoId = readTag(body, 'yt:videoId');
+        if (!videoId) continue;
+
+        const link = body.match(/<link[^>]*rel="alternate"[^>]*href="([^"]+)"/);
+
+        entries.push({
+            videoId,
+            channelId: readTag(body, 'yt:channelId'),
+            title: readTag(body, 'title'),
+            url: link ? decodeXml(link[1]) : `https://www.youtube.com/watch?v=${videoId}`,
+            author: readTag(body, 'name'),
+            publishedAt: readTag(body, 'published'),
+            updatedAt: readTag(body, 'updated')
+        });
+    }
+
+    for (const [, attributes] of String(xml).matchAll(/<at:deleted-entry([^>]*)>/g)) {
+        const ref = attributes.match(/ref="([^"]+)"/);
+        const when = attributes.match(/when="([^"]+)"/);
+        if (ref) {
+            deleted.push({
+                videoId: decodeXml(ref[1]).replace(/^yt:video:/, ''),
+                deletedAt: when ? when[1] : null
+            });
+        }
+    }
+
+    return { entries, deleted };
+}
+
+// X-Hub-Signature is `<algorithm>=<hex HMAC of the raw body>`, keyed with the hub.secret we sent
+export function verifyHubSignature(secret, rawBody, header) {
+    if (!secret || !header) return false;
+
+    const [algorithm, signature] = String(header).split('=');
+    if (!HUB_SIGNATURE_ALGORITHMS.includes(algorithm) || !signature) return false;
+
+    const expected = crypto.createHmac(algorithm, secret).update(rawBody).digest('hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return received.length === expected.length / 2 &&
+        crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'));
+}
+
+class WebSubManager {
+    constructor(options = {}) {
+        this.hubUrl = options.hubUrl || process.env.WEBSUB_HUB_URL || DEFAULT_HUB_URL;
+        // Public URL of /api/websub/callback; the channel id is appended per subscription
+        this.callbackUrl = (options.callbackUrl || process.env.WEBSUB_CALLBACK_URL || '').replace(/\/+$/, '') || null;
+        this.leaseSeconds = options.leaseSeconds || parseInt(process.env.WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60;
+        this.renewBefore = options.renewBefore || 24 * 60 * 60 * 1000;
+        // Pending subscriptions that were never verified are retried after this long
+        this.verifyTimeout = options.verifyTimeout || 60 * 60 * 1000;
+        // Feed edits to older videos also trigger notifications; only entries this recent count as uploads
+        this.maxUploadAge = options.maxUploadAge || 24 * 60 * 60 * 1000;
+        this.checkInterval = options.checkInterval || 15 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.subscriptions = new Map(); // channelHandle -> subscription
+        this.timer = null;
+    }
+
+    // Push mode needs a callback URL the hub can reach
+    get enabled() {
+        return !!this.callbackUrl;
+    }
+
+    async load() {
+        const result = await getWebSubSubscriptions();
+        if (result.success) {
+            this.subscriptions = new Map(result.subscriptions.map(subscription => [subscription.channelHandle, subscription]));
+            console.log(`📡 Loaded ${this.subscriptions.size} WebSub subscription(s)`);
+        }
+        return result;
+    }
+
+    start() {
+        if (this.timer || !this.enabled) return;
+
+        this.timer = setInterval(() => {
+            this.renewDue().catch(error => {
+                console.error('❌ WebSub lease renewal failed:', error.message);
+            });
+        }, this.checkInterval);
+
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // True while the hub has confirmed the subscription and the lease hasn't run out
+    isActive(channelHandle) {
+        const subscription = this.subscriptions.get(channelHandle);
+        return !!subscription &&
+            subscription.status === 'active' &&
+            !!subscription.expiresAt &&
+            Date.parse(subscription.expiresAt) > Date.now();
+    }
+
+    getSubscription(channelHandle) {
+        return this.subscriptions.get(channelHandle) || null;
+    }
+
+    // Subscriptions without their secrets, for status endpoints
+    listSubscriptions() {
+        return [...this.subscriptions.values()].map(({ secret, ...subscription }) => ({
+            ...subscription,
+            signed: !!secret,
+            active: this.isActive(subscription.channelHandle)
+        }));
+    }
+
+    async subscribe(channelHandle, channelId) {
+        if (!this.enabled) {
+            return { success: false, error: 'WEBSUB_CALLBACK_URL is not configured' };
+        }
+
+        const existing = this.subscriptions.get(channelHandle);
+        const subscription = {
+            channelId,
+            topic: getTopicUrl(channelId),
+            hubUrl: this.hubUrl,
+            callbackUrl: `${this.callbackUrl}/${encodeURIComponent(channelId)}`,
+            // Keep the secret across renewals so notifications in flight still verify
+            secret: existing?.channelId === channelId && existing.secret ? existing.secret : crypto.randomBytes(24).toString('hex'),
+            // A renewal keeps the subscription active until the hub confirms the new lease
+            status: existing?.channelId === channelId && this.isActive(channelHandle) ? 'active' : 'pending',
+            leaseSeconds: this.leaseSeconds,
+            lastError: null
+        };
+
+        console.log(`📡 Subscribing ${channelHandle} (${channelId}) to ${this.hubUrl}...`);
+        const outcome = await this.requestHub('subscribe', subscription);
+
+        if (!outcome.ok) {
+            console.error(`❌ WebSub subscribe failed for ${channelHandle}: ${outcome.error}`);
+            // A failed renewal leaves the current lease in place until it expires
+            subscription.status = subscription.status === 'active' ? 'active' : 'failed';
+            subscription.lastError = outcome.error;
+        }
+
+        const saved = await this.save(channelHandle, subscription);
+        return { success: outcome.ok, error: outcome.error, subscription: saved };
+    }
+
+    async unsubscribe(channelHandle) {
+        const subscription = this.subscriptions.get(channelHandle);
+        if (!subscription) {
+            return { success: true };
+        }
+
+        console.log(`📡 Unsubscribing ${channelHandle} from ${subscription.hubUrl || this.hubUrl}...`);
+        const outcome = await this.requestHub('unsubscribe', subscription);
+
+        if (!outcome.ok) {
+            // The lease will run out on its own; stop tracking the subscription either way
+            console.error(`⚠️ WebSub unsubscribe failed for ${channelHandle}: ${outcome.error}`);
+            this.subscriptions.delete(channelHandle);
+            await removeWebSubSubscription(channelHandle);
+            return { success: false, error: outcome.error };
+        }
+
+        // Deleted once the hub verifies the unsubscribe
+        await this.save(channelHandle, { status: 'unsubscribing' });
+        return { success: true };
+    }
+
+    async requestHub(mode, subscription) {
+        const form = new URLSearchParams({
+            'hub.callback': subscription.callbackUrl,
+            'hub.mode': mode,
+            'hub.topic': subscription.topic,
+            'hub.verify': 'async'
+        });
+
+        if (mode === 'subscribe') {
+            form.set('hub.lease_seconds', String(subscription.leaseSeconds || this.leaseSeconds));
+            if (subscription.secret) form.set('hub.secret', subscription.secret);
+        }
+
+        try {
+            const response = await axios.post(subscription.hubUrl || this.hubUrl, form.toString(), {
+                timeout: this.timeout,
+                validateStatus: () => true,
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return { ok: true, status: response.status };
+            }
+
+            const detail = typeof response.data === 'string' ? response.data.trim().slice(0, 200) : '';
+            return { ok: false, status: response.status, error: `Hub returned ${response.status}${detail ? `: ${detail}` : ''}` };
+        } catch (error) {
+            return { ok: false, status: null, error: error.message };
+        }
+    }
+
+    // Subscription for a callback; another instance may have created it, so fall back to storage
+    async findByChannelId(channelId) {
+        for (const subscription of this.subscriptions.values()) {
+            if (subscription.channelId === channelId) return subscription;
+        }
+
+        const result = await getWebSubSubscriptions({ channelId });
+        const stored = result.subscriptions[0];
+        if (stored) {
+            this.subscriptions.set(stored.channelHandle, stored);
+        }
+        return stored || null;
+    }
+
+    // Hub verification of intent (GET on the callback). Returns the status and body to send back.
+    async handleVerification(channelId, query) {
+        const mode = query['hub.mode'];
+        const topic = query['hub.topic'];
+        const subscription = await this.findByChannelId(channelId);
+
+        if (mode === 'denied') {
+            if (subscription) {
+                console.error(`❌ WebSub subscription denied for ${subscription.channelHandle}: ${query['hub.reason'] || 'no reason given'}`);
+                await this.save(subscription.channelHandle, { status: 'denied', lastError: query['hub.reason'] || 'Subscription denied by hub' });
+            }
+            return { status: 200, body: '' };
+        }
+
+        if (!query['hub.challenge'] || topic !== getTopicUrl(channelId)) {
+            return { status: 404, body: 'Unknown topic' };
+        }
+
+        if (mode === 'subscribe') {
+            if (!subscription || subscription.status === 'unsubscribing') {
+                return { status: 404, body: 'No pending subscription' };
+            }
+
+            const leaseSeconds = parseInt(query['hub.lease_seconds']) || subscription.leaseSeconds || this.leaseSeconds;
+            await this.save(subscription.channelHandle, {
+                status: 'active',
+                leaseSeconds,
+                expiresAt: new Date(Date.now() + leaseSeconds * 1000).toISOString(),
+                lastError: null
+            });
+
+            console.log(`✅ WebSub subscription verified for ${subscription.channelHandle} (lease ${Math.round(leaseSeconds / 3600)}h)`);
+            return { status: 200, body: query['hub.challenge'] };
+        }
+
+        if (mode === 'unsubscribe') {
+            // Only confirm unsubscribes we asked for; a stale one must not cancel a fresh subscription
+            if (subscription && subscription.status !== 'unsubscribing') {
+                return { status: 404, body: 'Subscription is still wanted' };
+            }
+
+            if (subscription) {
+                this.subscriptions.delete(subscription.channelHandle);
+                await removeWebSubSubscription(subscription.channelHandle);
+                console.log(`✅ WebSub unsubscribe verified for ${subscription.channelHandle}`);
+            }
+            return { status: 200, body: query['hub.challenge'] };
+        }
+
+        return { status: 400, body: 'Unsupported hub.mode' };
+    }
+
+    // Content distribution (POST on the callback). Returns the new uploads for the channel.
+    async handleNotification(channelId, rawBody, headers = {}) {
+        const subscription = await this.findByChannelId(channelId);
+
+        if (!subscription) {
+            return { accepted: false, reason: 'unknown_subscription', uploads: [] };
+        }
+
+        if (subscription.secret && !verifyHubSignature(subscription.secret, rawBody, headers['x-hub-signature'])) {
+            console.warn(`⚠️ Ignoring WebSub notification for ${subscription.channelHandle}: bad signature`);
+            return { accepted: false, reason: 'invalid_signature', channelHandle: subscription.channelHandle, uploads: [] };
+        }
+
+        const { entries, deleted } = parseAtomNotification(rawBody);
+        const now = Date.now();
+        const uploads = entries.filter(entry => {
+            if (entry.channelId && entry.channelId !== channelId) return false;
+            const published = Date.parse(entry.publishedAt);
+            return !isNaN(published) && now - published <= this.maxUploadAge;
+        });
+
+        await this.save(subscription.channelHandle, { lastNotificationAt: new Date().toISOString() });
+
+        console.log(`📬 WebSub notification for ${subscription.channelHandle}: ${uploads.length} upload(s), ${entries.length - uploads.length} edit(s), ${deleted.length} deletion(s)`);
+        return { accepted: true, channelHandle: subscription.channelHandle, uploads, edits: entries.length - uploads.length, deleted };
+    }
+
+    // Renew leases that are about to run out and retry subscriptions the hub never confirmed
+    async renewDue() {
+        const now = Date.now();
+        let renewed = 0;
+
+        for (const subscription of [...this.subscriptions.values()]) {
+            const expiresAt = subscription.expiresAt ? Date.parse(subscription.expiresAt) : 0;
+            const lastChange = Date.parse(subscription.updatedAt) || 0;
+
+            const due =
+                (subscription.status === 'active' && expiresAt - now <= this.renewBefore) ||
+                (['pending', 'failed'].includes(subscription.status) && now - lastChange >= this.verifyTimeout);
+
+            if (due) {
+                const result = await this.subscribe(subscription.channelHandle, subscription.channelId);
+                if (result.success) renewed++;
+            }
+        }
+
+        if (renewed > 0) {
+            console.log(`🔄 Renewed ${renewed} WebSub subscription(s)`);
+        }
+        return { renewed };
+    }
+
+    async save(channelHandle, changes) {
+        const current = this.subscriptions.get(channelHandle) || { channelHandle };
+        const updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        this.subscriptions.set(channelHandle, updated);
+
+        const result = await saveWebSubSubscription(channelHandle, changes);
+        if (result.success) {
+            this.subscriptions.set(channelHandle, result.subscription);
+            return result.subscription;
+        }
+        return updated;
+    }
+}
+
+export default WebSubManager;
@@ -0,0 +1,563 @@
+import axios from 'axios';
+import { ChannelIdCache, lookupChannelId, normalizeHandle } from './channelResolver.js';
+import { getUploadsPlaylistId, toVideoDetails } from './videoDetails.js';
+
+// Everything the monitor and the HTTP routes learn from YouTube goes through here. Each lookup
+// uses the Data API when a key and quota are available and scrapes the channel pages otherwise;
+// both paths return the same shapes:
+//
+//   LiveStatus      { isLive, liveUrl, title, thumbnail, videoId, streams: [LiveStream], method, failed? }
+//   LiveStream      { videoId, liveUrl, title, thumbnail }
+//   VideoList       { success, videos | shorts: [ListedVideo], channel, method }
+//   ListedVideo     { videoId, title, thumbnail, publishedAt, publishedTime, url, viewCount, duration, ... }
+//   UpcomingList    { success, upcoming: [UpcomingStream], channel, method }
+//   UpcomingStream  { videoId, title, url, thumbnail, scheduledStartTime, isPremiere }
+//
+// `method` is 'api' or 'fallback'. The contract tests in test/ check both paths against fixtures.
+
+// Live streams one check can report for a channel (search.list costs the same for 1 or 50)
+export const MAX_CONCURRENT_STREAMS = 10;
+// Deep enough that a stream scheduled days ahead stays visible after a few more uploads
+export const UPLOADS_PAGE_SIZE = 25;
+// Videos and shorts checks in the same cycle share one uploads fetch
+const UPLOADS_REUSE_WINDOW = 10 * 1000;
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Live check result: every concurrent stream, with the first one also at the top level
+export function toLiveStatus(streams, method) {
+    if (streams.length === 0) {
+        return { isLive: false, liveUrl: null, streams: [], method: method };
+    }
+
+    const [first] = streams;
+    return {
+        isLive: true,
+        liveUrl: first.liveUrl,
+        title: first.title,
+        thumbnail: first.thumbnail,
+        videoId: first.videoId,
+        streams: streams,
+        method: method
+    };
+}
+
+// Shape used by the notification handlers
+export function toListedVideo(video) {
+    return {
+        videoId: video.videoId,
+        title: video.title,
+        thumbnail: video.thumbnail,
+        publishedAt: new Date(video.publishedAt).toLocaleDateString(),
+        publishedTime: video.publishedAt,
+        url: video.url,
+        viewCount: video.viewCount !== null ? video.viewCount.toLocaleString() : 'N/A',
+        duration: video.duration,
+        durationSeconds: video.durationSeconds,
+        liveBroadcastContent: video.liveBroadcastContent
+    };
+}
+
+export function toUpcomingStream(video) {
+    const scheduledStartTime = video.liveStreamingDetails?.scheduledStartTime;
+
+    return {
+        videoId: video.videoId,
+        title: video.title,
+        url: `https://www.youtube.com/watch?v=${video.videoId}`,
+        thumbnail: video.thumbnail,
+        // Same format as scraped start times, so switching paths doesn't look like a reschedule
+        scheduledStartTime: scheduledStartTime ? new Date(scheduledStartTime).toISOString() : null,
+        // A premiere is an uploaded file with a duration; a scheduled live stream has none yet
+        isPremiere: (video.durationSeconds || 0) > 0
+    };
+}
+
+export function formatStartTime(isoTime) {
+    return isoTime ? new Date(isoTime).toUTCString() : 'TBA';
+}
+
+function byStartTime(a, b) {
+    return (Date.parse(a.scheduledStartTime) || Infinity) - (Date.parse(b.scheduledStartTime) || Infinity);
+}
+
+function decodeTitle(match, fallback) {
+    return match ? JSON.parse(`"${match[1]}"`) : fallback;
+}
+
+// Streams on a channel page carrying a LIVE NOW badge
+export function parseLiveStreams(html) {
+    const streams = [];
+
+    for (const chunk of html.split(/"(?:videoRenderer|gridVideoRenderer)":\{/).slice(1)) {
+        const videoIdMatch = chunk.match(/^"videoId":"([\w-]{11})"/);
+        if (!videoIdMatch || !chunk.includes('BADGE_STYLE_TYPE_LIVE_NOW')) continue;
+        if (streams.some(stream => stream.videoId === videoIdMatch[1])) continue;
+
+        streams.push({
+            videoId: videoIdMatch[1],
+            liveUrl: `https://www.youtube.com/watch?v=${videoIdMatch[1]}`,
+            title: decodeTitle(chunk.match(/"title":\{"runs":\[\{"text":"((?:[^"\\]|\\.)*)"/), 'Live Stream'),
+            thumbnail: `https://img.youtube.com/vi/${videoIdMatch[1]}/default.jpg`
+        });
+    }
+
+    if (streams.length > 0) return streams;
+
+    // Older page layouts: look for any live stream indicator
+    const livePatterns = [
+        /"isLiveContent":true.*?"videoId":"([^"]+)"/,
+        /"isLive":true.*?"videoId":"([^"]+)"/,
+        /watching now.*?"videoId":"([^"]+)"/i,
+        /"LIVE".*?"videoId":"([^"]+)"/,
+        /"badges":\[{"metadataBadgeRenderer":{"style":"BADGE_STYLE_TYPE_LIVE_NOW".*?"videoId":"([^"]+)"/
+    ];
+
+    for (const pattern of livePatterns) {
+        const match = html.match(pattern);
+        if (match) {
+            const videoId = match[1];
+            const titleMatch = html.match(new RegExp(`"videoId":"${videoId}".*?"title":"([^"]+)"`));
+
+            return [{
+                videoId,
+                liveUrl: `https://www.youtube.com/watch?v=${videoId}`,
+                title: titleMatch ? titleMatch[1] : 'Live Stream',
+                thumbnail: `https://img.youtube.com/vi/${videoId}/default.jpg`
+            }];
+        }
+    }
+
+    return [];
+}
+
+// Video IDs on a /videos or /shorts tab, in page order
+export function parseVideoIds(html, maxResults) {
+    const videoIds = [];
+    const videoPattern = /"videoId":"([^"]+)"/g;
+    let match;
+
+    while ((match = videoPattern.exec(html)) !== null && videoIds.length < maxResults) {
+        if (!videoIds.includes(match[1])) {
+            videoIds.push(match[1]);
+        }
+    }
+
+    return videoIds;
+}
+
+// Scheduled streams on a /streams tab: videoRenderers carrying upcomingEventData, soonest first
+export function parseUpcomingStreams(html) {
+    const upcoming = [];
+
+    for (const chunk of html.split('"videoRenderer":{').slice(1)) {
+        const videoIdMatch = chunk.match(/^"videoId":"([\w-]{11})"/);
+        const startMatch = chunk.match(/"upcomingEventData":\{"startTime":"(\d+)"/);
+        if (!videoIdMatch || !startMatch) continue;
+
+        const videoId = videoIdMatch[1];
+        if (upcoming.some(stream => stream.videoId === videoId)) continue;
+
+        upcoming.push({
+            videoId: videoId,
+            title: decodeTitle(chunk.match(/"title":\{"runs":\[\{"text":"((?:[^"\\]|\\.)*)"/), 'Upcoming Stream'),
+            url: `https://www.youtube.com/watch?v=${videoId}`,
+            thumbnail: `https://img.youtube.com/vi/${videoId}/default.jpg`,
+            scheduledStartTime: new Date(parseInt(startMatch[1]) * 1000).toISOString(),
+            isPremiere: false
+        });
+    }
+
+    return upcoming.sort(byStartTime);
+}
+
+// Listed video for a scraped ID; scraping gives no title, date or view count
+function toScrapedVideo(videoId, kind) {
+    return {
+        videoId: videoId,
+        title: kind === 'short' ? 'Recent Short' : 'Recent Video',
+        thumbnail: `https://img.youtube.com/vi/${videoId}/default.jpg`,
+        publishedAt: 'Recent',
+        url: kind === 'short' ? `https://www.youtube.com/shorts/${videoId}` : `https://www.youtube.com/watch?v=${videoId}`,
+        viewCount: 'N/A'
+    };
+}
+
+class YouTubeProvider {
+    // Options (all optional; the defaults talk to YouTube directly):
+    //   apiKey                               YouTube Data API key (YOUTUBE_API_KEY)
+    //   apiGet(method, params, handle)       performs a Data API request, e.g. with quota accounting
+    //   canSpend(method)                     whether the quota budget allows another call of `method`
+    //   resolveChannelId(handle)             handle → channel ID, e.g. backed by storage
+    //   forgetChannelId(handle, error)       called when the API rejects a channel ID
+    //   http                                 axios-compatible client for page scraping
+    constructor(options = {}) {
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.YOUTUBE_API_KEY;
+        this.http = options.http || axios;
+        this.apiGet = options.apiGet || ((method, params) => this.http.get(`https://www.googleapis.com/youtube/v3/${method.split('.')[0]}`, {
+            params: { ...params, key: this.apiKey },
+            timeout: 15000
+        }));
+        this.canSpend = options.canSpend || (() => true);
+        this.forgetChannelId = options.forgetChannelId || (async () => {});
+
+        this.channelIds = new ChannelIdCache();
+        this.resolveChannelId = options.resolveChannelId || (async handle => {
+            const cached = this.channelIds.get(handle);
+            if (cached) return cached;
+
+            const channelId = await lookupChannelId(handle, {
+                apiGet: this.canUseApi('channels.list') ? (method, params) => this.apiGet(method, params, handle) : undefined
+            });
+            this.channelIds.set(handle, channelId);
+            return channelId;
+        });
+
+        this.recentUploads = new Map(); // channelHandle -> { fetchedAt, maxResults, uploads }
+    }
+
+    canUseApi(method) {
+        return !!this.apiKey && this.canSpend(method);
+    }
+
+    canUseUploadsApi() {
+        return this.canUseApi('playlistItems.list') && this.canUseApi('videos.list');
+    }
+
+    async fetchPage(channelHandle, tab = '') {
+        const response = await this.http.get(`https://www.youtube.com/${normalizeHandle(channelHandle)}${tab}`, {
+            timeout: 15000,
+            headers: {
+                'User-Agent': BROWSER_USER_AGENT
+            }
+        });
+
+        return response.data;
+    }
+
+    // LiveStatus for a channel
+    async checkLive(channelHandle) {
+        try {
+            if (!this.apiKey) {
+                console.log(`⚠️  No YouTube API key found for ${channelHandle}, using fallback method`);
+                return await this.checkLiveFallback(channelHandle);
+            }
+
+            if (!this.canSpend('search.list')) {
+                console.log(`⚠️  YouTube API quota budget reached, using fallback method for ${channelHandle}`);
+                return await this.checkLiveFallback(channelHandle);
+            }
+
+            console.log(`🔍 Using YouTube API to check live status for ${channelHandle}...`);
+            const channelId = await this.resolveChannelId(channelHandle);
+
+            // Search for live streams from this channel; a channel can run several at once
+            const searchResponse = await this.apiGet('search.list', {
+                part: 'snippet',
+                channelId: channelId,
+                eventType: 'live',
+                type: 'video',
+                maxResults: MAX_CONCURRENT_STREAMS
+            }, channelHandle);
+
+            const streams = (searchResponse.data.items || []).map(item => ({
+                videoId: item.id.videoId,
+                liveUrl: `https://www.youtube.com/watch?v=${item.id.videoId}`,
+                title: item.snippet.title,
+                thumbnail: item.snippet.thumbnails?.default?.url
+            }));
+
+            if (streams.length > 0) {
+                console.log(`🎥 Found ${streams.length} live stream(s) for ${channelHandle}: ${streams.map(stream => stream.title).join(', ')}`);
+            } else {
+                console.log(`📺 No live streams found via API for ${channelHandle}`);
+            }
+
+            return toLiveStatus(streams, 'api');
+
+        } catch (error) {
+            console.error(`❌ YouTube API failed for ${channelHandle}:`, error.message);
+            await this.forgetChannelId(channelHandle, error);
+            console.log(`🔄 Trying fallback method for ${channelHandle}...`);
+            return await this.checkLiveFallback(channelHandle);
+        }
+    }
+
+    async checkLiveFallback(channelHandle) {
+        try {
+            console.log(`🔍 Using fallback method to check live status for ${channelHandle}...`);
+
+            const streams = parseLiveStreams(await this.fetchPage(channelHandle));
+
+            if (streams.length > 0) {
+                console.log(`🎥 Found ${streams.length} live stream(s) via fallback for ${channelHandle}`);
+            } else {
+                console.log(`📺 No live streams found via fallback for ${channelHandle}`);
+            }
+
+            return toLiveStatus(streams, 'fallback');
+
+        } catch (error) {
+            console.error(`❌ Fallback method failed for ${channelHandle}:`, error.message);
+            // `failed` tells the monitor this says nothing about whether the channel is live
+            return { ...toLiveStatus([], 'fallback'), failed: true };
+        }
+    }
+
+    // Newest uploads with full details: the uploads playlist plus one videos.list batch (2 units)
+    async getRecentUploads(channelHandle, maxResults = UPLOADS_PAGE_SIZE) {
+        const reused = this.recentUploads.get(channelHandle);
+        if (reused && reused.maxResults >= maxResults && Date.now() - reused.fetchedAt < UPLOADS_REUSE_WINDOW) {
+            return reused.uploads;
+        }
+
+        const channelId = await this.resolveChannelId(channelHandle);
+
+        const playlistResponse = await this.apiGet('playlistItems.list', {
+            part: 'contentDetails',
+            playlistId: getUploadsPlaylistId(channelId),
+            maxResults: maxResults
+        }, channelHandle);
+
+        const videoIds = (playlistResponse.data.items || []).map(item => item.contentDetails.videoId);
+        const uploads = (await this.getVideoDetails(videoIds, channelHandle))
+            .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+
+        this.recentUploads.set(channelHandle, { fetchedAt: Date.now(), maxResults, uploads });
+        return uploads;
+    }
+
+    // Details for up to 50 videos in one videos.list call (1 unit)
+    async getVideoDetails(videoIds, channelHandle) {
+        if (videoIds.length === 0) return [];
+
+        const response = await this.apiGet('videos.list', {
+            part: 'snippet,contentDetails,statistics,liveStreamingDetails,player',
+            id: videoIds.slice(0, 50).join(','),
+            // Player dimensions (for the Shorts aspect check) are only returned with a size hint
+            maxHeight: 720
+        }, channelHandle);
+
+        return (response.data.items || []).map(toVideoDetails);
+    }
+
+    // Regular uploads; shorts, premieres and streams are left out
+    async getLatestVideos(channelHandle, maxResults = 10) {
+        return await this.getLatestUploads(channelHandle, 'video', maxResults);
+    }
+
+    // Shorts, classified by duration and aspect ratio
+    async getLatestShorts(channelHandle, maxResults = 10) {
+        return await this.getLatestUploads(channelHandle, 'short', maxResults);
+    }
+
+    async getLatestUploads(channelHandle, kind, maxResults) {
+        const listKey = kind === 'short' ? 'shorts' : 'videos';
+
+        try {
+            if (!this.canUseUploadsApi()) {
+                return await this.getLatestUploadsFallback(channelHandle, kind, maxResults);
+            }
+
+            console.log(`🔍 Getting latest ${listKey} for ${channelHandle}...`);
+            const uploads = await this.getRecentUploads(channelHandle, Math.max(maxResults, UPLOADS_PAGE_SIZE));
+
+            return {
+                success: true,
+                [listKey]: uploads
+                    .filter(video => video.kind === kind)
+                    .slice(0, maxResults)
+                    .map(toListedVideo),
+                channel: channelHandle,
+                method: 'api'
+            };
+
+        } catch (error) {
+            console.error(`❌ Error getting ${listKey} for ${channelHandle}:`, error.message);
+            await this.forgetChannelId(channelHandle, error);
+            return await this.getLatestUploadsFallback(channelHandle, kind, maxResults);
+        }
+    }
+
+    async getLatestUploadsFallback(channelHandle, kind, maxResults) {
+        const listKey = kind === 'short' ? 'shorts' : 'videos';
+
+        try {
+            console.log(`🔍 Using fallback method to get ${listKey} for ${channelHandle}...`);
+
+            const html = await this.fetchPage(channelHandle, `/${listKey}`);
+
+            return {
+                success: true,
+                [listKey]: parseVideoIds(html, maxResults).map(videoId => toScrapedVideo(videoId, kind)),
+                channel: channelHandle,
+                method: 'fallback'
+            };
+
+        } catch (error) {
+            console.error(`❌ Fallback ${listKey} method failed for ${channelHandle}:`, error.message);
+            return { success: false, [listKey]: [], channel: channelHandle, method: 'fallback' };
+        }
+    }
+
+    // Scheduled live streams and premieres, soonest first
+    async getUpcomingStreams(channelHandle) {
+        try {
+            if (!this.canUseUploadsApi()) {
+                return await this.getUpcomingStreamsFallback(channelHandle);
+            }
+
+            console.log(`🔍 Getting upcoming streams for ${channelHandle}...`);
+            const uploads = await this.getRecentUploads(channelHandle, UPLOADS_PAGE_SIZE);
+
+            return {
+                success: true,
+                upcoming: uploads
+                    .filter(video => video.kind === 'upcoming')
+                    .map(toUpcomingStream)
+                    .sort(byStartTime),
+                channel: channelHandle,
+                method: 'api'
+            };
+
+        } catch (error) {
+            console.error(`❌ Error getting upcoming streams for ${channelHandle}:`, error.message);
+            await this.forgetChannelId(channelHandle, error);
+            return await this.getUpcomingStreamsFallback(channelHandle);
+        }
+    }
+
+    async getUpcomingStreamsFallback(channelHandle) {
+        try {
+            console.log(`🔍 Using fallback method to get upcoming streams for ${channelHandle}...`);
+
+            return {
+                success: true,
+                upcoming: parseUpcomingStreams(await this.fetchPage(channelHandle, '/streams')),
+                channel: channelHandle,
+                method: 'fallback'
+            };
+
+        } catch (error) {
+            console.error(`❌ Fallback upcoming method failed for ${channelHandle}:`, error.message);
+            return { success: false, upcoming: [], channel: channelHandle, method: 'fallback' };
+        }
+    }
+
+    // Why tracked streams left the upcoming list. Map of videoId -> { outcome, stream } where outcome is
+    // 'upcoming' (still scheduled, just not in the list), 'started', 'cancelled' or 'pending' (can't tell yet).
+    async resolveMissingUpcoming(channelHandle, entries, isLiveNow) {
+        const outcomes = new Map();
+
+        if (this.canUseUploadsApi()) {
+            try {
+                const details = await this.getVideoDetails(entries.map(entry => entry.videoId), channelHandle);
+                const byId = new Map(details.map(video => [video.videoId, video]));
+
+                for (const entry of entries) {
+                    const video = byId.get(entry.videoId);
+
+                    if (!video) {
+                        // Deleted or made private
+                        outcomes.set(entry.videoId, { outcome: 'cancelled' });
+                    } else if (video.kind === 'upcoming') {
+                        outcomes.set(entry.videoId, { outcome: 'upcoming', stream: toUpcomingStream(video) });
+                    } else if (video.kind === 'live' || video.liveStreamingDetails?.actualStartTime) {
+                        outcomes.set(entry.videoId, { outcome: 'started' });
+                    } else {
+                        outcomes.set(entry.videoId, { outcome: 'cancelled' });
+                    }
+                }
+
+                return outcomes;
+            } catch (error) {
+                console.error(`⚠️ Could not look up missing upcoming streams for ${channelHandle}:`, error.message);
+            }
+        }
+
+        // Scraped: judge by the scheduled time and whether the channel is live now
+        const now = Date.now();
+        for (const entry of entries) {
+            const start = Date.parse(entry.scheduledStartTime);
+
+            if (isNaN(start) || now < start - 10 * 60 * 1000) {
+                outcomes.set(entry.videoId, { outcome: 'cancelled' });
+            } else if (isLiveNow) {
+                outcomes.set(entry.videoId, { outcome: 'started' });
+            } else if (now > start + 2 * 60 * 60 * 1000) {
+                outcomes.set(entry.videoId, { outcome: 'cancelled' });
+            } else {
+                outcomes.set(entry.videoId, { outcome: 'pending' });
+            }
+        }
+
+        return outcomes;
+    }
+
+    // Shorts open on /shorts/<id>; regular videos get redirected to /watch
+    async isShort(videoId) {
+        try {
+            const response = await this.http.head(`https://www.youtube.com/shorts/${videoId}`, {
+                timeout: 10000,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    'User-Agent': BROWSER_USER_AGENT
+                }
+            });
+
+            return response.status === 200;
+        } catch (error) {
+            console.error(`⚠️ Could not classify ${videoId} as short or video:`, error.message);
+            return false;
+        }
+    }
+
+    // Channel title, description and counts (basic details without the API)
+    async getChannelInfo(channelHandle) {
+        const url = `https://www.youtube.com/${channelHandle}`;
+
+        try {
+            if (!this.canUseApi('channels.list')) {
+                return {
+                    handle: channelHandle,
+                    url: url,
+                    method: 'basic'
+                };
+            }
+
+            const channelId = await this.resolveChannelId(channelHandle);
+
+            const response = await this.apiGet('channels.list', {
+                part: 'snippet,statistics',
+                id: channelId
+            }, channelHandle);
+
+            const channel = response.data.items?.[0];
+            if (!channel) {
+                throw new Error('Channel information not found');
+            }
+
+            return {
+                handle: channelHandle,
+                channelId: channelId,
+                title: channel.snippet.title,
+                description: channel.snippet.description,
+                subscriberCount: channel.statistics.subscriberCount,
+                videoCount: channel.statistics.videoCount,
+                thumbnail: channel.snippet.thumbnails?.default?.url,
+                url: url,
+                method: 'api'
+            };
+        } catch (error) {
+            console.error(`❌ Error getting channel info for ${channelHandle}:`, error.message);
+            return {
+                handle: channelHandle,
+                url: url,
+                error: error.message
+            };
+        }
+    }
+}
+
+export default YouTubeProvider;
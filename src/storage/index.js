@@ -0,0 +1,63 @@
+import os from 'os';
+import path from 'path';
+
+export const STORAGE_BACKENDS = ['supabase', 'sqlite', 'memory'];
+
+// STORAGE_BACKEND picks the adapter explicitly; otherwise use Supabase when it is configured
+// and fall back to a local SQLite file so the monitor still runs without it.
+export function resolveStorageBackend(env = process.env) {
+    const requested = env.STORAGE_BACKEND?.trim().toLowerCase();
+
+    if (requested) {
+        if (!STORAGE_BACKENDS.includes(requested)) {
+            throw new Error(`Unknown STORAGE_BACKEND "${requested}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+        }
+        return requested;
+    }
+
+    return env.SUPABASE_URL ? 'supabase' : 'sqlite';
+}
+
+// Adapters are loaded lazily so a backend's dependencies are only needed when it is selected
+export async function createStorage(env = process.env) {
+    const backend = resolveStorageBackend(env);
+
+    switch (backend) {
+        case 'supabase': {
+            if (!env.SUPABASE_URL) {
+                throw new Error('SUPABASE_URL environment variable is missing');
+            }
+            if (!env.SUPABASE_SERVICE_ROLE_KEY) {
+                throw new Error('SUPABASE_SERVICE_ROLE_KEY environment variable is missing');
+            }
+
+            const { default: SupabaseAdapter } = await import('./supabaseAdapter.js');
+            return new SupabaseAdapter(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+        }
+
+        case 'sqlite': {
+            // The deployment directory is read-only on Vercel; only /tmp can be written there
+            const defaultPath = env.VERCEL
+                ? path.join(os.tmpdir(), 'linkbite.db')
+                : path.join(process.cwd(), 'data', 'linkbite.db');
+
+            try {
+                const { default: SqliteAdapter } = await import('./sqliteAdapter.js');
+                return await SqliteAdapter.open(env.SQLITE_PATH || defaultPath);
+            } catch (error) {
+                // Asked for by name: don't quietly run without persistence
+                if (env.STORAGE_BACKEND) throw error;
+
+                // Default backend on a Node without node:sqlite (< 22.13) or without a writable disk
+                console.warn(`⚠️ SQLite storage unavailable (${error.message}); using in-memory storage, data will not persist`);
+                const { default: MemoryAdapter } = await import('./memoryAdapter.js');
+                return new MemoryAdapter();
+            }
+        }
+
+        case 'memory': {
+            const { default: MemoryAdapter } = await import('./memoryAdapter.js');
+            return new MemoryAdapter();
+        }
+    }
+}
@@ -0,0 +1,136 @@
+import { TABLES, getTable, getKeyColumns, withInsertDefaults } from './schema.js';
+
+// Filter operators understood by every adapter (names match the Supabase query builder)
+const OPERATORS = {
+    eq: (a, b) => a === b,
+    neq: (a, b) => a !== b,
+    gt: (a, b) => a !== null && a !== undefined && a > b,
+    gte: (a, b) => a !== null && a !== undefined && a >= b,
+    lt: (a, b) => a !== null && a !== undefined && a < b,
+    lte: (a, b) => a !== null && a !== undefined && a <= b,
+    in: (a, b) => b.includes(a)
+};
+
+export function matchesFilters(row, filters = []) {
+    return filters.every(([column, op, value]) => {
+        const compare = OPERATORS[op];
+        if (!compare) {
+            throw new Error(`Unsupported filter operator: ${op}`);
+        }
+        return compare(row[column], value);
+    });
+}
+
+export function sortRows(rows, order) {
+    if (!order) return rows;
+
+    const direction = order.ascending === false ? -1 : 1;
+    return rows.sort((a, b) => {
+        const left = a[order.column];
+        const right = b[order.column];
+        if (left === right) return 0;
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        return left > right ? direction : -direction;
+    });
+}
+
+// In-process storage, used for tests and throwaway local runs. Nothing survives a restart.
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.tables = new Map();
+        this.sequences = new Map();
+
+        for (const name of Object.keys(TABLES)) {
+            this.tables.set(name, []);
+            this.sequences.set(name, 0);
+        }
+    }
+
+    async testConnection() {
+        return { success: true, message: 'In-memory storage ready' };
+    }
+
+    async select(tableName, { filters = [], order, limit } = {}) {
+        getTable(tableName);
+
+        let rows = this.tables.get(tableName).filter(row => matchesFilters(row, filters));
+        rows = sortRows(rows, order);
+
+        if (limit) {
+            rows = rows.slice(0, limit);
+        }
+
+        return rows.map(row => structuredClone(row));
+    }
+
+    async insert(tableName, rows) {
+        const table = getTable(tableName);
+        const inserted = [];
+
+        for (const row of rows) {
+            const stored = withInsertDefaults(table, structuredClone(row));
+
+            if (table.autoIncrement && stored[table.key] === undefined) {
+                const next = this.sequences.get(tableName) + 1;
+                this.sequences.set(tableName, next);
+                stored[table.key] = next;
+            }
+
+            if (this.findByKey(tableName, stored)) {
+                throw new Error(`Duplicate key in ${tableName}`);
+            }
+
+            this.tables.get(tableName).push(stored);
+            inserted.push(structuredClone(stored));
+        }
+
+        return inserted;
+    }
+
+    async upsert(tableName, row) {
+        const existing = this.findByKey(tableName, row);
+
+        if (existing) {
+            Object.assign(existing, structuredClone(row));
+            return structuredClone(existing);
+        }
+
+        const [inserted] = await this.insert(tableName, [row]);
+        return inserted;
+    }
+
+    async update(tableName, filters, patch) {
+        getTable(tableName);
+
+        const updated = [];
+        for (const row of this.tables.get(tableName)) {
+            if (matchesFilters(row, filters)) {
+                Object.assign(row, structuredClone(patch));
+                updated.push(structuredClone(row));
+            }
+        }
+
+        return updated;
+    }
+
+    async delete(tableName, filters) {
+        getTable(tableName);
+
+        const rows = this.tables.get(tableName);
+        const kept = rows.filter(row => !matchesFilters(row, filters));
+        this.tables.set(tableName, kept);
+
+        return rows.length - kept.length;
+    }
+
+    findByKey(tableName, row) {
+        const keyColumns = getKeyColumns(getTable(tableName));
+        return this.tables.get(tableName).find(existing =>
+            keyColumns.every(column => existing[column] === row[column])
+        );
+    }
+}
+
+export default MemoryAdapter;
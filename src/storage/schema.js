@@ -0,0 +1,222 @@
+// Table definitions shared by every storage adapter.
+// Column types: text, integer, real, boolean, json (objects/arrays), timestamp (ISO-8601 string).
+// `key` is the primary/upsert key; `autoIncrement` tables get a numeric id assigned on insert.
+// Keep supabase_setup.sql in sync when changing anything here.
+
+export const TABLES = {
+    monitoring_channels: {
+        key: 'channel_handle',
+        columns: {
+            channel_handle: 'text',
+            channel_id: 'text',
+            webhook_url: 'text',
+            destinations: 'json',
+            content_types: 'json',
+            templates: 'json',
+            detection_mode: 'text',
+            settings: 'json',
+            monitor_interval: 'integer',
+            last_known_states: 'json',
+            last_checked_at: 'timestamp',
+            consecutive_errors: 'integer',
+            health: 'text',
+            error_reason: 'text',
+            degraded_at: 'timestamp',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    monitoring_events: {
+        key: 'id',
+        autoIncrement: true,
+        columns: {
+            id: 'integer',
+            channel_handle: 'text',
+            event_type: 'text',
+            event_data: 'json',
+            created_at: 'timestamp'
+        }
+    },
+
+    webhook_deliveries: {
+        key: 'id',
+        autoIncrement: true,
+        columns: {
+            id: 'integer',
+            event_id: 'text',
+            channel_handle: 'text',
+            webhook_url: 'text',
+            destination: 'json',
+            event_type: 'text',
+            payload: 'json',
+            status: 'text',
+            attempts: 'integer',
+            next_attempt_at: 'timestamp',
+            last_status: 'integer',
+            last_error: 'text',
+            delivered_at: 'timestamp',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    websub_subscriptions: {
+        key: 'channel_handle',
+        columns: {
+            channel_handle: 'text',
+            channel_id: 'text',
+            topic: 'text',
+            hub_url: 'text',
+            callback_url: 'text',
+            secret: 'text',
+            status: 'text',
+            lease_seconds: 'integer',
+            expires_at: 'timestamp',
+            last_error: 'text',
+            last_notification_at: 'timestamp',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    // Daily YouTube Data API usage; usage_date is the Pacific-time day the quota resets on
+    api_quota_usage: {
+        key: ['usage_date', 'channel_handle', 'method'],
+        columns: {
+            usage_date: 'text',
+            channel_handle: 'text',
+            method: 'text',
+            units: 'integer',
+            calls: 'integer',
+            updated_at: 'timestamp'
+        }
+    },
+
+    // One row per live stream, built from viewer samples taken while it runs
+    stream_records: {
+        key: 'video_id',
+        columns: {
+            video_id: 'text',
+            channel_handle: 'text',
+            title: 'text',
+            status: 'text',
+            scheduled_start_time: 'timestamp',
+            started_at: 'timestamp',
+            ended_at: 'timestamp',
+            duration_seconds: 'integer',
+            peak_viewers: 'integer',
+            average_viewers: 'integer',
+            sample_count: 'integer',
+            viewer_total: 'integer',
+            title_changes: 'json',
+            samples: 'json',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    // Built-in shortener: /s/:code redirects to url
+    short_links: {
+        key: 'code',
+        columns: {
+            code: 'text',
+            url: 'text',
+            channel_handle: 'text',
+            video_id: 'text',
+            event: 'text',
+            title: 'text',
+            custom: 'boolean',
+            expires_at: 'timestamp',
+            max_clicks: 'integer',
+            retired_at: 'timestamp',
+            clicks: 'integer',
+            last_clicked_at: 'timestamp',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    link_clicks: {
+        key: 'id',
+        autoIncrement: true,
+        columns: {
+            id: 'integer',
+            code: 'text',
+            visitor_hash: 'text',
+            referrer: 'text',
+            user_agent: 'text',
+            created_at: 'timestamp'
+        }
+    },
+
+    // External shortener results, so a URL is only sent to a provider once
+    shortened_urls: {
+        key: 'long_url',
+        columns: {
+            long_url: 'text',
+            short_url: 'text',
+            service: 'text',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    },
+
+    check_leases: {
+        key: 'channel_handle',
+        columns: {
+            channel_handle: 'text',
+            holder: 'text',
+            acquired_at: 'timestamp',
+            expires_at: 'timestamp'
+        }
+    },
+
+    notification_keys: {
+        key: 'dedup_key',
+        columns: {
+            dedup_key: 'text',
+            channel_handle: 'text',
+            event_type: 'text',
+            created_at: 'timestamp'
+        }
+    },
+
+    app_secrets: {
+        key: 'name',
+        columns: {
+            name: 'text',
+            value: 'text',
+            created_at: 'timestamp'
+        }
+    }
+};
+
+// Columns that get the current time when a row is inserted without them
+export const DEFAULT_NOW_COLUMNS = ['created_at', 'updated_at'];
+
+export function getTable(name) {
+    const table = TABLES[name];
+    if (!table) {
+        throw new Error(`Unknown table: ${name}`);
+    }
+    return table;
+}
+
+export function getKeyColumns(table) {
+    return Array.isArray(table.key) ? table.key : [table.key];
+}
+
+// Fill in auto timestamps for a row that is about to be inserted
+export function withInsertDefaults(table, row) {
+    const now = new Date().toISOString();
+    const filled = { ...row };
+
+    for (const column of DEFAULT_NOW_COLUMNS) {
+        if (table.columns[column] && filled[column] === undefined) {
+            filled[column] = now;
+        }
+    }
+
+    return filled;
+}
@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { TABLES, getTable, getKeyColumns, withInsertDefaults } from './schema.js';
+
+const COLUMN_TYPES = {
+    text: 'TEXT',
+    timestamp: 'TEXT',
+    json: 'TEXT',
+    integer: 'INTEGER',
+    boolean: 'INTEGER',
+    real: 'REAL'
+};
+
+const SQL_OPERATORS = {
+    eq: '=',
+    neq: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+function quote(identifier) {
+    return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+// Local single-file storage built on Node's bundled SQLite. node:sqlite ships unflagged from
+// Node 22.13 (earlier 22.x need --experimental-sqlite, Node 20 and older don't have it), so it is
+// imported when an adapter is opened rather than when this module loads.
+class SqliteAdapter {
+    static async open(filePath) {
+        const { DatabaseSync } = await import('node:sqlite');
+        return new SqliteAdapter(filePath, DatabaseSync);
+    }
+
+    constructor(filePath, DatabaseSync) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        this.db = new DatabaseSync(filePath);
+        // Other processes may share the file (an old and a new server, a cron tick); wait for their locks
+        this.db.exec('PRAGMA busy_timeout = 5000');
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.createTables();
+    }
+
+    createTables() {
+        for (const [name, table] of Object.entries(TABLES)) {
+            const keyColumns = getKeyColumns(table);
+            const columns = Object.entries(table.columns).map(([column, type]) => {
+                if (table.autoIncrement && column === table.key) {
+                    return `${quote(column)} INTEGER PRIMARY KEY AUTOINCREMENT`;
+                }
+                return `${quote(column)} ${COLUMN_TYPES[type]}`;
+            });
+
+            if (!table.autoIncrement) {
+                columns.push(`PRIMARY KEY (${keyColumns.map(quote).join(', ')})`);
+            }
+
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${quote(name)} (${columns.join(', ')})`);
+
+            // Add columns introduced after the database file was first created
+            const existing = this.db.prepare(`PRAGMA table_info(${quote(name)})`).all().map(info => info.name);
+            for (const [column, type] of Object.entries(table.columns)) {
+                if (!existing.includes(column)) {
+                    this.db.exec(`ALTER TABLE ${quote(name)} ADD COLUMN ${quote(column)} ${COLUMN_TYPES[type]}`);
+                }
+            }
+        }
+    }
+
+    async testConnection() {
+        this.db.prepare('SELECT 1').get();
+        return { success: true, message: `SQLite database ready at ${this.filePath}` };
+    }
+
+    async select(tableName, { filters = [], order, limit } = {}) {
+        const table = getTable(tableName);
+        const where = this.buildWhere(table, filters);
+
+        let sql = `SELECT * FROM ${quote(tableName)}${where.sql}`;
+        if (order) {
+            this.assertColumn(table, order.column);
+            sql += ` ORDER BY ${quote(order.column)} ${order.ascending === false ? 'DESC' : 'ASC'}`;
+        }
+        if (limit) {
+            sql += ` LIMIT ${parseInt(limit)}`;
+        }
+
+        return this.db.prepare(sql).all(...where.params).map(row => this.deserialize(table, row));
+    }
+
+    async insert(tableName, rows) {
+        const table = getTable(tableName);
+
+        return rows.map(row => {
+            const stored = this.serialize(table, withInsertDefaults(table, row));
+            const columns = Object.keys(stored);
+
+            const sql = `INSERT INTO ${quote(tableName)} (${columns.map(quote).join(', ')}) ` +
+                `VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`;
+
+            return this.deserialize(table, this.db.prepare(sql).get(...Object.values(stored)));
+        });
+    }
+
+    async upsert(tableName, row) {
+        const table = getTable(tableName);
+        const keyColumns = getKeyColumns(table);
+        const stored = this.serialize(table, withInsertDefaults(table, row));
+        const columns = Object.keys(stored);
+        const updates = Object.keys(this.serialize(table, row)).filter(column => !keyColumns.includes(column));
+
+        const conflict = updates.length > 0
+            ? `DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`
+            : 'DO NOTHING';
+
+        const sql = `INSERT INTO ${quote(tableName)} (${columns.map(quote).join(', ')}) ` +
+            `VALUES (${columns.map(() => '?').join(', ')}) ` +
+            `ON CONFLICT (${keyColumns.map(quote).join(', ')}) ${conflict}`;
+
+        this.db.prepare(sql).run(...Object.values(stored));
+
+        const keyFilters = keyColumns.map(column => [column, 'eq', row[column]]);
+        const [saved] = await this.select(tableName, { filters: keyFilters, limit: 1 });
+        return saved;
+    }
+
+    async update(tableName, filters, patch) {
+        const table = getTable(tableName);
+        const stored = this.serialize(table, patch);
+        const columns = Object.keys(stored);
+        const where = this.buildWhere(table, filters);
+
+        const sql = `UPDATE ${quote(tableName)} SET ${columns.map(column => `${quote(column)} = ?`).join(', ')}` +
+            `${where.sql} RETURNING *`;
+
+        return this.db.prepare(sql).all(...Object.values(stored), ...where.params)
+            .map(row => this.deserialize(table, row));
+    }
+
+    async delete(tableName, filters) {
+        const table = getTable(tableName);
+        const where = this.buildWhere(table, filters);
+
+        const result = this.db.prepare(`DELETE FROM ${quote(tableName)}${where.sql}`).run(...where.params);
+        return Number(result.changes);
+    }
+
+    buildWhere(table, filters = []) {
+        const clauses = [];
+        const params = [];
+
+        for (const [column, op, value] of filters) {
+            this.assertColumn(table, column);
+            const type = table.columns[column];
+
+            if (op === 'in') {
+                if (value.length === 0) {
+                    clauses.push('0');
+                    continue;
+                }
+                clauses.push(`${quote(column)} IN (${value.map(() => '?').join(', ')})`);
+                params.push(...value.map(item => this.toSqlValue(type, item)));
+            } else if (value === null && (op === 'eq' || op === 'neq')) {
+                clauses.push(`${quote(column)} IS ${op === 'eq' ? '' : 'NOT '}NULL`);
+            } else if (SQL_OPERATORS[op]) {
+                clauses.push(`${quote(column)} ${SQL_OPERATORS[op]} ?`);
+                params.push(this.toSqlValue(type, value));
+            } else {
+                throw new Error(`Unsupported filter operator: ${op}`);
+            }
+        }
+
+        return {
+            sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    assertColumn(table, column) {
+        if (!table.columns[column]) {
+            throw new Error(`Unknown column: ${column}`);
+        }
+    }
+
+    toSqlValue(type, value) {
+        if (value === undefined || value === null) return null;
+        if (type === 'json') return JSON.stringify(value);
+        if (type === 'boolean') return value ? 1 : 0;
+        return value;
+    }
+
+    serialize(table, row) {
+        const stored = {};
+        for (const [column, value] of Object.entries(row)) {
+            if (value === undefined) continue;
+            this.assertColumn(table, column);
+            stored[column] = this.toSqlValue(table.columns[column], value);
+        }
+        return stored;
+    }
+
+    deserialize(table, row) {
+        const result = {};
+        for (const [column, type] of Object.entries(table.columns)) {
+            const value = row[column];
+            if (value === null || value === undefined) {
+                result[column] = null;
+            } else if (type === 'json') {
+                result[column] = JSON.parse(value);
+            } else if (type === 'boolean') {
+                result[column] = !!value;
+            } else {
+                result[column] = value;
+            }
+        }
+        return result;
+    }
+}
+
+export default SqliteAdapter;
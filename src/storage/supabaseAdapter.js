@@ -0,0 +1,93 @@
+import { createClient } from '@supabase/supabase-js';
+import { getTable, getKeyColumns } from './schema.js';
+
+function applyFilters(query, filters = []) {
+    for (const [column, op, value] of filters) {
+        if (value === null && op === 'eq') {
+            query = query.is(column, null);
+        } else if (value === null && op === 'neq') {
+            query = query.not(column, 'is', null);
+        } else {
+            query = query[op](column, value);
+        }
+    }
+    return query;
+}
+
+function unwrap({ data, error }) {
+    if (error) {
+        const wrapped = new Error(error.message);
+        wrapped.code = error.code;
+        throw wrapped;
+    }
+    return data;
+}
+
+// Hosted Postgres storage through Supabase (tables come from supabase_setup.sql)
+class SupabaseAdapter {
+    constructor(url, serviceRoleKey) {
+        this.name = 'supabase';
+        this.client = createClient(url, serviceRoleKey);
+    }
+
+    async testConnection() {
+        const { error } = await this.client
+            .from('monitoring_channels')
+            .select('count')
+            .limit(1);
+
+        if (error && error.code === 'PGRST116') {
+            // Table doesn't exist, but connection works
+            return { success: true, message: 'Connected but table needs to be created', missingTables: true };
+        } else if (error) {
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, message: 'Database connected successfully' };
+    }
+
+    async select(tableName, { filters = [], order, limit } = {}) {
+        getTable(tableName);
+
+        let query = applyFilters(this.client.from(tableName).select('*'), filters);
+        if (order) {
+            query = query.order(order.column, { ascending: order.ascending !== false });
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        return unwrap(await query) || [];
+    }
+
+    async insert(tableName, rows) {
+        getTable(tableName);
+        return unwrap(await this.client.from(tableName).insert(rows).select()) || [];
+    }
+
+    async upsert(tableName, row) {
+        const table = getTable(tableName);
+        const data = unwrap(await this.client
+            .from(tableName)
+            .upsert(row, { onConflict: getKeyColumns(table).join(',') })
+            .select());
+
+        return data?.[0] || null;
+    }
+
+    async update(tableName, filters, patch) {
+        getTable(tableName);
+        const query = applyFilters(this.client.from(tableName).update(patch), filters);
+        return unwrap(await query.select()) || [];
+    }
+
+    async delete(tableName, filters) {
+        getTable(tableName);
+        const query = applyFilters(this.client.from(tableName).delete({ count: 'exact' }), filters);
+        const { count, error } = await query;
+        unwrap({ error });
+        return count || 0;
+    }
+}
+
+export default SupabaseAdapter;
@@ -0,0 +1,40 @@
+// Runs at most `limit` async tasks at once; later ones wait their turn in order.
+//
+//   const limit = createLimiter(4);
+//   const results = await Promise.all(urls.map(url => limit.run(() => fetch(url))));
+
+export function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+
+        active += 1;
+        const { task, resolve, reject } = queue.shift();
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active -= 1;
+                next();
+            });
+    };
+
+    return {
+        limit,
+        get active() {
+            return active;
+        },
+        get queued() {
+            return queue.length;
+        },
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        }
+    };
+}
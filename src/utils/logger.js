@@ -1,38 +1,24 @@
-const winston = require('winston');
-const config = require('../config/config');
-const path = require('path');
-const fs = require('fs');
+import config from '../config/config.js';
 
-// // Create logs directory if it doesn't exist
-// const logsDir = path.dirname(config.LOG_FILE);
-// if (!fs.existsSync(logsDir)) {
-//   fs.mkdirSync(logsDir, { recursive: true });
-// }
+// Leveled console logger for the src/ layer. Output goes to stdout/stderr, which is what
+// Vercel and PM2 collect; LOG_LEVEL picks the most verbose level that is printed.
 
-const logger = winston.createLogger({
-  level: config.LOG_LEVEL,
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({
-      filename: config.LOG_FILE,
-      maxsize: 5242880, // 5MB
-      maxFiles: 5
-    })
-  ]
-});
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const threshold = LEVELS.includes(config.logLevel) ? LEVELS.indexOf(config.logLevel) : LEVELS.indexOf('info');
 
-// Console logging for development
-if (config.NODE_ENV !== 'production') {
-  logger.add(new winston.transports.Console({
-    format: winston.format.combine(
-      winston.format.colorize(),
-      winston.format.simple()
-    )
-  }));
+function log(level, message, meta) {
+    if (LEVELS.indexOf(level) > threshold) return;
+
+    const line = `${new Date().toISOString()} ${level.toUpperCase()} ${message}`;
+    const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+    if (meta !== undefined) {
+        write(line, meta);
+    } else {
+        write(line);
+    }
 }
 
-module.exports = logger;
\ No newline at end of file
+const logger = Object.fromEntries(LEVELS.map(level => [level, (message, meta) => log(level, message, meta)]));
+
+export default logger;
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+
+// Signing for outgoing webhooks sent to generic (json) destinations.
+//
+// Each request carries:
+//   X-LinkBite-Event-Id    stable id for the notification, identical across retries (use it for idempotency)
+//   X-LinkBite-Timestamp   unix seconds at the time of this attempt
+//   X-LinkBite-Signature   sha256=<hex HMAC-SHA256 of `${timestamp}.${rawBody}` keyed with the destination secret>
+//
+// Receivers can verify with:
+//   import { verifyWebhookSignature } from 'youtube-monitor-pro/verify';
+//   const ok = verifyWebhookSignature({ secret, rawBody, headers: req.headers });
+
+export const SIGNATURE_HEADER = 'x-linkbite-signature';
+export const TIMESTAMP_HEADER = 'x-linkbite-timestamp';
+export const EVENT_ID_HEADER = 'x-linkbite-event-id';
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+export function computeSignature(secret, timestamp, rawBody) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.${rawBody}`);
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+// Headers for one delivery attempt; the timestamp is fresh on every attempt
+export function buildSignatureHeaders(secret, rawBody, eventId, timestamp = Math.floor(Date.now() / 1000)) {
+    return {
+        'X-LinkBite-Event-Id': eventId,
+        'X-LinkBite-Timestamp': String(timestamp),
+        'X-LinkBite-Signature': computeSignature(secret, timestamp, rawBody)
+    };
+}
+
+// `rawBody` must be the exact bytes received, before any JSON parsing.
+// Rejects signatures older (or newer) than `toleranceSeconds` to limit replays.
+export function verifyWebhookSignature({ secret, rawBody, headers = {}, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    const signature = lower[SIGNATURE_HEADER];
+    const timestamp = parseInt(lower[TIMESTAMP_HEADER]);
+
+    if (!secret || !signature || isNaN(timestamp)) {
+        return false;
+    }
+
+    if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = Buffer.from(computeSignature(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,189 @@
+-- YouTube Monitor Pro - Supabase schema
+-- Run in the Supabase Dashboard → SQL Editor. Mirrors src/storage/schema.js.
+
+create table if not exists monitoring_channels (
+    channel_handle text primary key,
+    channel_id text, -- resolved YouTube channel ID (UC...), cleared when it stops working
+    webhook_url text,
+    destinations jsonb default '[]'::jsonb,
+    content_types jsonb default '["live"]'::jsonb,
+    templates jsonb default '{}'::jsonb,
+    detection_mode text default 'poll', -- poll | push
+    settings jsonb default '{}'::jsonb,
+    monitor_interval integer default 60000,
+    last_known_states jsonb default '{}'::jsonb,
+    last_checked_at timestamptz, -- last check cycle, in-process or through /api/cron/tick
+    consecutive_errors integer default 0,
+    health text default 'active', -- active | degraded (checks keep failing; retried with backoff)
+    error_reason text, -- last error while degraded
+    degraded_at timestamptz,
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+create table if not exists monitoring_events (
+    id bigserial primary key,
+    channel_handle text,
+    event_type text,
+    event_data jsonb default '{}'::jsonb,
+    created_at timestamptz default now()
+);
+
+create index if not exists monitoring_events_channel_idx on monitoring_events (channel_handle, id desc);
+create index if not exists monitoring_events_type_idx on monitoring_events (event_type, id desc);
+
+create table if not exists webhook_deliveries (
+    id bigserial primary key,
+    event_id text,
+    channel_handle text,
+    webhook_url text not null,
+    destination jsonb,
+    event_type text,
+    payload jsonb not null,
+    status text not null default 'pending', -- pending | sending | delivered | dead
+    attempts integer not null default 0,
+    next_attempt_at timestamptz default now(),
+    last_status integer,
+    last_error text,
+    delivered_at timestamptz,
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
+
+create table if not exists websub_subscriptions (
+    channel_handle text primary key,
+    channel_id text not null,
+    topic text not null,
+    hub_url text,
+    callback_url text,
+    secret text,
+    status text not null default 'pending', -- pending | active | unsubscribing | denied | failed
+    lease_seconds integer,
+    expires_at timestamptz,
+    last_error text,
+    last_notification_at timestamptz,
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+create index if not exists websub_subscriptions_channel_id_idx on websub_subscriptions (channel_id);
+
+create table if not exists api_quota_usage (
+    usage_date text not null, -- YYYY-MM-DD in America/Los_Angeles, when the YouTube quota resets
+    channel_handle text not null default '',
+    method text not null, -- e.g. search.list
+    units integer not null default 0,
+    calls integer not null default 0,
+    updated_at timestamptz default now(),
+    primary key (usage_date, channel_handle, method)
+);
+
+create table if not exists stream_records (
+    video_id text primary key,
+    channel_handle text not null,
+    title text,
+    status text not null default 'live', -- live | ended
+    scheduled_start_time timestamptz,
+    started_at timestamptz,
+    ended_at timestamptz,
+    duration_seconds integer,
+    peak_viewers integer,
+    average_viewers integer,
+    sample_count integer not null default 0,
+    viewer_total bigint not null default 0,
+    title_changes jsonb default '[]'::jsonb,
+    samples jsonb default '[]'::jsonb, -- [{ at, viewers }], thinned out on long streams
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+create index if not exists stream_records_channel_started_idx on stream_records (channel_handle, started_at desc);
+
+-- Built-in shortener: /s/:code redirects to url
+create table if not exists short_links (
+    code text primary key,
+    url text not null,
+    channel_handle text,
+    video_id text,
+    event text,
+    title text,
+    custom boolean not null default false,
+    expires_at timestamptz,
+    max_clicks integer,
+    retired_at timestamptz,
+    clicks integer not null default 0,
+    last_clicked_at timestamptz,
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+create index if not exists short_links_url_idx on short_links (url);
+create index if not exists short_links_channel_created_idx on short_links (channel_handle, created_at desc);
+
+create table if not exists link_clicks (
+    id bigserial primary key,
+    code text not null references short_links (code) on delete cascade,
+    visitor_hash text,
+    referrer text,
+    user_agent text,
+    created_at timestamptz default now()
+);
+
+create index if not exists link_clicks_code_created_idx on link_clicks (code, created_at desc);
+
+-- External shortener results, so a URL is only sent to a provider once
+create table if not exists shortened_urls (
+    long_url text primary key,
+    short_url text not null,
+    service text,
+    created_at timestamptz default now(),
+    updated_at timestamptz default now()
+);
+
+-- Per-channel check leases: only the process holding a channel's lease checks it
+create table if not exists check_leases (
+    channel_handle text primary key,
+    holder text not null, -- host:pid:random of the process holding it
+    acquired_at timestamptz default now(),
+    expires_at timestamptz not null
+);
+
+-- One row per notification sent, claimed before sending so a second process can't send it again
+create table if not exists notification_keys (
+    dedup_key text primary key, -- channel:event:videoId[:scheduled start]
+    channel_handle text,
+    event_type text,
+    created_at timestamptz default now()
+);
+
+create index if not exists notification_keys_channel_idx on notification_keys (channel_handle, created_at desc);
+
+-- Secrets the app generates for itself when none is configured (e.g. the visitor hash salt)
+create table if not exists app_secrets (
+    name text primary key,
+    value text not null,
+    created_at timestamptz default now()
+);
+
+-- Upgrading an existing database
+alter table monitoring_channels add column if not exists destinations jsonb default '[]'::jsonb;
+alter table webhook_deliveries add column if not exists destination jsonb;
+alter table webhook_deliveries add column if not exists event_id text;
+alter table monitoring_channels add column if not exists templates jsonb default '{}'::jsonb;
+alter table monitoring_channels add column if not exists detection_mode text default 'poll';
+alter table monitoring_channels add column if not exists channel_id text;
+alter table monitoring_channels add column if not exists settings jsonb default '{}'::jsonb;
+alter table short_links add column if not exists event text;
+alter table short_links add column if not exists title text;
+alter table link_clicks add column if not exists visitor_hash text;
+alter table short_links add column if not exists custom boolean not null default false;
+alter table short_links add column if not exists expires_at timestamptz;
+alter table short_links add column if not exists max_clicks integer;
+alter table short_links add column if not exists retired_at timestamptz;
+alter table monitoring_channels add column if not exists last_checked_at timestamptz;
+alter table monitoring_channels add column if not exists consecutive_errors integer default 0;
+alter table monitoring_channels add column if not exists health text default 'active';
+alter table monitoring_channels add column if not exists error_reason text;
+alter table monitoring_channels add column if not exists degraded_at timestamptz;
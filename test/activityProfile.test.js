@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildActivityProfile, chooseAdaptiveInterval, describeProfile } from '../src/services/activityProfile.js';
+
+const BOUNDS = { interval: 60000, minInterval: 30000, maxInterval: 900000 };
+
+// A channel that went live around 18:00 UTC on three days and uploads on Mondays
+const profile = buildActivityProfile([
+    { eventType: 'stream_started', createdAt: '2026-10-05T18:02:00Z' },
+    { eventType: 'stream_started', createdAt: '2026-10-07T18:10:00Z' },
+    { eventType: 'stream_started', createdAt: '2026-10-09T19:05:00Z' },
+    { eventType: 'new_video', createdAt: '2026-10-05T12:00:00Z' },
+    { eventType: 'new_video', createdAt: '2026-10-12T12:30:00Z' }
+]);
+
+const at = iso => Date.parse(iso);
+
+test('profiles learn usual go-live hours and upload days', () => {
+    assert.deepEqual(describeProfile(profile), {
+        liveHoursUtc: [18, 19],
+        uploadDaysUtc: ['Mon'],
+        lives: 3,
+        uploads: 2,
+        lastScheduledAt: null
+    });
+});
+
+test('checks speed up around usual go-live hours and slow down at dead times', () => {
+    const options = { ...BOUNDS, contentTypes: ['live'] };
+
+    assert.deepEqual(chooseAdaptiveInterval(profile, { ...options, now: at('2026-10-14T17:20:00Z') }), { interval: 30000, reason: 'usual go-live hours' });
+    assert.deepEqual(chooseAdaptiveInterval(profile, { ...options, now: at('2026-10-14T04:00:00Z') }), { interval: 900000, reason: 'quiet hours' });
+});
+
+test('upload days keep the configured interval for upload monitoring', () => {
+    const options = { ...BOUNDS, contentTypes: ['videos'] };
+
+    assert.equal(chooseAdaptiveInterval(profile, { ...options, now: at('2026-10-19T04:00:00Z') }).reason, 'usual upload day');
+    assert.equal(chooseAdaptiveInterval(profile, { ...options, now: at('2026-10-20T04:00:00Z') }).reason, 'quiet hours');
+});
+
+test('an upcoming stream speeds checks up for a while', () => {
+    const scheduled = buildActivityProfile([{ eventType: 'stream_scheduled', createdAt: '2026-10-14T04:00:00Z' }]);
+    const options = { ...BOUNDS, contentTypes: ['live', 'upcoming'] };
+
+    assert.equal(chooseAdaptiveInterval(scheduled, { ...options, now: at('2026-10-14T05:00:00Z') }).interval, 30000);
+    assert.equal(chooseAdaptiveInterval(scheduled, { ...options, now: at('2026-10-14T07:00:00Z') }).reason, 'learning');
+
+    const upcoming = { abc: { scheduledStartTime: '2026-10-14T07:10:00Z' } };
+    assert.equal(chooseAdaptiveInterval(scheduled, { ...options, upcoming, now: at('2026-10-14T07:00:00Z') }).reason, 'scheduled stream starting');
+});
+
+test('without enough history the configured interval stays, within the bounds', () => {
+    const options = { interval: 10000, minInterval: 30000, maxInterval: 900000, contentTypes: ['live'] };
+
+    assert.deepEqual(chooseAdaptiveInterval(null, options), { interval: 30000, reason: 'learning' });
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// A failing channel across cron ticks: it degrades after too many errors in a row, waits out its
+// backoff, and recovers on the first check that works. Storage is in memory; YouTube is a
+// fixture page or down, and notifications are captured instead of sent.
+
+const SECRET = 'health-test-secret';
+const CHANNEL = '@flaky';
+const INTERVAL = 60000;
+
+const channelPage = readFileSync(new URL('./fixtures/youtube/channel-offline.html', import.meta.url), 'utf8');
+
+let server, baseUrl, db;
+let youtubeUp = false;
+const notifications = [];
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.CRON_SECRET = SECRET;
+    // Channel pages are scraped, so no Data API calls need answering
+    process.env.YOUTUBE_API_KEY = '';
+
+    // The server logs every step of every check; keep the test output readable
+    console.log = () => {};
+
+    const { default: axios } = await import('axios');
+    axios.defaults.adapter = async config => {
+        if (config.url.startsWith('https://receiver.example.test/')) {
+            notifications.push(JSON.parse(config.data).event);
+            return { data: '', status: 204, statusText: 'No Content', headers: {}, config };
+        }
+        if (!youtubeUp) {
+            throw new Error('getaddrinfo ENOTFOUND www.youtube.com');
+        }
+        return { data: channelPage, status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    db = await import('../database.js');
+    const { default: app } = await import('../server.js');
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await db.saveChannelConfiguration(CHANNEL, {
+        destinations: [{ type: 'json', url: 'https://receiver.example.test/hook' }],
+        contentTypes: ['live'],
+        interval: INTERVAL
+    });
+    // One failure short of degrading, and due
+    await db.saveChannelCheck(CHANNEL, { lastKnownStates: {}, checkedAt: Date.now() - 2 * INTERVAL, consecutiveErrors: 4 });
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function tick() {
+    const response = await fetch(`${baseUrl}/api/cron/tick`, { headers: { authorization: `Bearer ${SECRET}` } });
+    const result = await response.json();
+    return result.channels.find(channel => channel.channelHandle === CHANNEL);
+}
+
+// Move the last check into the past, as if `ms` had gone by
+async function rewind(ms) {
+    const { check } = await db.getChannelCheck(CHANNEL);
+    await db.saveChannelCheck(CHANNEL, { ...check, checkedAt: check.lastCheckedAt - ms });
+}
+
+test('a channel degrades, backs off and recovers', async () => {
+    const degraded = await tick();
+    assert.equal(degraded.status, 'degraded');
+    assert.equal(degraded.consecutiveErrors, 5);
+    assert.deepEqual(notifications, ['monitoring_degraded']);
+
+    let { check } = await db.getChannelCheck(CHANNEL);
+    assert.equal(check.health, 'degraded');
+    assert.match(check.errorReason, /Could not look up live/);
+
+    // Past the interval, but not past the doubled backoff: no check, and no further notification
+    await rewind(INTERVAL * 1.5);
+    const waiting = await tick();
+    assert.equal(waiting.status, 'backoff');
+    assert.ok(Date.parse(waiting.retryAt) > Date.now());
+    assert.equal(notifications.length, 1);
+
+    // Still failing once the backoff has passed: stays degraded without telling anyone again
+    await rewind(INTERVAL);
+    const stillFailing = await tick();
+    assert.equal(stillFailing.status, 'degraded');
+    assert.equal(stillFailing.consecutiveErrors, 6);
+    assert.equal(notifications.length, 1);
+
+    // The backoff has doubled again; YouTube answers on the next try
+    await rewind(INTERVAL * 4);
+    youtubeUp = true;
+    const recovered = await tick();
+    assert.equal(recovered.status, 'checked');
+    assert.equal(recovered.consecutiveErrors, 0);
+    assert.deepEqual(notifications, ['monitoring_degraded', 'monitoring_recovered']);
+
+    ({ check } = await db.getChannelCheck(CHANNEL));
+    assert.equal(check.health, 'active');
+    assert.equal(check.errorReason, null);
+    assert.equal(check.degradedAt, null);
+
+    // The channel and its config were kept throughout
+    assert.equal((await db.getChannelConfiguration(CHANNEL)).channel.interval, INTERVAL);
+});
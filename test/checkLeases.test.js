@@ -0,0 +1,71 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Leases go to in-memory storage; separate CheckLeases instances stand in for separate processes.
+
+let CheckLeases;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ default: CheckLeases } = await import('../src/services/checkLeases.js'));
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a held lease keeps other processes out and renews for its holder', async () => {
+    const first = new CheckLeases({ holder: 'first' });
+    const second = new CheckLeases({ holder: 'second' });
+
+    const taken = await first.acquire('@held', 60000);
+    assert.equal(taken.acquired, true);
+    assert.equal(taken.fresh, true);
+
+    const blocked = await second.acquire('@held', 60000);
+    assert.equal(blocked.acquired, false);
+    assert.equal(blocked.holder, 'first');
+
+    const renewed = await first.acquire('@held', 60000);
+    assert.equal(renewed.acquired, true);
+    assert.equal(renewed.fresh, false);
+});
+
+test('an expired lease is taken over, and its old holder has to wait', async () => {
+    const first = new CheckLeases({ holder: 'first' });
+    const second = new CheckLeases({ holder: 'second' });
+
+    await first.acquire('@expiring', 20);
+    await sleep(40);
+
+    const takenOver = await second.acquire('@expiring', 60000);
+    assert.equal(takenOver.acquired, true);
+    assert.equal(takenOver.fresh, true);
+
+    const lost = await first.acquire('@expiring', 60000);
+    assert.equal(lost.acquired, false);
+    assert.equal(lost.holder, 'second');
+
+    const status = await second.getStatus();
+    const lease = status.leases.find(entry => entry.channelHandle === '@expiring');
+    assert.equal(lease.mine, true);
+    assert.equal(lease.expired, false);
+});
+
+test('only one of several processes racing for a new lease gets it', async () => {
+    const processes = ['a', 'b', 'c', 'd'].map(holder => new CheckLeases({ holder }));
+
+    const results = await Promise.all(processes.map(leases => leases.acquire('@race', 60000)));
+
+    assert.equal(results.filter(result => result.acquired).length, 1);
+});
+
+test('a released lease is free for the next process right away', async () => {
+    const first = new CheckLeases({ holder: 'first' });
+    const second = new CheckLeases({ holder: 'second' });
+
+    await first.acquire('@released', 60000);
+    await first.release('@released');
+
+    const taken = await second.acquire('@released', 60000);
+    assert.equal(taken.acquired, true);
+    assert.equal(taken.fresh, true);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CheckScheduler from '../src/services/checkScheduler.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Check that takes `duration` ms and records how many checks (and of its own channel) overlap
+function createChecks(duration) {
+    const stats = { active: 0, peak: 0, runs: {}, overlaps: 0 };
+    const activeChannels = new Set();
+
+    const checkFor = channelHandle => async () => {
+        if (activeChannels.has(channelHandle)) stats.overlaps += 1;
+        activeChannels.add(channelHandle);
+        stats.active += 1;
+        stats.peak = Math.max(stats.peak, stats.active);
+
+        await sleep(duration);
+
+        stats.active -= 1;
+        activeChannels.delete(channelHandle);
+        stats.runs[channelHandle] = (stats.runs[channelHandle] || 0) + 1;
+    };
+
+    return { stats, checkFor };
+}
+
+test('no more than `concurrency` checks run at once', async () => {
+    const scheduler = new CheckScheduler({ concurrency: 2, jitter: 0 });
+    const { stats, checkFor } = createChecks(20);
+
+    for (let i = 0; i < 6; i++) {
+        scheduler.add(`@channel${i}`, { run: checkFor(`@channel${i}`), interval: () => 30, delay: 0 });
+    }
+
+    await sleep(150);
+    scheduler.stop();
+
+    assert.equal(stats.peak, 2);
+    assert.equal(Object.keys(stats.runs).length, 6);
+});
+
+test('a slow check is not started again before it finishes', async () => {
+    const scheduler = new CheckScheduler({ concurrency: 4, jitter: 0 });
+    const { stats, checkFor } = createChecks(50);
+
+    scheduler.add('@slow', { run: checkFor('@slow'), interval: () => 10, delay: 0 });
+
+    // Manual checks while the scheduled one runs join it
+    await sleep(5);
+    await Promise.all([scheduler.runNow('@slow'), scheduler.runNow('@slow')]);
+
+    await sleep(120);
+    scheduler.stop();
+
+    assert.equal(stats.overlaps, 0);
+    assert.ok(stats.runs['@slow'] >= 2);
+});
+
+test('jitter spreads channels on the same interval', async () => {
+    const scheduler = new CheckScheduler({ jitter: 0.2 });
+
+    for (let i = 0; i < 20; i++) {
+        scheduler.add(`@channel${i}`, { run: async () => {}, interval: () => 60000 });
+    }
+
+    const state = scheduler.getState();
+    scheduler.stop();
+
+    const dueIn = state.queue.map(channel => channel.dueIn);
+    assert.equal(state.scheduled, 20);
+    assert.ok(dueIn.every(ms => ms >= 48000 - 50 && ms <= 72000));
+    assert.ok(new Set(dueIn).size > 1);
+    assert.deepEqual(dueIn, [...dueIn].sort((a, b) => a - b), 'soonest first');
+});
+
+test('removed channels are not checked again', async () => {
+    const scheduler = new CheckScheduler({ jitter: 0 });
+    const { stats, checkFor } = createChecks(1);
+
+    scheduler.add('@gone', { run: checkFor('@gone'), interval: () => 20, delay: 0 });
+    await sleep(5);
+    scheduler.remove('@gone');
+    await sleep(60);
+
+    assert.equal(stats.runs['@gone'], 1);
+    assert.equal(scheduler.getState().channels, 0);
+});
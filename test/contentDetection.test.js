@@ -0,0 +1,221 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// What a channel's checks announce as its uploads, live streams and scheduled streams change
+// between cron ticks. YouTube is a stub Data API whose answers each test edits; storage is in
+// memory, the clock is mocked so every tick finds the channels due, and notifications are
+// captured instead of sent.
+
+const SECRET = 'detection-test-secret';
+const HOUR = 60 * 60 * 1000;
+
+// The stub Data API: videos.list items by video ID, and per channel ID its uploads and live streams
+const stub = { videos: new Map(), uploads: new Map(), live: new Map() };
+const notifications = [];
+
+let server, baseUrl, db;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.CRON_SECRET = SECRET;
+    process.env.YOUTUBE_API_KEY = 'test-key';
+    process.env.SHORT_LINK_BASE_URL = 'https://example.test/s';
+
+    // The server logs every step of every check; keep the test output readable
+    console.log = () => {};
+
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+
+    const { default: axios } = await import('axios');
+    axios.defaults.adapter = async config => {
+        const reply = data => ({ data, status: 200, statusText: 'OK', headers: {}, config });
+
+        if (config.url.startsWith('https://receiver.example.test/')) {
+            const { event, data } = JSON.parse(config.data);
+            notifications.push({ channel: config.url.split('/').pop(), event, videoId: data.videoId, data });
+            return { data: '', status: 204, statusText: 'No Content', headers: {}, config };
+        }
+
+        const method = config.url.match(/^https:\/\/www\.googleapis\.com\/youtube\/v3\/(\w+)$/)?.[1];
+        switch (method) {
+            case 'search':
+                return reply({ items: (stub.live.get(config.params.channelId) || []).map(toSearchResult) });
+            case 'playlistItems': {
+                const channelId = `UC${config.params.playlistId.slice(2)}`;
+                return reply({ items: (stub.uploads.get(channelId) || []).map(videoId => ({ contentDetails: { videoId } })) });
+            }
+            case 'videos':
+                return reply({ items: config.params.id.split(',').filter(id => stub.videos.has(id)).map(id => stub.videos.get(id)) });
+        }
+        throw new Error(`Unexpected request to ${config.url}`);
+    };
+
+    db = await import('../database.js');
+    const { default: app } = await import('../server.js');
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    mock.timers.reset();
+});
+
+function toSearchResult(videoId) {
+    const { snippet } = stub.videos.get(videoId);
+    return { id: { videoId }, snippet: { title: snippet.title, thumbnails: {} } };
+}
+
+// A videos.list item: a regular landscape upload unless `live` or `scheduledStartTime` says otherwise
+function setVideo(videoId, { publishedAt, live = false, scheduledStartTime } = {}) {
+    stub.videos.set(videoId, {
+        id: videoId,
+        snippet: {
+            title: `Title of ${videoId}`,
+            publishedAt: publishedAt || new Date().toISOString(),
+            liveBroadcastContent: live ? 'live' : scheduledStartTime ? 'upcoming' : 'none'
+        },
+        contentDetails: { duration: live || scheduledStartTime ? 'P0D' : 'PT10M' },
+        statistics: { viewCount: '10' },
+        player: { embedWidth: '1280', embedHeight: '720' },
+        liveStreamingDetails: live
+            ? { actualStartTime: new Date().toISOString(), concurrentViewers: '5' }
+            : scheduledStartTime ? { scheduledStartTime } : undefined
+    });
+}
+
+async function addChannel(name, channelId, contentTypes, settings = {}) {
+    await db.saveChannelConfiguration(`@${name}`, {
+        destinations: [{ type: 'json', url: `https://receiver.example.test/${name}` }],
+        contentTypes,
+        settings,
+        channelId,
+        interval: 60000
+    });
+}
+
+// One cron tick, far enough after the last that every channel is due and nothing is reused
+async function tick() {
+    mock.timers.tick(5 * 60 * 1000);
+    const response = await fetch(`${baseUrl}/api/cron/tick`, { headers: { authorization: `Bearer ${SECRET}` } });
+    assert.equal(response.status, 200);
+}
+
+// Notifications sent to `channel` since the last call
+function sentTo(channel) {
+    const sent = notifications.filter(notification => notification.channel === channel);
+    notifications.splice(0, notifications.length, ...notifications.filter(notification => notification.channel !== channel));
+    return sent;
+}
+
+const announced = sent => sent.map(({ event, videoId }) => `${event} ${videoId}`);
+
+test('uploads are announced oldest first, once, and never from before the newest one seen', async () => {
+    const channelId = 'UCuploads000000000000000';
+    await addChannel('uploads', channelId, ['videos'], { initialUploadLimit: 2 });
+
+    const now = Date.now();
+    for (let index = 1; index <= 4; index++) {
+        setVideo(`upload0000${index}`, { publishedAt: new Date(now - (5 - index) * HOUR).toISOString() });
+    }
+    stub.uploads.set(channelId, ['upload00004', 'upload00003', 'upload00002', 'upload00001']);
+
+    // First check: only the newest initialUploadLimit uploads, the older one first
+    await tick();
+    assert.deepEqual(announced(sentTo('uploads')), ['new_video upload00003', 'new_video upload00004']);
+
+    // Two uploads since, listed out of order: both announced, oldest first
+    setVideo('upload00005', { publishedAt: new Date(Date.now() - 2 * 60 * 1000).toISOString() });
+    setVideo('upload00006', { publishedAt: new Date(Date.now() - 60 * 1000).toISOString() });
+    stub.uploads.set(channelId, ['upload00005', 'upload00006', 'upload00004', 'upload00003', 'upload00002', 'upload00001']);
+
+    await tick();
+    assert.deepEqual(announced(sentTo('uploads')), ['new_video upload00005', 'new_video upload00006']);
+
+    // The newest upload is deleted and an older video made public: the one now on top was announced
+    // already, and the old one was published before the newest upload seen
+    setVideo('upload00000', { publishedAt: new Date(now - 10 * HOUR).toISOString() });
+    stub.uploads.set(channelId, ['upload00005', 'upload00004', 'upload00003', 'upload00002', 'upload00001', 'upload00000']);
+
+    await tick();
+    assert.deepEqual(sentTo('uploads'), []);
+
+    const { check } = await db.getChannelCheck('@uploads');
+    assert.equal(check.lastKnownStates.uploadHighWater.video, stub.videos.get('upload00006').snippet.publishedAt);
+});
+
+test('each of several concurrent live streams starts and ends on its own', async () => {
+    const channelId = 'UClive000000000000000000';
+    await addChannel('live', channelId, ['live']);
+
+    await tick();
+    assert.deepEqual(sentTo('live'), []);
+
+    setVideo('streamAAAA1', { live: true });
+    stub.live.set(channelId, ['streamAAAA1']);
+    await tick();
+    assert.deepEqual(announced(sentTo('live')), ['stream_started streamAAAA1']);
+
+    // A second stream alongside the first
+    setVideo('streamBBBB2', { live: true });
+    stub.live.set(channelId, ['streamAAAA1', 'streamBBBB2']);
+    await tick();
+    assert.deepEqual(announced(sentTo('live')), ['stream_started streamBBBB2']);
+
+    // Still running: nothing new
+    await tick();
+    assert.deepEqual(sentTo('live'), []);
+
+    stub.live.set(channelId, ['streamBBBB2']);
+    await tick();
+    assert.deepEqual(announced(sentTo('live')), ['stream_ended streamAAAA1']);
+
+    stub.live.set(channelId, []);
+    await tick();
+    assert.deepEqual(announced(sentTo('live')), ['stream_ended streamBBBB2']);
+
+    const { check } = await db.getChannelCheck('@live');
+    assert.deepEqual(check.lastKnownStates.liveStreams, {});
+});
+
+test('scheduled streams are announced, rescheduled and cancelled', async () => {
+    const channelId = 'UCupcoming00000000000000';
+    await addChannel('upcoming', channelId, ['upcoming']);
+
+    const firstStart = new Date(Date.now() + 48 * HOUR).toISOString();
+    setVideo('plannedAAA1', { scheduledStartTime: firstStart });
+    setVideo('plannedBBB2', { scheduledStartTime: new Date(Date.now() + 72 * HOUR).toISOString() });
+    stub.uploads.set(channelId, ['plannedBBB2', 'plannedAAA1']);
+
+    await tick();
+    assert.deepEqual(announced(sentTo('upcoming')), ['stream_scheduled plannedAAA1', 'stream_scheduled plannedBBB2']);
+
+    // Moved back an hour
+    const newStart = new Date(Date.parse(firstStart) + HOUR).toISOString();
+    setVideo('plannedAAA1', { scheduledStartTime: newStart });
+    await tick();
+    const [rescheduled, ...others] = sentTo('upcoming');
+    assert.deepEqual(others, []);
+    assert.equal(rescheduled.event, 'stream_rescheduled');
+    assert.equal(rescheduled.videoId, 'plannedAAA1');
+    assert.equal(rescheduled.data.scheduledStartTime, newStart);
+    assert.equal(rescheduled.data.previousStartTime, firstStart);
+
+    // Unchanged: nothing new
+    await tick();
+    assert.deepEqual(sentTo('upcoming'), []);
+
+    // One is deleted; the other only drops out of the uploads list and is still scheduled
+    stub.videos.delete('plannedBBB2');
+    stub.uploads.set(channelId, []);
+    await tick();
+    assert.deepEqual(announced(sentTo('upcoming')), ['stream_cancelled plannedBBB2']);
+
+    const { check } = await db.getChannelCheck('@upcoming');
+    assert.deepEqual(Object.keys(check.lastKnownStates.upcoming), ['plannedAAA1']);
+    assert.equal(check.lastKnownStates.upcoming.plannedAAA1.scheduledStartTime, newStart);
+    assert.equal(check.lastKnownStates.cancelledUpcoming[0].videoId, 'plannedBBB2');
+});
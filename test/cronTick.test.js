@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The cron endpoint end to end against in-memory storage. Outgoing requests (YouTube lookups,
+// notifications) never leave the process: axios answers every one of them with an empty page.
+
+const SECRET = 'cron-test-secret';
+
+let server, baseUrl, db;
+const requested = [];
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.CRON_SECRET = SECRET;
+
+    // The server logs every step of every check; keep the test output readable
+    console.log = () => {};
+
+    const { default: axios } = await import('axios');
+    axios.defaults.adapter = async config => {
+        requested.push(config.url);
+        return { data: '', status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    db = await import('../database.js');
+    const { default: app } = await import('../server.js');
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const tick = (headers = {}) => fetch(`${baseUrl}/api/cron/tick`, { headers });
+
+async function addChannel(channelHandle, lastCheckedAgo) {
+    await db.saveChannelConfiguration(channelHandle, {
+        destinations: [{ type: 'json', url: 'https://receiver.example.test/hook' }],
+        contentTypes: ['videos'],
+        interval: 60000
+    });
+
+    if (lastCheckedAgo !== null) {
+        await db.saveChannelCheck(channelHandle, { lastKnownStates: {}, checkedAt: Date.now() - lastCheckedAgo });
+    }
+}
+
+test('ticks without the cron secret are turned away', async () => {
+    const missing = await tick();
+    assert.equal(missing.status, 401);
+
+    const wrong = await tick({ authorization: 'Bearer not-the-secret' });
+    assert.equal(wrong.status, 401);
+    assert.equal((await wrong.json()).success, false);
+});
+
+test('the cron endpoint is off while no secret is configured', async () => {
+    delete process.env.CRON_SECRET;
+    try {
+        const response = await tick({ authorization: `Bearer ${SECRET}` });
+        assert.equal(response.status, 503);
+    } finally {
+        process.env.CRON_SECRET = SECRET;
+    }
+});
+
+test('a tick checks the due channels and leaves the others alone', async () => {
+    await addChannel('@neverchecked', null);
+    await addChannel('@overdue', 5 * 60 * 1000);
+    await addChannel('@recent', 5 * 1000);
+    requested.length = 0;
+
+    const response = await tick({ authorization: `Bearer ${SECRET}` });
+    assert.equal(response.status, 200);
+
+    const result = await response.json();
+    assert.equal(result.success, true);
+    assert.equal(result.due, 2);
+    assert.equal(result.checked, 2);
+    assert.deepEqual(result.channels.map(channel => channel.channelHandle), ['@neverchecked', '@overdue']);
+
+    // Only the due channels were looked up, and only their check times moved
+    assert.ok(requested.some(url => url.includes('neverchecked')));
+    assert.ok(!requested.some(url => url.includes('recent')));
+
+    const recent = await db.getChannelCheck('@recent');
+    assert.ok(Date.now() - recent.check.lastCheckedAt >= 5000);
+    const overdue = await db.getChannelCheck('@overdue');
+    assert.ok(Date.now() - overdue.check.lastCheckedAt < 5000);
+});
+
+test('other schedulers can send the secret in X-Cron-Secret', async () => {
+    const response = await tick({ 'x-cron-secret': SECRET });
+    assert.equal(response.status, 200);
+
+    // Everything was checked a moment ago
+    assert.equal((await response.json()).due, 0);
+});
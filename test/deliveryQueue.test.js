@@ -0,0 +1,196 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Deliveries go to in-memory storage; `post` is replaced so nothing leaves the process.
+
+let DeliveryQueue, parseRetryAfter, getDelivery;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ default: DeliveryQueue, parseRetryAfter } = await import('../src/services/deliveryQueue.js'));
+    ({ getDelivery } = await import('../database.js'));
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const DESTINATION = { type: 'json', url: 'https://receiver.example.test/hook' };
+
+// Queue whose requests get the next outcome from `outcomes` (the last one repeats)
+function createQueue(outcomes, options = {}) {
+    const posts = [];
+    const queue = new DeliveryQueue({ baseDelay: 1, ...options });
+
+    queue.post = async (destination, payload, eventId) => {
+        posts.push({ destination, payload, eventId });
+        const outcome = outcomes[Math.min(posts.length - 1, outcomes.length - 1)];
+        if (outcome.delay) await sleep(outcome.delay);
+        return outcome;
+    };
+
+    return { queue, posts };
+}
+
+const OK = { ok: true, status: 204 };
+const UNAVAILABLE = { ok: false, status: 503, retryable: true, retryAfter: null, error: 'HTTP 503' };
+
+test('two processes retrying at once send a due delivery only once', async () => {
+    const { queue: first, posts } = createQueue([UNAVAILABLE]);
+    const queued = await first.enqueue({ channelHandle: '@race', destination: DESTINATION, eventType: 'new_video', payload: { n: 1 } });
+    assert.equal(queued.delivery.status, 'pending');
+
+    // Separate queues stand in for separate processes: neither sees the other's in-flight set
+    const slowOk = { ...OK, delay: 30 };
+    const a = createQueue([slowOk]);
+    const b = createQueue([slowOk]);
+    await sleep(20);
+
+    const [resultA, resultB] = await Promise.all([a.queue.processDue(), b.queue.processDue()]);
+
+    assert.equal(posts.length, 1);
+    assert.equal(a.posts.length + b.posts.length, 1);
+    assert.equal(resultA.delivered + resultB.delivered, 1);
+
+    const stored = await getDelivery(queued.delivery.id);
+    assert.equal(stored.delivery.status, 'delivered');
+});
+
+test('a retry run does not pick up a delivery while its first attempt is in flight', async () => {
+    const { queue, posts } = createQueue([{ ...OK, delay: 30 }]);
+    const other = createQueue([OK]);
+
+    const enqueued = queue.enqueue({ channelHandle: '@first', destination: DESTINATION, eventType: 'new_video', payload: { n: 2 } });
+    await sleep(5);
+    await other.queue.processDue();
+    const result = await enqueued;
+
+    assert.equal(result.delivered, true);
+    assert.equal(posts.length, 1);
+    assert.equal(other.posts.length, 0);
+});
+
+test('an attempt that outlives its claim does not overwrite the next one', async () => {
+    // The first attempt hangs past its claim and is then rejected
+    const rejected = { ok: false, status: 404, retryable: false, retryAfter: null, error: 'HTTP 404', delay: 60 };
+    const { queue, posts } = createQueue([rejected], { claimTimeout: 20 });
+    const other = createQueue([OK]);
+
+    const enqueued = queue.enqueue({ channelHandle: '@stale', destination: DESTINATION, eventType: 'new_video', payload: { n: 3 } });
+    await sleep(30);
+    const retried = await other.queue.processDue();
+    const result = await enqueued;
+
+    assert.equal(retried.delivered, 1);
+    assert.equal(posts.length, 1);
+    assert.equal(result.delivered, false);
+
+    const stored = await getDelivery(result.delivery.id);
+    assert.equal(stored.delivery.status, 'delivered');
+    assert.equal(stored.delivery.attempts, 1);
+    assert.equal(stored.delivery.lastError, null);
+});
+
+test('failed deliveries are retried with the same event id until they go through', async () => {
+    const { queue, posts } = createQueue([UNAVAILABLE, UNAVAILABLE, OK], { baseDelay: 10 });
+
+    const first = await queue.enqueue({ channelHandle: '@retry', destination: DESTINATION, eventType: 'new_video', payload: { n: 3 } });
+    assert.equal(first.delivered, false);
+    assert.equal(first.delivery.status, 'pending');
+    assert.equal(first.delivery.attempts, 1);
+    assert.equal(first.delivery.lastError, 'HTTP 503');
+
+    // Not due yet
+    assert.equal((await queue.processDue()).processed, 0);
+
+    await sleep(15);
+    await queue.processDue();
+    let stored = await getDelivery(first.delivery.id);
+    assert.equal(stored.delivery.status, 'pending');
+    assert.equal(stored.delivery.attempts, 2);
+
+    await sleep(30);
+    assert.deepEqual(await queue.processDue(), { processed: 1, delivered: 1 });
+    stored = await getDelivery(first.delivery.id);
+    assert.equal(stored.delivery.status, 'delivered');
+    assert.equal(stored.delivery.attempts, 3);
+
+    assert.equal(posts.length, 3);
+    assert.equal(new Set(posts.map(post => post.eventId)).size, 1);
+});
+
+test('retries back off exponentially up to the maximum delay', () => {
+    const queue = new DeliveryQueue({ baseDelay: 1000, maxDelay: 5000 });
+
+    // Each delay is the doubled base plus up to 20% jitter
+    const within = (attempts, delay) => {
+        const actual = queue.backoff(attempts);
+        assert.ok(actual >= delay && actual <= delay * 1.2, `attempt ${attempts}: ${actual}ms`);
+    };
+
+    within(1, 1000);
+    within(2, 2000);
+    within(3, 4000);
+    within(4, 5000);
+    within(12, 5000);
+});
+
+test('a Retry-After from the receiver sets the next attempt', async () => {
+    const { queue } = createQueue([{ ...UNAVAILABLE, status: 429, retryAfter: 60000 }]);
+
+    const result = await queue.enqueue({ channelHandle: '@limited', destination: DESTINATION, eventType: 'new_video', payload: { n: 4 } });
+    const wait = Date.parse(result.delivery.nextAttemptAt) - Date.now();
+
+    assert.ok(wait > 55000 && wait <= 60000, `next attempt in ${wait}ms`);
+});
+
+test('deliveries are dead-lettered after the last attempt and left alone', async () => {
+    const { queue, posts } = createQueue([UNAVAILABLE], { maxAttempts: 2 });
+
+    const first = await queue.enqueue({ channelHandle: '@dead', destination: DESTINATION, eventType: 'new_video', payload: { n: 5 } });
+    assert.equal(first.delivery.status, 'pending');
+
+    await sleep(10);
+    await queue.processDue();
+    const stored = await getDelivery(first.delivery.id);
+    assert.equal(stored.delivery.status, 'dead');
+    assert.equal(stored.delivery.attempts, 2);
+
+    await sleep(10);
+    await queue.processDue();
+    assert.equal(posts.length, 2);
+});
+
+test('requests the receiver rejects are dead-lettered without retrying', async () => {
+    const { queue, posts } = createQueue([{ ok: false, status: 400, retryable: false, retryAfter: null, error: 'HTTP 400' }]);
+
+    const result = await queue.enqueue({ channelHandle: '@rejected', destination: DESTINATION, eventType: 'new_video', payload: { n: 6 } });
+
+    assert.equal(result.delivery.status, 'dead');
+    assert.equal(result.delivery.attempts, 1);
+    assert.equal(posts.length, 1);
+});
+
+test('a replayed dead letter starts over and is sent again', async () => {
+    const { queue, posts } = createQueue([{ ok: false, status: 404, retryable: false, retryAfter: null, error: 'HTTP 404' }, OK]);
+
+    const dead = await queue.enqueue({ channelHandle: '@replay', destination: DESTINATION, eventType: 'new_video', payload: { n: 7 } });
+    assert.equal(dead.delivery.status, 'dead');
+
+    const replayed = await queue.replay(dead.delivery.id);
+    assert.equal(replayed.delivered, true);
+    assert.equal(replayed.delivery.status, 'delivered');
+    assert.equal(replayed.delivery.attempts, 1);
+    assert.equal(posts[0].eventId, posts[1].eventId);
+
+    const again = await queue.replay(dead.delivery.id);
+    assert.equal(again.success, false);
+});
+
+test('Retry-After is read as seconds, as a date, or from a Discord body', () => {
+    assert.equal(parseRetryAfter({ 'retry-after': '30' }), 30000);
+    assert.equal(parseRetryAfter({}, { retry_after: 1.5 }), 1500);
+    assert.equal(parseRetryAfter({}), null);
+
+    const date = new Date(Date.now() + 120000).toUTCString();
+    const delay = parseRetryAfter({ 'retry-after': date });
+    assert.ok(delay > 115000 && delay <= 120000);
+});
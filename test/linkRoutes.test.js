@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// The link editing routes of /api/v1, on in-memory storage.
+
+const SECRET = 'admin-test-secret';
+
+let server, baseUrl, linkShortener;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.ADMIN_SECRET = SECRET;
+    const { default: createApiRouter } = await import('../src/routes/api.js');
+    const { default: ShortenerService } = await import('../src/services/shortenerService.js');
+    const { default: LinkShortener } = await import('../src/services/linkShortener.js');
+
+    linkShortener = new LinkShortener({ baseUrl: 'https://example.test/s', visitorSalt: 'test-salt' });
+    const shortenerService = new ShortenerService({ linkShortener });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', createApiRouter({ shortenerService, listInstances: () => [] }));
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function request(method, code, { headers = {}, body } = {}) {
+    const response = await fetch(`${baseUrl}/links/${code}`, {
+        method,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const admin = { authorization: `Bearer ${SECRET}` };
+
+test('changing or retiring a link needs the admin secret', async () => {
+    const { link } = await linkShortener.create('https://www.youtube.com/watch?v=routes00001');
+
+    assert.equal((await request('PATCH', link.code, { body: { url: 'https://example.com/' } })).status, 401);
+    assert.equal((await request('DELETE', link.code, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+
+    const updated = await request('PATCH', link.code, { headers: { 'x-admin-secret': SECRET }, body: { url: 'https://example.com/' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.link.url, 'https://example.com/');
+
+    assert.equal((await request('DELETE', link.code, { headers: admin })).status, 200);
+});
+
+test('links made for announcements cannot be changed or retired', async () => {
+    const { link } = await linkShortener.shorten('https://www.youtube.com/watch?v=routes00002', { event: 'live' });
+
+    const updated = await request('PATCH', link.code, { headers: admin, body: { url: 'https://example.com/' } });
+    assert.equal(updated.status, 403);
+    assert.equal((await request('DELETE', link.code, { headers: admin })).status, 403);
+
+    const { link: stored } = await linkShortener.shorten('https://www.youtube.com/watch?v=routes00002');
+    assert.equal(stored.url, 'https://www.youtube.com/watch?v=routes00002');
+    assert.equal(stored.retiredAt, null);
+});
+
+test('the routes are off while no admin secret is configured', async () => {
+    delete process.env.ADMIN_SECRET;
+    try {
+        const { link } = await linkShortener.create('https://www.youtube.com/watch?v=routes00003');
+        assert.equal((await request('DELETE', link.code, { headers: admin })).status, 503);
+    } finally {
+        process.env.ADMIN_SECRET = SECRET;
+    }
+});
@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+// Links and clicks go to in-memory storage.
+
+let LinkShortener, getShortLink, getLinkClicks;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    delete process.env.LINK_VISITOR_SALT;
+    ({ default: LinkShortener } = await import('../src/services/linkShortener.js'));
+    ({ getShortLink, getLinkClicks } = await import('../database.js'));
+});
+
+function createShortener() {
+    return new LinkShortener({ baseUrl: 'https://example.test/s', visitorSalt: 'test-salt' });
+}
+
+test('clicks arriving at the same time are all counted', async () => {
+    const shortener = createShortener();
+    const { link } = await shortener.create('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+
+    const clicks = await Promise.all(
+        Array.from({ length: 25 }, (_, index) => shortener.recordClick(link.code, { ip: `203.0.113.${index}` }))
+    );
+
+    assert.ok(clicks.every(click => click.success));
+    assert.equal((await getShortLink(link.code)).link.clicks, 25);
+    assert.equal((await getLinkClicks(link.code)).clicks.length, 25);
+});
+
+test('a click limit holds when the last clicks arrive together', async () => {
+    const shortener = createShortener();
+    const { link } = await shortener.create('https://www.youtube.com/watch?v=limited0000', { maxClicks: 3 });
+
+    const clicks = await Promise.all(
+        Array.from({ length: 10 }, (_, index) => shortener.recordClick(link.code, { ip: `203.0.113.${index}` }))
+    );
+
+    assert.ok(clicks.every(click => click.success));
+    assert.equal(clicks.filter(click => click.counted).length, 3);
+    assert.equal((await getShortLink(link.code)).link.clicks, 3);
+    assert.equal((await getLinkClicks(link.code)).clicks.length, 3);
+});
+
+test('without a configured salt one is generated, stored and shared', async () => {
+    const first = new LinkShortener({ baseUrl: 'https://example.test/s' });
+    const second = new LinkShortener({ baseUrl: 'https://example.test/s' });
+
+    // Two processes hashing their first visitors at the same time
+    const [hashA, hashB] = await Promise.all([first.hashVisitor('203.0.113.7'), second.hashVisitor('203.0.113.7')]);
+
+    assert.match(hashA, /^[0-9a-f]{16}$/);
+    assert.equal(hashA, hashB);
+    assert.equal(first.visitorSalt, second.visitorSalt);
+    assert.ok(first.visitorSalt.length >= 32);
+
+    const unsalted = crypto.createHash('sha256').update(':203.0.113.7').digest('hex').slice(0, 16);
+    assert.notEqual(hashA, unsalted);
+
+    // A restarted process finds the stored salt
+    assert.equal(await new LinkShortener({ baseUrl: 'https://example.test/s' }).hashVisitor('203.0.113.7'), hashA);
+});
+
+test('a configured salt is used as given', async () => {
+    const shortener = createShortener();
+    const expected = crypto.createHash('sha256').update('test-salt:198.51.100.1').digest('hex').slice(0, 16);
+
+    assert.equal(await shortener.hashVisitor('198.51.100.1'), expected);
+    assert.equal(await shortener.hashVisitor(null), null);
+});
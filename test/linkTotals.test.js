@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// GET /api/links pages through short links; its per-channel totals must cover all of them.
+
+let server, baseUrl;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+
+    // The server logs every step; keep the test output readable
+    console.log = () => {};
+
+    const db = await import('../database.js');
+    const { default: app } = await import('../server.js');
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const links = [['@busy', 4], ['@busy', 2], ['@busy', 0], ['@quiet', 1]];
+    for (const [index, [channelHandle, clicks]] of links.entries()) {
+        const code = `total${index}`;
+        await db.createShortLink({ code, url: `https://www.youtube.com/watch?v=totals${index}`, channelHandle, event: 'new_video' });
+        for (let click = 0; click < clicks; click++) {
+            await db.recordLinkClick(code);
+        }
+    }
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('channel totals count every link, not just the page', async () => {
+    const response = await fetch(`${baseUrl}/api/links?limit=1`);
+    const result = await response.json();
+
+    assert.equal(result.count, 1);
+    assert.deepEqual(result.channels, [
+        { channelHandle: '@busy', links: 3, clicks: 6, averageClicks: 2 },
+        { channelHandle: '@quiet', links: 1, clicks: 1, averageClicks: 1 }
+    ]);
+});
+
+test('channel totals follow the channel filter', async () => {
+    const response = await fetch(`${baseUrl}/api/links?channel=quiet&limit=1`);
+    const result = await response.json();
+
+    assert.deepEqual(result.channels, [{ channelHandle: '@quiet', links: 1, clicks: 1, averageClicks: 1 }]);
+});
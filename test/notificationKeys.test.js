@@ -0,0 +1,65 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Dedup keys go to in-memory storage; each claim stands in for one process about to notify.
+
+let claimNotificationKey, releaseNotificationKey;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ claimNotificationKey, releaseNotificationKey } = await import('../database.js'));
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const CLAIM = { channelHandle: '@channel', eventType: 'new_video' };
+
+test('a notification key is claimed once', async () => {
+    const first = await claimNotificationKey('@channel:new_video:abc', CLAIM);
+    assert.equal(first.success, true);
+    assert.equal(first.claimed, true);
+    assert.ok(first.claimedAt);
+
+    const second = await claimNotificationKey('@channel:new_video:abc', CLAIM);
+    assert.equal(second.success, true);
+    assert.equal(second.claimed, false);
+    assert.ok(second.claimedAt);
+});
+
+test('processes that detect the same change at once send it once', async () => {
+    const claims = await Promise.all(
+        Array.from({ length: 5 }, () => claimNotificationKey('@channel:stream_started:live1', CLAIM))
+    );
+
+    assert.equal(claims.filter(claim => claim.claimed).length, 1);
+});
+
+test('a key can be claimed again once its window has passed', async () => {
+    const options = { ...CLAIM, eventType: 'stream_reminder', windowMs: 30 };
+
+    assert.equal((await claimNotificationKey('@channel:stream_reminder:up1', options)).claimed, true);
+    assert.equal((await claimNotificationKey('@channel:stream_reminder:up1', options)).claimed, false);
+
+    await sleep(50);
+    assert.equal((await claimNotificationKey('@channel:stream_reminder:up1', options)).claimed, true);
+    assert.equal((await claimNotificationKey('@channel:stream_reminder:up1', options)).claimed, false);
+});
+
+test('a released key can be claimed again', async () => {
+    const claim = await claimNotificationKey('@channel:new_short:def', CLAIM);
+
+    assert.deepEqual(await releaseNotificationKey('@channel:new_short:def', claim.claimedAt), { success: true, released: true });
+    assert.equal((await claimNotificationKey('@channel:new_short:def', CLAIM)).claimed, true);
+});
+
+test('releasing an old claim leaves a newer one in place', async () => {
+    const options = { ...CLAIM, eventType: 'stream_reminder', windowMs: 30 };
+
+    const stale = await claimNotificationKey('@channel:stream_reminder:up2', options);
+    await sleep(50);
+    const current = await claimNotificationKey('@channel:stream_reminder:up2', options);
+    assert.equal(current.claimed, true);
+
+    assert.equal((await releaseNotificationKey('@channel:stream_reminder:up2', stale.claimedAt)).released, false);
+    assert.equal((await claimNotificationKey('@channel:stream_reminder:up2', options)).claimed, false);
+});
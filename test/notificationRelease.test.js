@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Two channels go live in one cron tick while the receiver is down. One channel's delivery is
+// queued for retry; the other's can't even be queued, so its dedup key must not stay claimed.
+
+const SECRET = 'release-test-secret';
+const QUEUED = '@queued';
+const UNQUEUED = '@unqueued';
+
+const livePage = readFileSync(new URL('./fixtures/youtube/channel-live.html', import.meta.url), 'utf8');
+
+let server, baseUrl, db;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.CRON_SECRET = SECRET;
+    process.env.YOUTUBE_API_KEY = '';
+
+    // The server logs every step of every check; keep the test output readable
+    console.log = () => {};
+
+    const { default: axios } = await import('axios');
+    axios.defaults.adapter = async config => {
+        if (config.url.startsWith('https://receiver.example.test/')) {
+            return { data: '', status: 503, statusText: 'Service Unavailable', headers: {}, config };
+        }
+        if (config.url.includes('youtube.com')) {
+            return { data: livePage, status: 200, statusText: 'OK', headers: {}, config };
+        }
+        throw new Error(`getaddrinfo ENOTFOUND ${new URL(config.url).hostname}`);
+    };
+
+    db = await import('../database.js');
+
+    // Queueing fails for one channel only, as if storage rejected its write
+    const insert = db.storage.insert.bind(db.storage);
+    db.storage.insert = async (table, rows) => {
+        if (table === 'webhook_deliveries' && rows[0].channel_handle === UNQUEUED) {
+            throw new Error('storage unavailable');
+        }
+        return insert(table, rows);
+    };
+
+    const { default: app } = await import('../server.js');
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    for (const channelHandle of [QUEUED, UNQUEUED]) {
+        await db.saveChannelConfiguration(channelHandle, {
+            destinations: [{ type: 'json', url: `https://receiver.example.test/${channelHandle.slice(1)}` }],
+            contentTypes: ['live'],
+            interval: 60000
+        });
+    }
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function claimedKeys(channelHandle) {
+    return db.storage.select('notification_keys', { filters: [['channel_handle', 'eq', channelHandle]] });
+}
+
+test('a dedup key is given back when nothing was sent or queued', async () => {
+    const response = await fetch(`${baseUrl}/api/cron/tick`, { headers: { authorization: `Bearer ${SECRET}` } });
+    const result = await response.json();
+    for (const channelHandle of [QUEUED, UNQUEUED]) {
+        assert.equal(result.channels.find(channel => channel.channelHandle === channelHandle).status, 'checked');
+    }
+
+    // Queued for retry: each stream's key stays claimed so no other process announces it again
+    const queued = await claimedKeys(QUEUED);
+    const deliveries = await db.storage.select('webhook_deliveries', { filters: [['channel_handle', 'eq', QUEUED]] });
+    assert.ok(queued.length > 0);
+    assert.ok(queued.every(key => key.event_type === 'stream_started'));
+    assert.equal(deliveries.length, queued.length);
+
+    // Nothing sent, nothing to retry: the key is free for whoever detects the stream next
+    assert.deepEqual(await claimedKeys(UNQUEUED), []);
+});
@@ -0,0 +1,49 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Usage goes to in-memory storage; separate trackers stand in for separate processes.
+
+let QuotaTracker, getQuotaDay, getQuotaUsage;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ default: QuotaTracker, getQuotaDay } = await import('../src/services/quotaTracker.js'));
+    ({ getQuotaUsage } = await import('../database.js'));
+});
+
+async function storedUsage(channelHandle, method) {
+    const result = await getQuotaUsage(getQuotaDay());
+    return result.usage.find(row => row.channelHandle === channelHandle && row.method === method);
+}
+
+test('processes recording at the same time add up instead of overwriting each other', async () => {
+    const first = new QuotaTracker();
+    const second = new QuotaTracker();
+
+    await Promise.all([
+        ...Array.from({ length: 5 }, () => first.record('search.list', '@shared')),
+        ...Array.from({ length: 3 }, () => second.record('search.list', '@shared'))
+    ]);
+
+    const stored = await storedUsage('@shared', 'search.list');
+    assert.equal(stored.units, 800);
+    assert.equal(stored.calls, 8);
+
+    // A process starting now sees everything spent today
+    const restarted = new QuotaTracker();
+    await restarted.load();
+    assert.equal(restarted.getStatus().byChannel['@shared'], 800);
+});
+
+test('recording picks up what other processes spent', async () => {
+    const first = new QuotaTracker({ dailyBudget: 250 });
+    const second = new QuotaTracker({ dailyBudget: 250 });
+
+    await first.record('search.list', '@budget');
+    await second.record('search.list', '@budget');
+
+    // The second tracker now counts the first one's call too: a third search would go over
+    assert.equal(second.getUsed(), 200);
+    assert.equal(second.canSpend('search.list'), false);
+    assert.equal(second.canSpend('videos.list'), true);
+});
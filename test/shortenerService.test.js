@@ -0,0 +1,147 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Contract tests: whichever provider answers, shortenUrl returns the same result shape.
+// Fixtures are provider responses as they come over the wire (test/fixtures/shortener).
+
+const fixture = name => readFileSync(new URL(`./fixtures/shortener/${name}`, import.meta.url), 'utf8');
+
+const RESPONSES = {
+    linktw: { data: JSON.parse(fixture('linktw-url-add.json')) },
+    linktwError: { data: JSON.parse(fixture('linktw-error.json')) },
+    tinyurl: { data: fixture('tinyurl.txt') },
+    isgd: { data: fixture('isgd.txt') }
+};
+
+let ShortenerService, extractShortUrl;
+
+before(async () => {
+    // Remembered short URLs go to in-memory storage
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ default: ShortenerService, extractShortUrl } = await import('../src/services/shortenerService.js'));
+});
+
+// `routes` maps a provider host to a response fixture, or to an Error to throw
+function createService(routes, options = {}) {
+    const requests = [];
+
+    const service = new ShortenerService({
+        fallbacks: 'linktw,tinyurl,isgd',
+        ...options,
+        http: async request => {
+            const host = new URL(request.url).hostname;
+            requests.push({ host, method: request.method, url: request.url });
+
+            const response = routes[host];
+            if (!response) throw new Error(`Unexpected request to ${host}`);
+            if (response instanceof Error) throw response;
+            return { status: 200, headers: {}, ...response };
+        }
+    });
+
+    return { service, requests };
+}
+
+let urlCount = 0;
+const uniqueUrl = () => `https://www.youtube.com/watch?v=fixture${String(++urlCount).padStart(4, '0')}`;
+
+function assertResult(result, longUrl) {
+    assert.equal(typeof result.success, 'boolean');
+    assert.equal(typeof result.shorturl, 'string');
+    assert.equal(result.originalUrl, longUrl);
+    assert.equal(typeof result.service, 'string');
+
+    if (result.success) {
+        assert.match(result.shorturl, /^https?:\/\//);
+        assert.notEqual(result.shorturl, longUrl);
+    } else {
+        assert.equal(result.shorturl, longUrl);
+        assert.equal(typeof result.error, 'string');
+    }
+}
+
+test('linktw.in JSON responses are read from the shorturl field', async () => {
+    const { service, requests } = createService({ 'linktw.in': RESPONSES.linktw });
+    const longUrl = uniqueUrl();
+
+    const result = await service.shortenUrl(longUrl);
+
+    assertResult(result, longUrl);
+    assert.equal(result.shorturl, 'https://linktw.in/Xy12Ab');
+    assert.equal(result.service, 'linktw.in');
+    assert.deepEqual(requests.map(request => [request.method, request.url]), [['post', 'https://linktw.in/api/url/add']]);
+});
+
+test('plain-text providers take over when linktw.in has no short URL', async () => {
+    const { service, requests } = createService({ 'linktw.in': RESPONSES.linktwError, 'tinyurl.com': RESPONSES.tinyurl });
+    const longUrl = uniqueUrl();
+
+    const result = await service.shortenUrl(longUrl);
+
+    assertResult(result, longUrl);
+    assert.equal(result.shorturl, 'https://tinyurl.com/2p8k4x7z');
+    assert.equal(result.service, 'TinyURL');
+    assert.deepEqual(requests.map(request => request.host), ['linktw.in', 'tinyurl.com']);
+});
+
+test('results are remembered, so a URL goes out once', async () => {
+    const { service, requests } = createService({ 'linktw.in': new Error('socket hang up'), 'is.gd': RESPONSES.isgd }, { fallbacks: 'linktw,isgd' });
+    const longUrl = uniqueUrl();
+
+    const first = await service.shortenUrl(longUrl);
+    const second = await service.shortenUrl(longUrl);
+
+    assertResult(first, longUrl);
+    assertResult(second, longUrl);
+    assert.equal(second.shorturl, 'https://is.gd/Qw3rTy');
+    assert.equal(second.service, 'is.gd');
+    assert.equal(second.cached, true);
+    assert.equal(requests.length, 2);
+});
+
+test('a response echoing the long URL does not count as shortened', async () => {
+    const longUrl = uniqueUrl();
+    const { service } = createService({ 'tinyurl.com': { data: `${longUrl}\n` } }, { fallbacks: 'tinyurl' });
+
+    const result = await service.shortenUrl(longUrl);
+
+    assertResult(result, longUrl);
+    assert.equal(result.success, false);
+    assert.equal(result.service, 'none');
+});
+
+test('an open circuit skips the provider without a request', async () => {
+    const { service, requests } = createService({ 'linktw.in': new Error('timeout of 10000ms exceeded'), 'tinyurl.com': RESPONSES.tinyurl }, { failureThreshold: 1 });
+
+    await service.shortenUrl(uniqueUrl());
+    await service.shortenUrl(uniqueUrl());
+
+    assert.deepEqual(requests.map(request => request.host), ['linktw.in', 'tinyurl.com', 'tinyurl.com']);
+    assert.equal(service.getServiceInfo().breakers.linktw.state, 'open');
+});
+
+test('the built-in shortener answers first in the same shape', async () => {
+    const linkShortener = {
+        enabled: true,
+        shorten: async url => ({ success: true, shorturl: 'https://example.test/s/abc1234', link: { code: 'abc1234', url } })
+    };
+    const { service, requests } = createService({}, { linkShortener });
+    const longUrl = uniqueUrl();
+
+    const result = await service.shortenUrl(longUrl, { channelHandle: '@fixture' });
+
+    assertResult(result, longUrl);
+    assert.equal(result.service, 'self');
+    assert.equal(result.code, 'abc1234');
+    assert.deepEqual(requests, []);
+});
+
+test('extractShortUrl reads plain text and the known JSON fields', () => {
+    const longUrl = 'https://www.youtube.com/watch?v=aaaaaaaaaa1';
+
+    assert.equal(extractShortUrl(' https://is.gd/x \n', longUrl), 'https://is.gd/x');
+    assert.equal(extractShortUrl({ url: longUrl, short_url: 'https://s.test/a' }, longUrl), 'https://s.test/a');
+    assert.equal(extractShortUrl({ error: 1, message: 'Invalid key' }, longUrl), null);
+    assert.equal(extractShortUrl('Error: invalid URL', longUrl), null);
+});
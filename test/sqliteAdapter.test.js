@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The SQLite adapter against real database files. node:sqlite only exists on Node 22.13 and
+// later, so everything here is skipped on older Node.
+
+const sqlite = await import('node:sqlite').catch(() => null);
+const skip = !sqlite && 'node:sqlite is not available on this Node version';
+
+let SqliteAdapter, directory;
+
+before(async () => {
+    ({ default: SqliteAdapter } = await import('../src/storage/sqliteAdapter.js'));
+    directory = mkdtempSync(path.join(os.tmpdir(), 'sqlite-adapter-'));
+});
+
+after(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+let files = 0;
+const databaseFile = () => path.join(directory, `test-${++files}.db`);
+
+async function openWithLinks() {
+    const adapter = await SqliteAdapter.open(databaseFile());
+    await adapter.insert('short_links', [
+        { code: 'aaa', url: 'https://example.com/a', custom: true, clicks: 5, channel_handle: '@one' },
+        { code: 'bbb', url: 'https://example.com/b', custom: false, clicks: 0, channel_handle: '@two' },
+        { code: 'ccc', url: 'https://example.com/c', custom: false, clicks: 12, channel_handle: null }
+    ]);
+    return adapter;
+}
+
+const codes = rows => rows.map(row => row.code).sort();
+
+test('filters select the matching rows', { skip }, async () => {
+    const adapter = await openWithLinks();
+
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['code', 'eq', 'bbb']] })), ['bbb']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['code', 'neq', 'bbb']] })), ['aaa', 'ccc']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['clicks', 'gt', 5]] })), ['ccc']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['clicks', 'gte', 5]] })), ['aaa', 'ccc']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['clicks', 'lt', 5]] })), ['bbb']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['clicks', 'lte', 5]] })), ['aaa', 'bbb']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['code', 'in', ['aaa', 'ccc', 'zzz']]] })), ['aaa', 'ccc']);
+    assert.deepEqual(await adapter.select('short_links', { filters: [['code', 'in', []]] }), []);
+
+    // null compares as IS (NOT) NULL, and booleans come back as booleans
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['channel_handle', 'eq', null]] })), ['ccc']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['channel_handle', 'neq', null]] })), ['aaa', 'bbb']);
+    assert.deepEqual(codes(await adapter.select('short_links', { filters: [['custom', 'eq', true]] })), ['aaa']);
+    assert.equal((await adapter.select('short_links', { filters: [['code', 'eq', 'bbb']] }))[0].custom, false);
+
+    // Combined filters, order and limit
+    const [busiest] = await adapter.select('short_links', {
+        filters: [['custom', 'eq', false]],
+        order: { column: 'clicks', ascending: false },
+        limit: 1
+    });
+    assert.equal(busiest.code, 'ccc');
+
+    await assert.rejects(adapter.select('short_links', { filters: [['nope', 'eq', 1]] }), /Unknown column/);
+});
+
+test('inserting an existing key fails', { skip }, async () => {
+    const adapter = await openWithLinks();
+
+    await assert.rejects(adapter.insert('short_links', [{ code: 'aaa', url: 'https://example.com/other' }]));
+    assert.equal((await adapter.select('short_links', { filters: [['code', 'eq', 'aaa']] }))[0].url, 'https://example.com/a');
+});
+
+test('upsert inserts, then updates only the given columns', { skip }, async () => {
+    const adapter = await SqliteAdapter.open(databaseFile());
+
+    const created = await adapter.upsert('monitoring_channels', {
+        channel_handle: '@one',
+        destinations: [{ type: 'json', url: 'https://receiver.example.test/' }],
+        monitor_interval: 60000
+    });
+    assert.deepEqual(created.destinations, [{ type: 'json', url: 'https://receiver.example.test/' }]);
+    assert.ok(created.created_at);
+
+    const updated = await adapter.upsert('monitoring_channels', { channel_handle: '@one', monitor_interval: 120000 });
+    assert.equal(updated.monitor_interval, 120000);
+    assert.deepEqual(updated.destinations, created.destinations);
+    assert.equal(updated.created_at, created.created_at);
+
+    assert.equal((await adapter.select('monitoring_channels')).length, 1);
+});
+
+test('update returns exactly the rows it changed', { skip }, async () => {
+    const adapter = await openWithLinks();
+
+    // Conditional write: only the first of two identical updates matches
+    const byCount = [['code', 'eq', 'aaa'], ['clicks', 'eq', 5]];
+    const first = await adapter.update('short_links', byCount, { clicks: 6 });
+    assert.equal(first.length, 1);
+    assert.equal(first[0].clicks, 6);
+    assert.equal(first[0].custom, true);
+    assert.deepEqual(await adapter.update('short_links', byCount, { clicks: 6 }), []);
+
+    const retired = await adapter.update('short_links', [['custom', 'eq', false]], { retired_at: '2026-01-01T00:00:00.000Z' });
+    assert.deepEqual(codes(retired), ['bbb', 'ccc']);
+    assert.ok(retired.every(row => row.retired_at === '2026-01-01T00:00:00.000Z'));
+
+    assert.equal(await adapter.delete('short_links', [['retired_at', 'neq', null]]), 2);
+    assert.deepEqual(codes(await adapter.select('short_links')), ['aaa']);
+});
+
+test('opening an older database file adds the columns it is missing', { skip }, async () => {
+    const file = databaseFile();
+
+    // short_links as it was before limits and retiring existed
+    const old = new sqlite.DatabaseSync(file);
+    old.exec('CREATE TABLE "short_links" ("code" TEXT, "url" TEXT, "clicks" INTEGER, "created_at" TEXT, PRIMARY KEY ("code"))');
+    old.prepare('INSERT INTO "short_links" ("code", "url", "clicks", "created_at") VALUES (?, ?, ?, ?)')
+        .run('old', 'https://example.com/old', 3, '2025-01-01T00:00:00.000Z');
+    old.close();
+
+    const adapter = await SqliteAdapter.open(file);
+
+    const [link] = await adapter.select('short_links', { filters: [['code', 'eq', 'old']] });
+    assert.equal(link.url, 'https://example.com/old');
+    assert.equal(link.clicks, 3);
+    assert.equal(link.max_clicks, null);
+    assert.equal(link.retired_at, null);
+
+    const [limited] = await adapter.update('short_links', [['code', 'eq', 'old']], { max_clicks: 10, custom: true });
+    assert.equal(limited.max_clicks, 10);
+    assert.equal(limited.custom, true);
+
+    // Opening it again finds nothing left to add
+    const reopened = await SqliteAdapter.open(file);
+    assert.equal((await reopened.select('short_links', { filters: [['max_clicks', 'eq', 10]] })).length, 1);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+// Imported the way receivers do, through the package's public entry point
+import { buildSignatureHeaders, computeSignature, verifyWebhookSignature } from 'youtube-monitor-pro/verify';
+
+const SECRET = '0123456789abcdef';
+const BODY = JSON.stringify({ event: 'new_video', channelHandle: '@channel', data: { videoId: 'abc' } });
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const TIMESTAMP = Math.floor(NOW / 1000);
+
+const signed = (body = BODY, timestamp = TIMESTAMP) => buildSignatureHeaders(SECRET, body, 'event-1', timestamp);
+
+test('the signature is an HMAC-SHA256 of the timestamp and raw body', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`${TIMESTAMP}.${BODY}`).digest('hex');
+
+    assert.equal(computeSignature(SECRET, TIMESTAMP, BODY), `sha256=${expected}`);
+    assert.deepEqual(signed(), {
+        'X-LinkBite-Event-Id': 'event-1',
+        'X-LinkBite-Timestamp': String(TIMESTAMP),
+        'X-LinkBite-Signature': `sha256=${expected}`
+    });
+});
+
+test('signed requests verify, whatever the header case or body type', () => {
+    const headers = signed();
+    const lowerCase = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW }), true);
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: Buffer.from(BODY), headers: lowerCase, now: NOW }), true);
+});
+
+test('a changed body, timestamp or secret fails verification', () => {
+    const headers = signed();
+
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY.replace('abc', 'abd'), headers, now: NOW }), false);
+    assert.equal(verifyWebhookSignature({ secret: 'fedcba9876543210', rawBody: BODY, headers, now: NOW }), false);
+    assert.equal(verifyWebhookSignature({
+        secret: SECRET,
+        rawBody: BODY,
+        headers: { ...headers, 'X-LinkBite-Timestamp': String(TIMESTAMP - 1) },
+        now: NOW
+    }), false);
+});
+
+test('requests without a secret or signature headers fail verification', () => {
+    const headers = signed();
+    const { 'X-LinkBite-Signature': _signature, ...unsigned } = headers;
+    const { 'X-LinkBite-Timestamp': _timestamp, ...undated } = headers;
+
+    assert.equal(verifyWebhookSignature({ secret: '', rawBody: BODY, headers, now: NOW }), false);
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: unsigned, now: NOW }), false);
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: undated, now: NOW }), false);
+});
+
+test('signatures are only accepted within the tolerance window', () => {
+    const verifyAt = (timestamp, options = {}) => verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: signed(BODY, timestamp), now: NOW, ...options });
+
+    // Five minutes either way by default
+    assert.equal(verifyAt(TIMESTAMP - 300), true);
+    assert.equal(verifyAt(TIMESTAMP - 301), false);
+    assert.equal(verifyAt(TIMESTAMP + 300), true);
+    assert.equal(verifyAt(TIMESTAMP + 301), false);
+
+    assert.equal(verifyAt(TIMESTAMP - 30, { toleranceSeconds: 10 }), false);
+    assert.equal(verifyAt(TIMESTAMP - 3600, { toleranceSeconds: 7200 }), true);
+});
+
+test('signatures are compared in constant time', (t) => {
+    const timingSafeEqual = t.mock.method(crypto, 'timingSafeEqual');
+    const headers = signed();
+    const signature = headers['X-LinkBite-Signature'];
+
+    // Same length, last character wrong: still goes through the constant-time compare
+    const wrong = signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: { ...headers, 'X-LinkBite-Signature': wrong }, now: NOW }), false);
+    assert.equal(timingSafeEqual.mock.callCount(), 1);
+
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers, now: NOW }), true);
+    assert.equal(timingSafeEqual.mock.callCount(), 2);
+
+    // A signature of another length is rejected rather than thrown on
+    assert.equal(verifyWebhookSignature({ secret: SECRET, rawBody: BODY, headers: { ...headers, 'X-LinkBite-Signature': 'sha256=abc' }, now: NOW }), false);
+});
@@ -0,0 +1,181 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+// Subscriptions go to in-memory storage; hub requests are captured instead of sent.
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+const CALLBACK_URL = 'https://monitor.example.test/api/websub/callback';
+
+let WebSubManager, getTopicUrl, verifyHubSignature;
+const hubRequests = [];
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+
+    const { default: axios } = await import('axios');
+    axios.defaults.adapter = async config => {
+        hubRequests.push(Object.fromEntries(new URLSearchParams(config.data)));
+        return { data: '', status: 202, statusText: 'Accepted', headers: {}, config };
+    };
+
+    ({ default: WebSubManager, getTopicUrl, verifyHubSignature } = await import('../src/services/websub.js'));
+});
+
+// A manager with a subscription the hub has yet to verify, and the secret it sent the hub
+async function subscribed(channelHandle) {
+    const webSub = new WebSubManager({ callbackUrl: CALLBACK_URL, leaseSeconds: 3600 });
+    await webSub.subscribe(channelHandle, CHANNEL_ID);
+    return { webSub, secret: hubRequests.at(-1)['hub.secret'] };
+}
+
+const challenge = (mode, extra = {}) => ({
+    'hub.mode': mode,
+    'hub.topic': getTopicUrl(CHANNEL_ID),
+    'hub.challenge': crypto.randomBytes(8).toString('hex'),
+    ...extra
+});
+
+function atomEntry(videoId, published = new Date().toISOString()) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${CHANNEL_ID}</yt:channelId>
+    <title>New upload &amp; more</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${videoId}"/>
+    <author><name>Channel</name></author>
+    <published>${published}</published>
+    <updated>${published}</updated>
+  </entry>
+</feed>`;
+}
+
+const sign = (algorithm, secret, body) => `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`;
+
+test('subscribing asks the hub for a signed, verified subscription', async () => {
+    const { webSub, secret } = await subscribed('@subscribe');
+    const request = hubRequests.at(-1);
+
+    assert.equal(request['hub.mode'], 'subscribe');
+    assert.equal(request['hub.topic'], getTopicUrl(CHANNEL_ID));
+    assert.equal(request['hub.callback'], `${CALLBACK_URL}/${CHANNEL_ID}`);
+    assert.equal(request['hub.verify'], 'async');
+    assert.equal(request['hub.lease_seconds'], '3600');
+    assert.ok(secret.length >= 32);
+
+    assert.equal(webSub.getSubscription('@subscribe').status, 'pending');
+    assert.equal(webSub.isActive('@subscribe'), false);
+});
+
+test('the subscribe challenge is echoed back and activates the subscription', async () => {
+    const { webSub } = await subscribed('@verify');
+    const query = challenge('subscribe', { 'hub.lease_seconds': '7200' });
+
+    const response = await webSub.handleVerification(CHANNEL_ID, query);
+
+    assert.deepEqual(response, { status: 200, body: query['hub.challenge'] });
+    assert.equal(webSub.isActive('@verify'), true);
+    const expiresIn = Date.parse(webSub.getSubscription('@verify').expiresAt) - Date.now();
+    assert.ok(expiresIn > 7190 * 1000 && expiresIn <= 7200 * 1000);
+});
+
+test('challenges for other topics or without a challenge are refused', async () => {
+    const { webSub } = await subscribed('@refuse');
+
+    const otherTopic = await webSub.handleVerification(CHANNEL_ID, challenge('subscribe', { 'hub.topic': getTopicUrl('UCsomeoneelse0000000000') }));
+    assert.equal(otherTopic.status, 404);
+
+    const noChallenge = await webSub.handleVerification(CHANNEL_ID, { ...challenge('subscribe'), 'hub.challenge': '' });
+    assert.equal(noChallenge.status, 404);
+
+    const unknownChannel = await new WebSubManager({ callbackUrl: CALLBACK_URL })
+        .handleVerification('UCunknown00000000000000', challenge('subscribe', { 'hub.topic': getTopicUrl('UCunknown00000000000000') }));
+    assert.equal(unknownChannel.status, 404);
+
+    assert.equal(webSub.isActive('@refuse'), false);
+});
+
+test('only unsubscribes we asked for are confirmed', async () => {
+    const { webSub } = await subscribed('@unsubscribe');
+    await webSub.handleVerification(CHANNEL_ID, challenge('subscribe'));
+
+    // A stale or forged unsubscribe must not cancel a subscription that is still wanted
+    const unwanted = await webSub.handleVerification(CHANNEL_ID, challenge('unsubscribe'));
+    assert.equal(unwanted.status, 404);
+    assert.equal(webSub.isActive('@unsubscribe'), true);
+
+    await webSub.unsubscribe('@unsubscribe');
+    assert.equal(hubRequests.at(-1)['hub.mode'], 'unsubscribe');
+
+    const query = challenge('unsubscribe');
+    const confirmed = await webSub.handleVerification(CHANNEL_ID, query);
+    assert.deepEqual(confirmed, { status: 200, body: query['hub.challenge'] });
+    assert.equal(webSub.getSubscription('@unsubscribe'), null);
+});
+
+test('a denied subscription is recorded with the hub\'s reason', async () => {
+    const { webSub } = await subscribed('@denied');
+
+    const response = await webSub.handleVerification(CHANNEL_ID, { 'hub.mode': 'denied', 'hub.topic': getTopicUrl(CHANNEL_ID), 'hub.reason': 'Topic not found' });
+
+    assert.equal(response.status, 200);
+    assert.equal(webSub.getSubscription('@denied').status, 'denied');
+    assert.equal(webSub.getSubscription('@denied').lastError, 'Topic not found');
+});
+
+test('notifications signed with the subscription secret are accepted', async () => {
+    const { webSub, secret } = await subscribed('@signed');
+    const body = atomEntry('dQw4w9WgXcQ');
+
+    const result = await webSub.handleNotification(CHANNEL_ID, body, { 'x-hub-signature': sign('sha1', secret, body) });
+
+    assert.equal(result.accepted, true);
+    assert.equal(result.channelHandle, '@signed');
+    assert.deepEqual(result.uploads.map(upload => [upload.videoId, upload.title]), [['dQw4w9WgXcQ', 'New upload & more']]);
+
+    // Hubs may sign with any SHA variant
+    const sha256 = await webSub.handleNotification(CHANNEL_ID, body, { 'x-hub-signature': sign('sha256', secret, body) });
+    assert.equal(sha256.accepted, true);
+});
+
+test('notifications with a missing or wrong signature are ignored', async () => {
+    const { webSub, secret } = await subscribed('@forged');
+    const body = atomEntry('forgedVideo');
+
+    const cases = [
+        {},
+        { 'x-hub-signature': sign('sha1', 'not-the-secret', body) },
+        { 'x-hub-signature': sign('sha1', secret, atomEntry('otherVideo0')) },
+        { 'x-hub-signature': sign('md5', secret, body) },
+        { 'x-hub-signature': 'sha1=abcd' }
+    ];
+
+    for (const headers of cases) {
+        const result = await webSub.handleNotification(CHANNEL_ID, body, headers);
+        assert.equal(result.accepted, false);
+        assert.equal(result.reason, 'invalid_signature');
+        assert.deepEqual(result.uploads, []);
+    }
+});
+
+test('edits to old videos are not reported as uploads', async () => {
+    const { webSub, secret } = await subscribed('@edits');
+    const body = atomEntry('oldVideo000', '2020-01-01T00:00:00Z');
+
+    const result = await webSub.handleNotification(CHANNEL_ID, body, { 'x-hub-signature': sign('sha1', secret, body) });
+
+    assert.equal(result.accepted, true);
+    assert.deepEqual(result.uploads, []);
+    assert.equal(result.edits, 1);
+});
+
+test('hub signatures are checked without throwing on malformed input', () => {
+    const body = 'payload';
+
+    assert.equal(verifyHubSignature('secret', body, sign('sha1', 'secret', body)), true);
+    assert.equal(verifyHubSignature('secret', body, 'sha1=zz'), false);
+    assert.equal(verifyHubSignature('secret', body, 'sha1'), false);
+    assert.equal(verifyHubSignature('', body, sign('sha1', '', body)), false);
+});
@@ -0,0 +1,248 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import YouTubeProvider, { parseLiveStreams } from '../src/services/youtubeProvider.js';
+
+// Contract tests: the Data API path and the scraping path of every lookup return the same shape.
+// Fixtures are trimmed copies of real API responses and channel pages (test/fixtures/youtube).
+
+const fixture = name => readFileSync(new URL(`./fixtures/youtube/${name}`, import.meta.url), 'utf8');
+const json = name => JSON.parse(fixture(name));
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+
+const API_RESPONSES = {
+    'search.list': json('search-live.json'),
+    'playlistItems.list': json('playlist-items.json'),
+    'videos.list': json('videos.json'),
+    'channels.list': json('channels.json')
+};
+
+// Provider answering Data API calls from fixtures and channel pages from `pages` (path -> file)
+function createProvider({ apiKey = 'test-key', pages = {}, failApi = false } = {}) {
+    const calls = { api: [], pages: [] };
+
+    const provider = new YouTubeProvider({
+        apiKey,
+        apiGet: async (method, params) => {
+            calls.api.push(method);
+            if (failApi) throw new Error('Request failed with status code 500');
+            return { data: API_RESPONSES[method] };
+        },
+        resolveChannelId: async () => CHANNEL_ID,
+        http: {
+            get: async url => {
+                const path = new URL(url).pathname;
+                calls.pages.push(path);
+                if (!pages[path]) throw new Error('Request failed with status code 404');
+                return { status: 200, data: fixture(pages[path]) };
+            }
+        }
+    });
+
+    return { provider, calls };
+}
+
+const VIDEO_ID = /^[\w-]{11}$/;
+
+function assertUrl(value, label) {
+    assert.equal(typeof value, 'string', `${label} should be a string`);
+    assert.match(value, /^https:\/\//, `${label} should be an https URL`);
+}
+
+function assertLiveStatus(status) {
+    assert.equal(typeof status.isLive, 'boolean');
+    assert.ok(Array.isArray(status.streams));
+    assert.ok(['api', 'fallback'].includes(status.method));
+    assert.equal(status.isLive, status.streams.length > 0);
+
+    for (const stream of status.streams) {
+        assert.deepEqual(Object.keys(stream).sort(), ['liveUrl', 'thumbnail', 'title', 'videoId']);
+        assert.match(stream.videoId, VIDEO_ID);
+        assertUrl(stream.liveUrl, 'liveUrl');
+        assertUrl(stream.thumbnail, 'thumbnail');
+        assert.equal(typeof stream.title, 'string');
+    }
+
+    if (status.isLive) {
+        const [first] = status.streams;
+        assert.equal(status.videoId, first.videoId);
+        assert.equal(status.liveUrl, first.liveUrl);
+        assert.equal(status.title, first.title);
+        assert.equal(status.thumbnail, first.thumbnail);
+    } else {
+        assert.equal(status.liveUrl, null);
+    }
+}
+
+function assertVideoList(result, listKey) {
+    assert.equal(result.success, true);
+    assert.equal(result.channel, '@fixture');
+    assert.ok(['api', 'fallback'].includes(result.method));
+    assert.ok(Array.isArray(result[listKey]));
+
+    for (const video of result[listKey]) {
+        assert.match(video.videoId, VIDEO_ID);
+        assert.equal(typeof video.title, 'string');
+        assertUrl(video.thumbnail, 'thumbnail');
+        assertUrl(video.url, 'url');
+        assert.ok(video.url.includes(video.videoId));
+        assert.equal(typeof video.publishedAt, 'string');
+        assert.equal(typeof video.viewCount, 'string');
+    }
+}
+
+function assertUpcomingList(result) {
+    assert.equal(result.success, true);
+    assert.ok(['api', 'fallback'].includes(result.method));
+
+    for (const stream of result.upcoming) {
+        assert.deepEqual(Object.keys(stream).sort(), ['isPremiere', 'scheduledStartTime', 'thumbnail', 'title', 'url', 'videoId']);
+        assert.match(stream.videoId, VIDEO_ID);
+        assertUrl(stream.url, 'url');
+        assertUrl(stream.thumbnail, 'thumbnail');
+        assert.equal(new Date(stream.scheduledStartTime).toISOString(), stream.scheduledStartTime);
+        assert.equal(typeof stream.isPremiere, 'boolean');
+    }
+
+    const starts = result.upcoming.map(stream => Date.parse(stream.scheduledStartTime));
+    assert.deepEqual(starts, [...starts].sort((a, b) => a - b), 'soonest first');
+}
+
+test('checkLive reports every concurrent stream from the API', async () => {
+    const { provider, calls } = createProvider();
+    const status = await provider.checkLive('@fixture');
+
+    assertLiveStatus(status);
+    assert.equal(status.method, 'api');
+    assert.deepEqual(status.streams.map(stream => stream.videoId), ['ffffffffff6', 'gggggggggg7']);
+    assert.equal(status.title, 'Morning stream & chat');
+    assert.deepEqual(calls.pages, []);
+});
+
+test('checkLive scrapes the channel page without an API key, in the same shape', async () => {
+    const { provider, calls } = createProvider({ apiKey: '', pages: { '/@fixture': 'channel-live.html' } });
+    const status = await provider.checkLive('@fixture');
+
+    assertLiveStatus(status);
+    assert.equal(status.method, 'fallback');
+    assert.deepEqual(status.streams.map(stream => stream.videoId), ['ffffffffff6', 'gggggggggg7']);
+    assert.equal(status.title, 'Morning stream & chat');
+    assert.deepEqual(calls.api, []);
+});
+
+test('checkLive falls back to scraping when the API fails', async () => {
+    const { provider } = createProvider({ failApi: true, pages: { '/@fixture': 'channel-offline.html' } });
+    const status = await provider.checkLive('fixture');
+
+    assertLiveStatus(status);
+    assert.equal(status.method, 'fallback');
+    assert.equal(status.isLive, false);
+});
+
+test('checkLive marks the result failed when both paths fail', async () => {
+    const { provider } = createProvider({ failApi: true });
+    const status = await provider.checkLive('@fixture');
+
+    assertLiveStatus(status);
+    assert.equal(status.failed, true);
+});
+
+test('checkLive skips the API while the quota budget is spent', async () => {
+    const { provider, calls } = createProvider({ pages: { '/@fixture': 'channel-live.html' } });
+    provider.canSpend = () => false;
+
+    const status = await provider.checkLive('@fixture');
+
+    assert.equal(status.method, 'fallback');
+    assert.deepEqual(calls.api, []);
+});
+
+test('parseLiveStreams ignores videos without a LIVE NOW badge', () => {
+    assert.deepEqual(parseLiveStreams(fixture('channel-offline.html')), []);
+});
+
+test('getLatestVideos and getLatestShorts split uploads by kind from the API', async () => {
+    const { provider, calls } = createProvider();
+
+    const videos = await provider.getLatestVideos('@fixture', 10);
+    const shorts = await provider.getLatestShorts('@fixture', 10);
+
+    assertVideoList(videos, 'videos');
+    assertVideoList(shorts, 'shorts');
+    assert.deepEqual(videos.videos.map(video => video.videoId), ['aaaaaaaaaa1']);
+    assert.deepEqual(shorts.shorts.map(video => video.videoId), ['bbbbbbbbbb2']);
+    assert.equal(videos.videos[0].viewCount, (15230).toLocaleString());
+    assert.equal(shorts.shorts[0].url, 'https://www.youtube.com/shorts/bbbbbbbbbb2');
+
+    // Both lists come from one uploads fetch
+    assert.deepEqual(calls.api, ['playlistItems.list', 'videos.list']);
+});
+
+test('getLatestVideos scrapes the videos tab without an API key, in the same shape', async () => {
+    const { provider } = createProvider({ apiKey: '', pages: { '/@fixture/videos': 'channel-videos.html' } });
+    const result = await provider.getLatestVideos('@fixture', 2);
+
+    assertVideoList(result, 'videos');
+    assert.equal(result.method, 'fallback');
+    assert.deepEqual(result.videos.map(video => video.videoId), ['aaaaaaaaaa1', 'hhhhhhhhhh8']);
+});
+
+test('getLatestShorts reports failure in the same shape when scraping fails', async () => {
+    const { provider } = createProvider({ apiKey: '' });
+    const result = await provider.getLatestShorts('@fixture');
+
+    assert.deepEqual(result, { success: false, shorts: [], channel: '@fixture', method: 'fallback' });
+});
+
+test('getUpcomingStreams lists scheduled streams and premieres from the API', async () => {
+    const { provider } = createProvider();
+    const result = await provider.getUpcomingStreams('@fixture');
+
+    assertUpcomingList(result);
+    assert.equal(result.method, 'api');
+    assert.deepEqual(result.upcoming.map(stream => [stream.videoId, stream.isPremiere]), [
+        ['dddddddddd4', true],
+        ['cccccccccc3', false]
+    ]);
+});
+
+test('getUpcomingStreams scrapes the streams tab without an API key, in the same shape', async () => {
+    const { provider } = createProvider({ apiKey: '', pages: { '/@fixture/streams': 'channel-streams.html' } });
+    const result = await provider.getUpcomingStreams('@fixture');
+
+    assertUpcomingList(result);
+    assert.equal(result.method, 'fallback');
+    assert.deepEqual(result.upcoming.map(stream => [stream.videoId, stream.scheduledStartTime]), [
+        ['jjjjjjjjj10', '2026-10-20T17:00:00.000Z'],
+        ['cccccccccc3', '2026-10-21T18:00:00.000Z']
+    ]);
+    assert.equal(result.upcoming[0].title, 'Q&A tomorrow');
+});
+
+test('resolveMissingUpcoming tells started, rescheduled and deleted streams apart', async () => {
+    const { provider } = createProvider();
+    const outcomes = await provider.resolveMissingUpcoming('@fixture', [
+        { videoId: 'cccccccccc3' },
+        { videoId: 'eeeeeeeeee5' },
+        { videoId: 'zzzzzzzzzz0' }
+    ], false);
+
+    assert.equal(outcomes.get('cccccccccc3').outcome, 'upcoming');
+    assert.equal(outcomes.get('cccccccccc3').stream.scheduledStartTime, '2026-10-21T18:00:00.000Z');
+    assert.equal(outcomes.get('eeeeeeeeee5').outcome, 'started');
+    assert.equal(outcomes.get('zzzzzzzzzz0').outcome, 'cancelled');
+});
+
+test('getChannelInfo uses channels.list and falls back to basic details', async () => {
+    const { provider } = createProvider();
+    const info = await provider.getChannelInfo('@fixture');
+
+    assert.equal(info.channelId, CHANNEL_ID);
+    assert.equal(info.title, 'Fixture Channel');
+    assert.equal(info.subscriberCount, '48100');
+    assert.equal(info.method, 'api');
+
+    const basic = await createProvider({ apiKey: '' }).provider.getChannelInfo('@fixture');
+    assert.deepEqual(basic, { handle: '@fixture', url: 'https://www.youtube.com/@fixture', method: 'basic' });
+});